@@ -3,7 +3,27 @@ const axios = require('axios');
 const redisService = require('./services/redisService');
 const integrationService = require('./services/integrationService');
 const salesforceService = require('./services/salesforceService');
+const llmService = require('./services/llmService');
+const toolRegistry = require('./services/toolRegistry');
+const entityExtractor = require('./services/entityExtractor');
+const salesforceDrafts = require('./services/salesforceDrafts');
+const salesforceOAuth = require('./services/salesforceOAuth');
+const soqlBuilder = require('./services/soqlBuilder');
+const salesforceQuery = require('./services/salesforceQuery');
+const salesforceUpdates = require('./services/salesforceUpdates');
+const accountBriefing = require('./services/accountBriefing');
+const activityLogger = require('./services/activityLogger');
+const csvImport = require('./services/csvImport');
+const salesforceReports = require('./services/salesforceReports');
+const salesforceSubscriptions = require('./services/salesforceSubscriptions');
+const channelAccounts = require('./services/channelAccounts');
 const channelMonitoring = require('./services/channelMonitoring');
+const autoJira = require('./services/autoJira');
+const jiraIssueForm = require('./services/jiraIssueForm');
+const jiraIssueCards = require('./services/jiraIssueCards');
+const jiraActions = require('./services/jiraActions');
+const jiraSearch = require('./services/jiraSearch');
+const jiraThreadSync = require('./services/jiraThreadSync');
 require('dotenv').config();
 
 // Initialize your app with your bot token and signing secret
@@ -12,6 +32,23 @@ const app = new App({
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: false,
   port: process.env.PORT || 3000,
+  customRoutes: [
+    {
+      path: '/salesforce/oauth/callback',
+      method: ['GET'],
+      handler: (req, res) => handleSalesforceOAuthCallback(req, res)
+    },
+    {
+      path: '/salesforce/notify/:teamId/:token',
+      method: ['POST'],
+      handler: (req, res) => handleSalesforceNotification(req, res)
+    },
+    {
+      path: '/jira/webhook/:teamId/:token',
+      method: ['POST'],
+      handler: (req, res) => handleJiraWebhook(req, res)
+    }
+  ],
   installationStore: {
     storeInstallation: redisService.saveInstallation.bind(redisService),
     fetchInstallation: redisService.getInstallation.bind(redisService),
@@ -208,337 +245,6 @@ async function sendKeyPhraseResponse(client, channel, responseText, threadTs = n
   }
 }
 
-// Handle Salesforce requests with automatic token refresh
-async function handleSalesforceRequest(message, tokens, userId, conversationHistory = []) {
-  try {
-    const lowerMessage = message.toLowerCase();
-    
-    // Build full conversation context for better detection
-    const fullConversation = conversationHistory.map(msg => msg.content).join(' ') + ' ' + message;
-    const lowerFullConversation = fullConversation.toLowerCase();
-    
-    // Check for Lead creation - be more flexible with detection
-    if (lowerMessage.includes('create lead') || 
-        lowerMessage.includes('new lead') || 
-        lowerMessage.includes('lead for') ||
-        lowerMessage.includes('please create it') ||
-        (lowerMessage.includes('lead') && lowerMessage.includes('salesforce')) ||
-        lowerFullConversation.includes('create a lead')) {
-      
-      const leadData = extractLeadData(fullConversation);
-      console.log('Creating lead with data:', leadData);
-      
-      // Try to create lead with automatic token refresh
-      const result = await createLeadWithRefresh(leadData, tokens, userId);
-      
-      if (result.success) {
-        return `✅ Lead created successfully!\n\n**Lead ID:** ${result.id}\n**Link:** ${result.url}\n\nIs there anything else I can help you with?`;
-      } else {
-        return `❌ Failed to create lead: ${result.error}`;
-      }
-    }
-    
-    // Check for Opportunity creation
-    if (lowerMessage.includes('create opportunity') || lowerMessage.includes('new opportunity')) {
-      const opportunityData = extractOpportunityData(message);
-      const result = await salesforceService.createOpportunity(opportunityData, tokens.access_token);
-      
-      if (result.success) {
-        return `✅ Opportunity created successfully!\n\n**Opportunity ID:** ${result.id}\n**Link:** ${result.url}\n\nIs there anything else I can help you with?`;
-      } else {
-        return `❌ Failed to create opportunity: ${result.error}`;
-      }
-    }
-    
-    // Check for Account creation
-    if (lowerMessage.includes('create account') || lowerMessage.includes('new account')) {
-      const accountData = extractAccountData(message);
-      const result = await salesforceService.createAccount(accountData, tokens.access_token);
-      
-      if (result.success) {
-        return `✅ Account created successfully!\n\n**Account ID:** ${result.id}\n**Link:** ${result.url}\n\nIs there anything else I can help you with?`;
-      } else {
-        return `❌ Failed to create account: ${result.error}`;
-      }
-    }
-    
-    // Check for Case creation
-    if (lowerMessage.includes('create case') || lowerMessage.includes('new case')) {
-      const caseData = extractCaseData(message);
-      const result = await salesforceService.createCase(caseData, tokens.access_token);
-      
-      if (result.success) {
-        return `✅ Case created successfully!\n\n**Case ID:** ${result.id}\n**Link:** ${result.url}\n\nIs there anything else I can help you with?`;
-      } else {
-        return `❌ Failed to create case: ${result.error}`;
-      }
-    }
-    
-    // Check for Task creation
-    if (lowerMessage.includes('create task') || lowerMessage.includes('new task')) {
-      const taskData = extractTaskData(message);
-      const result = await salesforceService.createTask(taskData, tokens.access_token);
-      
-      if (result.success) {
-        return `✅ Task created successfully!\n\n**Task ID:** ${result.id}\n**Link:** ${result.url}\n\nIs there anything else I can help you with?`;
-      } else {
-        return `❌ Failed to create task: ${result.error}`;
-      }
-    }
-    
-    // Check for Contact lookup by phone number
-    if (lowerMessage.includes('lookup contact') || 
-        lowerMessage.includes('find contact') || 
-        lowerMessage.includes('contact with phone') ||
-        lowerMessage.includes('who has phone number') ||
-        lowerMessage.includes('phone number belongs to')) {
-      
-      const phoneNumber = extractPhoneNumber(message);
-      if (phoneNumber) {
-        const result = await lookupContactByPhone(phoneNumber, tokens);
-        if (result) {
-          return result;
-        }
-      } else {
-        return `❌ Please provide a phone number to lookup. Example: "Lookup contact with phone number 555-123-4567"`;
-      }
-    }
-    
-    // Check for Contact lookup by email
-    if (lowerMessage.includes('lookup contact by email') || 
-        lowerMessage.includes('find contact by email') || 
-        lowerMessage.includes('contact with email') ||
-        lowerMessage.includes('who has email')) {
-      
-      const email = extractEmail(message);
-      if (email) {
-        const result = await lookupContactByEmail(email, tokens);
-        if (result) {
-          return result;
-        }
-      } else {
-        return `❌ Please provide an email address to lookup. Example: "Lookup contact by email john@example.com"`;
-      }
-    }
-    
-    // Check for Account lookup by name
-    if (lowerMessage.includes('lookup account') || 
-        lowerMessage.includes('find account') || 
-        lowerMessage.includes('account named') ||
-        lowerMessage.includes('account called')) {
-      
-      const accountName = extractAccountName(message);
-      if (accountName) {
-        const result = await lookupAccountByName(accountName, tokens);
-        if (result) {
-          return result;
-        }
-      } else {
-        return `❌ Please provide an account name to lookup. Example: "Lookup account named Acme Corp"`;
-      }
-    }
-    
-    // Check for Lead lookup by email
-    if (lowerMessage.includes('lookup lead') || 
-        lowerMessage.includes('find lead') || 
-        lowerMessage.includes('lead with email') ||
-        lowerMessage.includes('lead named')) {
-      
-      const email = extractEmail(message) || extractLeadName(message);
-      if (email) {
-        const result = await lookupLeadByEmailOrName(email, tokens);
-        if (result) {
-          return result;
-        }
-      } else {
-        return `❌ Please provide an email or name to lookup. Example: "Lookup lead with email john@example.com"`;
-      }
-    }
-    
-    return null; // No Salesforce operation detected
-  } catch (error) {
-    console.error('Error handling Salesforce request:', error);
-    return `❌ Salesforce operation failed: ${error.message}`;
-  }
-}
-
-// Create lead with automatic token refresh
-async function createLeadWithRefresh(leadData, tokens, userId) {
-  try {
-    // First attempt with current access token
-    let result = await salesforceService.createLead(leadData, tokens.access_token);
-    
-    // If successful, return result
-    if (result.success) {
-      return result;
-    }
-    
-    // If failed due to invalid session and we have a refresh token, try to refresh
-    if (result.error && result.error.includes('INVALID_SESSION_ID') && tokens.refresh_token) {
-      console.log('Access token expired, attempting to refresh...');
-      
-      try {
-        // Refresh the token
-        const refreshedTokens = await salesforceService.refreshToken(
-          tokens.refresh_token,
-          process.env.SALESFORCE_CLIENT_ID,
-          process.env.SALESFORCE_CLIENT_SECRET
-        );
-        
-        // Update tokens in Redis
-        const teamId = tokens.teamId || 'unknown';
-        const updatedTokens = {
-          ...tokens,
-          access_token: refreshedTokens.access_token,
-          refresh_token: refreshedTokens.refresh_token || tokens.refresh_token,
-          instance_url: refreshedTokens.instance_url || tokens.instance_url,
-          updatedAt: new Date().toISOString()
-        };
-        
-        await redisService.saveSalesforceTokens(teamId, userId, updatedTokens);
-        console.log('Tokens refreshed and saved successfully');
-        
-        // Retry the lead creation with new token
-        result = await salesforceService.createLead(leadData, refreshedTokens.access_token);
-        
-        if (result.success) {
-          console.log('Lead created successfully after token refresh');
-          return result;
-        }
-      } catch (refreshError) {
-        console.error('Token refresh failed:', refreshError);
-        return {
-          success: false,
-          error: 'Token expired and refresh failed. Please reconnect your Salesforce integration.'
-        };
-      }
-    }
-    
-    return result;
-  } catch (error) {
-    console.error('Error in createLeadWithRefresh:', error);
-    return {
-      success: false,
-      error: error.message || 'Unknown error occurred'
-    };
-  }
-}
-
-// Extract lead data from message
-function extractLeadData(message) {
-  const leadData = {
-    LastName: 'Lead from Slack',
-    Company: 'Unknown Company',
-    Status: 'Open - Not Contacted'
-  };
-  
-  // Try to extract contact name (look for "for [Name]" pattern)
-  const nameMatch = message.match(/for\s+([A-Za-z\s]+?)(?:\s+in\s+Salesforce|\s+with\s+email|\s+is\s+his|\s+is\s+her|$)/i);
-  if (nameMatch) {
-    const fullName = nameMatch[1].trim();
-    const nameParts = fullName.split(' ');
-    if (nameParts.length >= 2) {
-      leadData.FirstName = nameParts[0];
-      leadData.LastName = nameParts.slice(1).join(' ');
-    } else {
-      leadData.LastName = fullName;
-    }
-  }
-  
-  // Try to extract email address
-  const emailMatch = message.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i);
-  if (emailMatch) {
-    leadData.Email = emailMatch[1];
-  }
-  
-  // Try to extract company name
-  const companyMatch = message.match(/(?:company|at|for)\s+([A-Za-z0-9\s&.,-]+?)(?:\s+with\s+email|\s+is\s+his|\s+is\s+her|$)/i);
-  if (companyMatch) {
-    leadData.Company = companyMatch[1].trim();
-  }
-  
-  return leadData;
-}
-
-// Extract opportunity data from message
-function extractOpportunityData(message) {
-  const opportunityData = {
-    Name: 'Opportunity from Slack',
-    StageName: 'Prospecting',
-    CloseDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0] // 30 days from now
-  };
-  
-  // Try to extract opportunity name
-  const nameMatch = message.match(/(?:opportunity|deal)\s+(?:for|about)\s+([A-Za-z0-9\s&.,-]+)/i);
-  if (nameMatch) {
-    opportunityData.Name = nameMatch[1].trim();
-  }
-  
-  // Try to extract amount
-  const amountMatch = message.match(/\$?([0-9,]+(?:\.[0-9]{2})?)\s*(?:k|thousand|million)?/i);
-  if (amountMatch) {
-    let amount = parseFloat(amountMatch[1].replace(/,/g, ''));
-    if (message.toLowerCase().includes('k') || message.toLowerCase().includes('thousand')) {
-      amount *= 1000;
-    } else if (message.toLowerCase().includes('million')) {
-      amount *= 1000000;
-    }
-    opportunityData.Amount = amount;
-  }
-  
-  return opportunityData;
-}
-
-// Extract account data from message
-function extractAccountData(message) {
-  const accountData = {
-    Name: 'Account from Slack',
-    Type: 'Customer'
-  };
-  
-  // Try to extract account name
-  const nameMatch = message.match(/(?:account|company)\s+(?:for|named)\s+([A-Za-z0-9\s&.,-]+)/i);
-  if (nameMatch) {
-    accountData.Name = nameMatch[1].trim();
-  }
-  
-  return accountData;
-}
-
-// Extract case data from message
-function extractCaseData(message) {
-  const caseData = {
-    Subject: 'Case from Slack',
-    Status: 'New',
-    Priority: 'Medium'
-  };
-  
-  // Try to extract case subject
-  const subjectMatch = message.match(/(?:case|issue|problem)\s+(?:about|for)\s+([A-Za-z0-9\s&.,-]+)/i);
-  if (subjectMatch) {
-    caseData.Subject = subjectMatch[1].trim();
-  }
-  
-  return caseData;
-}
-
-// Extract task data from message
-function extractTaskData(message) {
-  const taskData = {
-    Subject: 'Task from Slack',
-    Status: 'Not Started',
-    Priority: 'Normal'
-  };
-  
-  // Try to extract task subject
-  const subjectMatch = message.match(/(?:task|reminder|follow-up)\s+(?:to|about|for)\s+([A-Za-z0-9\s&.,-]+)/i);
-  if (subjectMatch) {
-    taskData.Subject = subjectMatch[1].trim();
-  }
-  
-  return taskData;
-}
-
 // Extract phone number from message
 function extractPhoneNumber(message) {
   // Match various phone number formats
@@ -551,64 +257,40 @@ function extractPhoneNumber(message) {
   return null;
 }
 
-// Extract email from message
-function extractEmail(message) {
-  const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-  const match = message.match(emailRegex);
-  return match ? match[0] : null;
-}
-
-// Extract account name from message
-function extractAccountName(message) {
-  // Look for patterns like "account named X", "account called X", etc.
-  const patterns = [
-    /account\s+(?:named|called)\s+([A-Za-z0-9\s&.,-]+)/i,
-    /lookup\s+account\s+([A-Za-z0-9\s&.,-]+)/i,
-    /find\s+account\s+([A-Za-z0-9\s&.,-]+)/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = message.match(pattern);
-    if (match) {
-      return match[1].trim();
-    }
-  }
-  return null;
-}
-
-// Extract lead name from message
-function extractLeadName(message) {
-  // Look for patterns like "lead named X", "lead called X", etc.
-  const patterns = [
-    /lead\s+(?:named|called)\s+([A-Za-z0-9\s&.,-]+)/i,
-    /lookup\s+lead\s+([A-Za-z0-9\s&.,-]+)/i,
-    /find\s+lead\s+([A-Za-z0-9\s&.,-]+)/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = message.match(pattern);
-    if (match) {
-      return match[1].trim();
-    }
+// Fields returned by person (Contact/Lead) lookups
+const PERSON_LOOKUP_FIELDS = {
+  Contact: ['Id', 'Name', 'Phone', 'Email', 'Account.Name'],
+  Lead: ['Id', 'Name', 'Email', 'Phone', 'Company', 'Status', 'LeadSource']
+};
+
+// Find Contacts or Leads where a field matches a value
+async function findPeople(objectType, field, operator, value, salesforceClient, mode) {
+  const soql = soqlBuilder.from(objectType)
+    .select(PERSON_LOOKUP_FIELDS[objectType])
+    .where(field, operator, value, mode)
+    .limit(5)
+    .build();
+  const result = await salesforceClient.queryRecords(soql);
+  if (!result.success) {
+    throw new Error(result.error);
   }
-  return null;
+  return result.records;
 }
 
 // Lookup contact by phone number
-async function lookupContactByPhone(phoneNumber, tokens) {
+async function lookupContactByPhone(phoneNumber, salesforceClient) {
   try {
-    const soql = `SELECT Id, Name, Phone, Email, Account.Name FROM Contact WHERE Phone = '${phoneNumber}' LIMIT 5`;
-    const result = await salesforceService.queryRecords(soql, tokens.access_token);
+    const records = await findPeople('Contact', 'Phone', '=', phoneNumber, salesforceClient);
     
-    if (result.success && result.records.length > 0) {
+    if (records.length > 0) {
       let response = `📞 **Contact Lookup Results for ${phoneNumber}:**\n\n`;
       
-      result.records.forEach((contact, index) => {
+      records.forEach((contact, index) => {
         response += `**${index + 1}. ${contact.Name}**\n`;
         response += `   • Phone: ${contact.Phone || 'N/A'}\n`;
         response += `   • Email: ${contact.Email || 'N/A'}\n`;
         response += `   • Account: ${contact.Account?.Name || 'N/A'}\n`;
-        response += `   • [View in Salesforce](${salesforceService.baseUrl}/lightning/r/Contact/${contact.Id}/view)\n\n`;
+        response += `   • [View in Salesforce](${salesforceClient.recordUrl('Contact', contact.Id)})\n\n`;
       });
       
       return response;
@@ -622,20 +304,19 @@ async function lookupContactByPhone(phoneNumber, tokens) {
 }
 
 // Lookup contact by email
-async function lookupContactByEmail(email, tokens) {
+async function lookupContactByEmail(email, salesforceClient) {
   try {
-    const soql = `SELECT Id, Name, Phone, Email, Account.Name FROM Contact WHERE Email = '${email}' LIMIT 5`;
-    const result = await salesforceService.queryRecords(soql, tokens.access_token);
+    const records = await findPeople('Contact', 'Email', '=', email, salesforceClient);
     
-    if (result.success && result.records.length > 0) {
+    if (records.length > 0) {
       let response = `📧 **Contact Lookup Results for ${email}:**\n\n`;
       
-      result.records.forEach((contact, index) => {
+      records.forEach((contact, index) => {
         response += `**${index + 1}. ${contact.Name}**\n`;
         response += `   • Phone: ${contact.Phone || 'N/A'}\n`;
         response += `   • Email: ${contact.Email || 'N/A'}\n`;
         response += `   • Account: ${contact.Account?.Name || 'N/A'}\n`;
-        response += `   • [View in Salesforce](${salesforceService.baseUrl}/lightning/r/Contact/${contact.Id}/view)\n\n`;
+        response += `   • [View in Salesforce](${salesforceClient.recordUrl('Contact', contact.Id)})\n\n`;
       });
       
       return response;
@@ -649,10 +330,14 @@ async function lookupContactByEmail(email, tokens) {
 }
 
 // Lookup account by name
-async function lookupAccountByName(accountName, tokens) {
+async function lookupAccountByName(accountName, salesforceClient) {
   try {
-    const soql = `SELECT Id, Name, Phone, Website, Industry, BillingCity, BillingState FROM Account WHERE Name LIKE '%${accountName}%' LIMIT 5`;
-    const result = await salesforceService.queryRecords(soql, tokens.access_token);
+    const soql = soqlBuilder.from('Account')
+      .select(['Id', 'Name', 'Phone', 'Website', 'Industry', 'BillingCity', 'BillingState'])
+      .where('Name', 'LIKE', accountName)
+      .limit(5)
+      .build();
+    const result = await salesforceClient.queryRecords(soql);
     
     if (result.success && result.records.length > 0) {
       let response = `🏢 **Account Lookup Results for "${accountName}":**\n\n`;
@@ -663,7 +348,7 @@ async function lookupAccountByName(accountName, tokens) {
         response += `   • Website: ${account.Website || 'N/A'}\n`;
         response += `   • Industry: ${account.Industry || 'N/A'}\n`;
         response += `   • Location: ${account.BillingCity || 'N/A'}${account.BillingState ? `, ${account.BillingState}` : ''}\n`;
-        response += `   • [View in Salesforce](${salesforceService.baseUrl}/lightning/r/Account/${account.Id}/view)\n\n`;
+        response += `   • [View in Salesforce](${salesforceClient.recordUrl('Account', account.Id)})\n\n`;
       });
       
       return response;
@@ -677,31 +362,23 @@ async function lookupAccountByName(accountName, tokens) {
 }
 
 // Lookup lead by email or name
-async function lookupLeadByEmailOrName(searchTerm, tokens) {
+async function lookupLeadByEmailOrName(searchTerm, salesforceClient) {
   try {
     // Check if it's an email format
     const isEmail = searchTerm.includes('@');
-    let soql;
-    
-    if (isEmail) {
-      soql = `SELECT Id, Name, Email, Phone, Company, Status, LeadSource FROM Lead WHERE Email = '${searchTerm}' LIMIT 5`;
-    } else {
-      soql = `SELECT Id, Name, Email, Phone, Company, Status, LeadSource FROM Lead WHERE Name LIKE '%${searchTerm}%' LIMIT 5`;
-    }
+    const records = await findPeople('Lead', isEmail ? 'Email' : 'Name', isEmail ? '=' : 'LIKE', searchTerm, salesforceClient);
     
-    const result = await salesforceService.queryRecords(soql, tokens.access_token);
-    
-    if (result.success && result.records.length > 0) {
+    if (records.length > 0) {
       let response = `🎯 **Lead Lookup Results for "${searchTerm}":**\n\n`;
       
-      result.records.forEach((lead, index) => {
+      records.forEach((lead, index) => {
         response += `**${index + 1}. ${lead.Name}**\n`;
         response += `   • Email: ${lead.Email || 'N/A'}\n`;
         response += `   • Phone: ${lead.Phone || 'N/A'}\n`;
         response += `   • Company: ${lead.Company || 'N/A'}\n`;
         response += `   • Status: ${lead.Status || 'N/A'}\n`;
         response += `   • Source: ${lead.LeadSource || 'N/A'}\n`;
-        response += `   • [View in Salesforce](${salesforceService.baseUrl}/lightning/r/Lead/${lead.Id}/view)\n\n`;
+        response += `   • [View in Salesforce](${salesforceClient.recordUrl('Lead', lead.Id)})\n\n`;
       });
       
       return response;
@@ -714,364 +391,828 @@ async function lookupLeadByEmailOrName(searchTerm, tokens) {
   }
 }
 
-// GROK API integration function with conversation context and integration support
-async function callGrokAPI(message, userId, conversationHistory = [], teamId = null) {
-  try {
-    console.log('Calling GROK API with message:', message);
-    console.log('XAI_API_KEY available:', !!process.env.XAI_API_KEY);
-    
-    // Get available integrations for this team
-    let availableIntegrations = [];
-    if (teamId) {
-      availableIntegrations = await redisService.listIntegrations(teamId);
-    }
-    
-    // Check if this is a Jira ticket creation request
-    const isJiraTicketRequest = message.toLowerCase().includes('create') && 
-                               (message.toLowerCase().includes('jira') || message.toLowerCase().includes('ticket'));
-    
-    console.log('Jira detection debug:', {
-      message: message,
-      isJiraTicketRequest: isJiraTicketRequest,
-      availableIntegrations: availableIntegrations,
-      teamId: teamId
-    });
-    
-    if (isJiraTicketRequest && availableIntegrations.includes('jira')) {
-      console.log('Detected Jira ticket creation request');
-      
-      // Extract ticket details from the message
-      const ticketSummary = message.replace(/create.*?(?:jira\s+)?ticket\s*(?:about|for)?\s*/i, '').trim() || 'Ticket created via Slack AI Assistant';
-      
-      try {
-        // Create the Jira ticket
-        const result = await integrationService.handleIntegration('jira', 'create_ticket', {
-          summary: ticketSummary,
-          description: `Ticket created via Slack AI Assistant\n\nOriginal request: ${message}`,
-          issueType: 'Task'
-        }, teamId);
-        
-        if (result.success) {
-          return `✅ Created Jira ticket ${result.ticketKey}: ${result.message}\n\n🔗 ${result.ticketUrl}`;
-        } else {
-          return `❌ Failed to create Jira ticket: ${result.error || 'Unknown error'}`;
-        }
-      } catch (error) {
-        console.error('Error creating Jira ticket:', error);
-        return `❌ Failed to create Jira ticket: ${error.message}`;
-      }
-    }
-    
-    // Check if this is a Salesforce request
-    const salesforceTokens = await redisService.getSalesforceTokens(teamId, userId);
-    if (salesforceTokens) {
-      console.log('Salesforce tokens found for user:', userId);
-      
-      // Set the Salesforce instance URL
-      salesforceService.setInstanceUrl(salesforceTokens.instance_url);
-      
-      // Check for Salesforce operations - pass conversation history for context
-      const salesforceResult = await handleSalesforceRequest(message, salesforceTokens, userId, conversationHistory);
-      if (salesforceResult) {
-        return salesforceResult;
-      }
+// Digits of a phone number for comparing differently formatted numbers
+function phoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+// Edit distance between two strings, used for catching typos in names
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
     }
-    
-    // Get user-specific system prompt configuration - aggregate from all team IDs for enterprise installs
-    let userSystemPrompt = null;
-    if (teamId && userId) {
-      // For enterprise installs, try to get system prompt from enterprise ID first, then fall back to team IDs
-      if (teamId.startsWith('E')) {
-        // This is an enterprise ID, check enterprise first
-      userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
-        console.log('Enterprise system prompt for chat:', userSystemPrompt ? 'Found' : 'Not found');
-        
-        // If not found in enterprise, check known team IDs
-        if (!userSystemPrompt) {
-          const knownTeamIds = ['T06HQGPEVBL', 'T06JDB9ES9W'];
-          for (const teamId of knownTeamIds) {
-            const teamPrompt = await redisService.getUserSystemPrompt(teamId, userId);
-            if (teamPrompt) {
-              userSystemPrompt = teamPrompt;
-              console.log(`Found system prompt for chat in team ${teamId}`);
-              break;
-            }
-          }
-        }
-      } else {
-        // Non-enterprise: use team-specific data
-        userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
-      }
+  }
+  return row[b.length];
+}
+
+// Loose person-name match: same last name with the same first name or initial, or a typo or two
+function namesLookAlike(existingName, newName) {
+  const parts = (name) => String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').split(/\s+/).filter(Boolean);
+  const existing = parts(existingName);
+  const wanted = parts(newName);
+  if (existing.length === 0 || wanted.length === 0) return false;
+
+  const existingFull = existing.join(' ');
+  const wantedFull = wanted.join(' ');
+  const allowedTypos = wantedFull.length > 10 ? 2 : 1;
+  if (existingFull === wantedFull || editDistance(existingFull, wantedFull) <= allowedTypos) return true;
+
+  const sameLast = existing[existing.length - 1] === wanted[wanted.length - 1];
+  if (!sameLast) return false;
+  if (existing.length === 1 || wanted.length === 1) return true;
+
+  // "J. Doe" matches "Jane Doe", but "John Doe" does not
+  const isInitial = existing[0].length === 1 || wanted[0].length === 1;
+  return existing[0] === wanted[0] || (isInitial && existing[0][0] === wanted[0][0]);
+}
+
+// Find existing Leads and Contacts that look like the person about to be created,
+// by email, phone and fuzzy name. Each match lists the reasons it was flagged.
+async function findDuplicatePeople(fields, salesforceClient) {
+  const matches = new Map();
+  const addMatch = (objectType, record, reason) => {
+    const match = matches.get(record.Id) || {
+      objectType,
+      Id: record.Id,
+      name: record.Name,
+      email: record.Email || null,
+      phone: record.Phone || null,
+      company: record.Company || record.Account?.Name || null,
+      url: salesforceClient.recordUrl(objectType, record.Id),
+      reasons: []
+    };
+    if (!match.reasons.includes(reason)) match.reasons.push(reason);
+    matches.set(record.Id, match);
+  };
+
+  const fullName = [fields.FirstName, fields.LastName].filter(Boolean).join(' ');
+  const digits = phoneDigits(fields.Phone);
+  const searches = [];
+
+  // The same person is often already in Salesforce as the other type
+  for (const objectType of ['Lead', 'Contact']) {
+    if (fields.Email) {
+      searches.push(findPeople(objectType, 'Email', '=', fields.Email, salesforceClient)
+        .then(records => records.forEach(record => addMatch(objectType, record, 'same email'))));
     }
-    
-    // Build system prompt with integration capabilities and user preferences
-    let systemPrompt = 'You are a helpful AI assistant integrated into Slack. Be concise and helpful in your responses. Maintain context from previous messages in the conversation.';
-    
-    // Add user-specific behavior settings
-    if (userSystemPrompt) {
-      systemPrompt += `\n\nUser-specific behavior settings:`;
-      systemPrompt += `\n- Response tone: ${userSystemPrompt.tone}`;
-      systemPrompt += `\n- Business context: ${userSystemPrompt.businessType}`;
-      
-      if (userSystemPrompt.companyName) {
-        systemPrompt += `\n- Company: ${userSystemPrompt.companyName}`;
-      }
-      
-      if (userSystemPrompt.additionalDirections) {
-        systemPrompt += `\n- Additional directions: ${userSystemPrompt.additionalDirections}`;
-      }
+    if (digits.length >= 7) {
+      searches.push(findPeople(objectType, 'Phone', 'LIKE', digits.slice(-4), salesforceClient)
+        .then(records => records
+          .filter(record => phoneDigits(record.Phone) === digits)
+          .forEach(record => addMatch(objectType, record, 'same phone'))));
     }
-    
-    if (availableIntegrations.length > 0) {
-      systemPrompt += `\n\nYou have access to the following integrations: ${availableIntegrations.join(', ')}. When users ask about creating tickets, searching issues, or other integration tasks, you can help them with these tools.`;
+    if (fields.LastName) {
+      searches.push(findPeople(objectType, 'Name', 'LIKE', fields.LastName, salesforceClient)
+        .then(records => records
+          .filter(record => namesLookAlike(record.Name, fullName))
+          .forEach(record => addMatch(objectType, record, 'similar name'))));
     }
-    
-    // Build messages array with conversation history
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt
-      },
-      ...conversationHistory,
-      {
-        role: 'user',
-        content: message
-      }
-    ];
-    
-    const requestBody = {
-      model: 'grok-2',
-      messages: messages,
-      max_tokens: 1000,
-      temperature: 0.7
-    };
-    
-    console.log('Request body:', JSON.stringify(requestBody, null, 2));
-    
-    const response = await axios.post('https://api.x.ai/v1/chat/completions', requestBody, {
-      headers: {
-        'Authorization': `Bearer ${process.env.XAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    console.log('GROK API Response:', response.data);
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    console.error('GROK API Error:', error.response?.data || error.message);
-    console.error('Full error:', error);
-    throw new Error('Failed to get AI response');
   }
+
+  await Promise.all(searches);
+  return Array.from(matches.values())
+    .sort((a, b) => b.reasons.length - a.reasons.length)
+    .slice(0, 5);
 }
 
-// Helper function to get conversation history from thread
-async function getConversationHistory(client, channelId, threadTs) {
-  try {
-    const result = await client.conversations.replies({
-      channel: channelId,
-      ts: threadTs,
-      limit: 20 // Get last 20 messages for context
-    });
-    
-    const messages = [];
-    for (const message of result.messages) {
-      // Skip the first message (original mention)
-      if (message.ts === threadTs) continue;
-      
-      // Determine role based on whether it's from a bot or user
-      const role = message.bot_id ? 'assistant' : 'user';
-      messages.push({
-        role: role,
-        content: message.text
+// ============================================================================
+// AI TOOLS - integration actions the model can call
+// ============================================================================
+
+// Maximum model ↔ tool round trips for a single user message
+const MAX_TOOL_ROUNDS = 5;
+
+// Writes go through the user's own connection so the record owner is right. Returns an
+// error result for the model when the user only has the workspace (read-only) connection.
+function requirePersonalSalesforce(context) {
+  return context.salesforceIdentity === 'personal' ? null : {
+    success: false,
+    error: 'Nothing was changed. Creating or updating Salesforce records needs your own Salesforce connection - connect it from the App Home. The workspace connection is only used for lookups.'
+  };
+}
+
+// Salesforce record types the model can create. Fields come from entityExtractor's schemas.
+const SALESFORCE_CREATORS = {
+  Lead: (data, context) => context.salesforceClient.createLead(data),
+  Contact: (data, context) => context.salesforceClient.createContact(data),
+  Opportunity: (data, context) => context.salesforceClient.createOpportunity(data),
+  Account: (data, context) => context.salesforceClient.createAccount(data),
+  Case: (data, context) => context.salesforceClient.createCase(data),
+  Task: (data, context) => context.salesforceClient.createTask(data)
+};
+
+toolRegistry.register({
+  name: 'jira_create_ticket',
+  integration: 'jira',
+  description: 'Create a Jira issue. Only use when the user explicitly asks to open/file/create a Jira ticket or issue.',
+  parameters: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One-line issue summary' },
+      description: { type: 'string', description: 'Issue description with relevant details from the conversation' },
+      issueType: { type: 'string', description: 'Issue type, e.g. Task, Bug, Story. Defaults to Task.' },
+      project: { type: 'string', description: 'Project key. Omit to use the workspace default project.' }
+    },
+    required: ['summary']
+  },
+  handler: async (args, context) => {
+    const result = await integrationService.handleIntegration('jira', 'create_ticket', {
+      summary: args.summary,
+      description: args.description || `Ticket created via Slack AI Assistant\n\nOriginal request: ${context.message}`,
+      issueType: args.issueType || 'Task',
+      project: args.project
+    }, context.teamId);
+
+    // Keep the conversation and the issue in step from here on
+    await jiraThreadSync.linkThread(context.teamId, context.channel, context.threadTs, result.ticketKey);
+    return result;
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_get_ticket',
+  integration: 'jira',
+  description: 'Get the details of a Jira issue by its key, e.g. PROJ-123, and post its card with buttons to transition, assign, comment, edit and link it.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'Issue key, e.g. PROJ-123' }
+    },
+    required: ['ticketKey']
+  },
+  handler: async (args, context) => {
+    if (!context.client || !context.channel) {
+      return await integrationService.handleIntegration('jira', 'get_ticket', { ticketKey: args.ticketKey }, context.teamId);
+    }
+
+    const issue = await jiraIssueCards.loadIssue(context.teamId, args.ticketKey);
+    await context.client.chat.postMessage({
+      channel: context.channel,
+      thread_ts: context.threadTs || undefined,
+      text: `Jira issue ${issue.key}`,
+      blocks: jiraIssueCards.issueCardBlocks(issue),
+      unfurl_links: false
+    });
+
+    const { transitions, ...ticket } = issue;
+    return {
+      success: true,
+      ticket,
+      message: 'The issue card has been posted in the conversation. Answer the question briefly; do not repeat the card.'
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_search_tickets',
+  integration: 'jira',
+  description: 'Search Jira issues from a question, e.g. "what bugs are assigned to me in the current sprint". The question is translated to JQL and the results are posted as a paged list in the conversation. Use refine for follow-ups that change the previous search, e.g. "only high priority" or "what about last sprint".',
+  parameters: {
+    type: 'object',
+    properties: {
+      question: { type: 'string', description: 'The question, restated with all the filters the user gave; for a refinement, just the change' },
+      refine: { type: 'boolean', description: 'True when the question narrows or changes the previous Jira search in this conversation' }
+    },
+    required: ['question']
+  },
+  handler: async (args, context) => {
+    const { searchState, tickets } = await jiraSearch.runQuestion(args.question, context, { refine: args.refine === true });
+
+    if (context.client && context.channel) {
+      await context.client.chat.postMessage({
+        channel: context.channel,
+        thread_ts: context.threadTs || undefined,
+        text: `${searchState.total} Jira issues`,
+        blocks: jiraSearch.searchResultsBlocks(searchState, tickets, 0),
+        unfurl_links: false
       });
     }
-    
-    console.log('Conversation history:', messages);
-    return messages;
-  } catch (error) {
-    console.error('Error getting conversation history:', error);
-    return [];
+
+    return {
+      success: true,
+      jql: searchState.jql,
+      total: searchState.total,
+      tickets,
+      message: 'The results list, with the JQL used, has been posted in the conversation. Summarize the results briefly instead of listing every issue.' +
+        (searchState.askerUnmatched ? ' The user could not be matched to a Jira account by their Slack email address, so conditions about "me" were left out; tell them so.' : '')
+    };
   }
-}
+});
 
-// Listen to messages that mention the bot
-app.event('app_mention', async ({ event, say, client }) => {
-  try {
-    // Extract the message text without the mention
-    const messageText = event.text.replace(/<@[^>]+>/g, '').trim();
-    
-    if (!messageText) {
-      await say('Hello! How can I help you today?');
-      return;
+toolRegistry.register({
+  name: 'jira_transition_ticket',
+  integration: 'jira',
+  description: 'Move a Jira issue through its workflow, e.g. "move PROJ-123 to In Progress". Omit transition to list the transitions the issue can take.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'Issue key, e.g. PROJ-123' },
+      transition: { type: 'string', description: 'Transition name or the status to move to, e.g. "Done"' }
+    },
+    required: ['ticketKey']
+  },
+  handler: async (args, context) => {
+    return await jiraActions.transitionTicket(context.teamId, args.ticketKey, args.transition);
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_add_comment',
+  integration: 'jira',
+  description: 'Add a comment to a Jira issue on behalf of the user.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'Issue key, e.g. PROJ-123' },
+      comment: { type: 'string', description: 'Comment text' }
+    },
+    required: ['ticketKey', 'comment']
+  },
+  handler: async (args, context) => {
+    return await jiraActions.commentAsSlackUser(context.client, context.teamId, args.ticketKey, context.userId, args.comment);
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_assign_ticket',
+  integration: 'jira',
+  description: 'Assign a Jira issue. The assignee can be "me" (the user), a Slack mention like <@U123>, an email address, a name, or "unassigned".',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'Issue key, e.g. PROJ-123' },
+      assignee: { type: 'string', description: '"me", a Slack mention, an email address, a name, or "unassigned"' }
+    },
+    required: ['ticketKey', 'assignee']
+  },
+  handler: async (args, context) => {
+    return await jiraActions.assignTicket(context.client, context.teamId, args.ticketKey, args.assignee, context.userId);
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_update_fields',
+  integration: 'jira',
+  description: 'Change the summary, description, priority, labels or due date of a Jira issue. Only pass the fields to change.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'Issue key, e.g. PROJ-123' },
+      summary: { type: 'string', description: 'New one-line summary' },
+      description: { type: 'string', description: 'New description' },
+      priority: { type: 'string', description: 'Priority name, e.g. High' },
+      labels: { type: 'array', items: { type: 'string' }, description: 'The complete new list of labels' },
+      dueDate: { type: 'string', description: 'Due date as YYYY-MM-DD, or "" to clear it' }
+    },
+    required: ['ticketKey']
+  },
+  handler: async (args, context) => {
+    return await jiraActions.updateFields(context.teamId, args.ticketKey, {
+      summary: args.summary,
+      description: args.description,
+      priority: args.priority,
+      labels: args.labels,
+      dueDate: args.dueDate
+    });
+  }
+});
+
+toolRegistry.register({
+  name: 'jira_link_issues',
+  integration: 'jira',
+  description: 'Link two Jira issues, e.g. "PROJ-1 blocks PROJ-2" or "PROJ-3 relates to PROJ-4". If the relationship is unknown, the available ones are returned.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketKey: { type: 'string', description: 'The issue the relationship is stated from, e.g. PROJ-1' },
+      relationship: { type: 'string', description: 'Relationship phrase, e.g. "blocks", "is blocked by", "relates to", "duplicates"' },
+      otherTicketKey: { type: 'string', description: 'The other issue, e.g. PROJ-2' }
+    },
+    required: ['ticketKey', 'relationship', 'otherTicketKey']
+  },
+  handler: async (args, context) => {
+    return await jiraActions.linkIssues(context.teamId, args.ticketKey, args.relationship, args.otherTicketKey);
+  }
+});
+
+toolRegistry.register({
+  name: 'salesforce_create_record',
+  integration: 'salesforce',
+  description: 'Create a Salesforce record (Lead, Contact, Opportunity, Account, Case or Task) from the details in the conversation. Only use when the user asks to create one.',
+  parameters: {
+    type: 'object',
+    properties: {
+      objectType: { type: 'string', enum: Object.keys(SALESFORCE_CREATORS) },
+      accountName: { type: 'string', description: 'Name of the account a Contact, Opportunity or Case belongs to, only when the user names one. Omit to use the account of a channel linked to one.' }
+    },
+    required: ['objectType']
+  },
+  handler: async (args, context) => {
+    const personalRequired = requirePersonalSalesforce(context);
+    if (personalRequired) {
+      return personalRequired;
     }
 
-    // Show typing indicator (with fallback)
-    try {
-      await client.conversations.mark({
-        channel: event.channel,
-        ts: event.ts
-      });
-    } catch (markError) {
-      console.log('Could not mark conversation as read:', markError.message);
-      // Continue without marking - not critical
+    const create = SALESFORCE_CREATORS[args.objectType];
+    if (!create) {
+      return { success: false, error: `Cannot create records of type ${args.objectType}` };
     }
 
-    // Get conversation history if this is a thread reply
-    let conversationHistory = [];
-    if (event.thread_ts) {
-      conversationHistory = await getConversationHistory(client, event.channel, event.thread_ts);
+    // Continue the draft already being collected in this conversation, if any
+    const existingDraft = await salesforceDrafts.getDraft(context.teamId, context.channel, context.threadTs);
+    const existingFields = existingDraft?.objectType === args.objectType ? existingDraft.fields : {};
+
+    const extraction = await entityExtractor.extract(args.objectType, context.fullConversation, {
+      teamId: context.teamId,
+      existingFields
+    });
+    console.log(`Extracted ${args.objectType} fields:`, extraction);
+
+    // Records belong to the account the user named, or else to a customer channel's account
+    let account = null;
+    if (channelAccounts.ACCOUNT_LOOKUP_OBJECTS.includes(args.objectType)) {
+      if (args.accountName) {
+        const { account: named, candidates } = await channelAccounts.findAccount(context.salesforceClient, args.accountName);
+        if (!named) {
+          return {
+            success: false,
+            needsUserInput: true,
+            error: candidates.length > 0
+              ? `Several accounts match "${args.accountName}": ${candidates.map(candidate => candidate.Name).join(', ')}. Ask the user which one they mean.`
+              : `No account named "${args.accountName}" was found. Ask the user to check the account name.`
+          };
+        }
+        account = { Id: named.Id, Name: named.Name };
+      } else if (existingDraft?.objectType === args.objectType && existingDraft.account) {
+        account = existingDraft.account;
+      } else if (context.channelAccount) {
+        account = { Id: context.channelAccount.accountId, Name: context.channelAccount.accountName };
+      }
     }
 
-    // Get AI response from GROK with conversation context
-    const aiResponse = await callGrokAPI(messageText, event.user, conversationHistory, event.team);
-    
-    // Reply with the AI response in the same thread
-    await say({
-      text: aiResponse,
-      thread_ts: event.ts
+    const draft = await salesforceDrafts.saveDraft({
+      objectType: args.objectType,
+      fields: extraction.data,
+      account,
+      errors: extraction.errors,
+      teamId: context.teamId,
+      channelId: context.channel,
+      threadTs: context.threadTs || null,
+      userId: context.userId,
+      createdAt: existingDraft?.createdAt || new Date().toISOString(),
+      draftId: salesforceDrafts.newDraftId()
     });
-  } catch (error) {
-    console.error('Error processing mention:', error);
-    console.error('Error details:', error.message);
-    
-    // Debug missing scopes
-    if (error.data && error.data.response_metadata) {
-      console.error('Missing scopes:', error.data.response_metadata.scopes);
-      console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
+    if (!draft) {
+      return { success: false, error: 'Could not save the draft record. Please try again.' };
     }
-    
-    await say({
-      text: `Sorry, I encountered an error: ${error.message}. Please try again.`,
-      thread_ts: event.ts
+
+    // Never create a record with placeholder values: ask for what is missing or invalid instead
+    if (draft.status === 'collecting') {
+      return {
+        success: false,
+        needsUserInput: true,
+        extractedFields: draft.fields,
+        missingFields: draft.missing.map(field => field.label),
+        invalidFields: extraction.errors,
+        message: `Nothing was created. Ask the user for the missing or invalid ${args.objectType} details.`
+      };
+    }
+
+    // Before creating a person, check whether they are already in Salesforce
+    if (PERSON_LOOKUP_FIELDS[args.objectType]) {
+      const duplicates = await findDuplicatePeople(draft.fields, context.salesforceClient);
+      if (duplicates.length > 0) {
+        const duplicateDraft = { ...draft, duplicates };
+        const card = await context.client.chat.postMessage({
+          channel: context.channel,
+          thread_ts: context.threadTs || undefined,
+          text: `This ${args.objectType} may already exist in Salesforce`,
+          blocks: salesforceDrafts.duplicateCardBlocks(duplicateDraft)
+        });
+        await salesforceDrafts.saveDraft({ ...duplicateDraft, cardTs: card.ts });
+
+        return {
+          success: true,
+          awaitingDecision: true,
+          possibleDuplicates: duplicates.map(match => `${match.name} (${match.objectType}: ${match.reasons.join(', ')})`),
+          message: 'Possible duplicates were found and a card was posted. Nothing has been created yet; tell the user to pick Use existing, Create anyway or Cancel.'
+        };
+      }
+    }
+
+    // Everything is there: show the record and wait for an explicit confirmation
+    const card = await context.client.chat.postMessage({
+      channel: context.channel,
+      thread_ts: context.threadTs || undefined,
+      text: `Please confirm the new ${args.objectType}`,
+      blocks: salesforceDrafts.confirmationCardBlocks(draft)
     });
+    await salesforceDrafts.saveDraft({ ...draft, cardTs: card.ts });
+
+    return {
+      success: true,
+      awaitingConfirmation: true,
+      fields: draft.fields,
+      message: `A confirmation card was posted. Nothing has been created yet; tell the user to review the ${args.objectType} and click Confirm, Edit or Cancel.`
+    };
   }
 });
 
-// Slash command handler
-app.command('/ai', async ({ command, ack, say, respond }) => {
-  await ack();
+toolRegistry.register({
+  name: 'salesforce_find_contact',
+  integration: 'salesforce',
+  description: 'Look up Salesforce Contacts by phone number or email address.',
+  parameters: {
+    type: 'object',
+    properties: {
+      phone: { type: 'string', description: 'Phone number' },
+      email: { type: 'string', description: 'Email address' }
+    }
+  },
+  handler: async (args, context) => {
+    if (args.email) {
+      return await lookupContactByEmail(args.email, context.salesforceClient);
+    }
+    const phoneNumber = args.phone ? extractPhoneNumber(args.phone) || args.phone : null;
+    if (phoneNumber) {
+      return await lookupContactByPhone(phoneNumber, context.salesforceClient);
+    }
+    return { success: false, error: 'Provide a phone number or email address to look up' };
+  }
+});
 
-  try {
-    const query = command.text.trim();
-    
-    if (!query) {
-      await respond('Please provide a question or request. Usage: `/ai <your question>`');
-      return;
+toolRegistry.register({
+  name: 'salesforce_find_account',
+  integration: 'salesforce',
+  description: 'Look up Salesforce Accounts by (partial) name.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Account name or part of it' }
+    },
+    required: ['name']
+  },
+  handler: async (args, context) => {
+    return await lookupAccountByName(args.name, context.salesforceClient);
+  }
+});
+
+toolRegistry.register({
+  name: 'salesforce_find_lead',
+  integration: 'salesforce',
+  description: 'Look up Salesforce Leads by email address or name.',
+  parameters: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', description: 'Email address' },
+      name: { type: 'string', description: 'Lead name or part of it' }
     }
+  },
+  handler: async (args, context) => {
+    const searchTerm = args.email || args.name;
+    if (!searchTerm) {
+      return { success: false, error: 'Provide an email address or name to look up' };
+    }
+    return await lookupLeadByEmailOrName(searchTerm, context.salesforceClient);
+  }
+});
 
-    // Show typing indicator
-    await say('Thinking... 🤔');
+toolRegistry.register({
+  name: 'salesforce_query',
+  integration: 'salesforce',
+  description: 'Answer a question about Salesforce data by running a read-only query, e.g. "my open opportunities closing this quarter over $50k". Results are posted as a table in the conversation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      objectType: { type: 'string', enum: salesforceQuery.QUERYABLE_OBJECTS, description: 'The object the question is about' },
+      question: { type: 'string', description: 'The question, restated with all the filters the user gave' }
+    },
+    required: ['objectType', 'question']
+  },
+  handler: async (args, context) => {
+    const queryState = await salesforceQuery.runQuestion(args.question, args.objectType, context.salesforceClient, {
+      teamId: context.teamId,
+      userId: context.userId
+    });
 
-    // Get AI response from GROK
-    const aiResponse = await callGrokAPI(query, command.user_id, [], command.team_id);
-    
-    // Reply with the AI response
-    await respond({
-      text: aiResponse,
-      response_type: 'in_channel'
+    if (context.client && context.channel) {
+      await context.client.chat.postMessage({
+        channel: context.channel,
+        thread_ts: context.threadTs || undefined,
+        text: `${queryState.totalSize} ${queryState.objectType} records`,
+        blocks: salesforceQuery.queryResultsBlocks(queryState, 0)
+      });
+    }
+
+    return {
+      success: true,
+      soql: queryState.soql,
+      totalSize: queryState.totalSize,
+      records: queryState.records.slice(0, 10),
+      message: 'The full results table has been posted in the conversation. Summarize the results briefly instead of listing every record.'
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'salesforce_update_record',
+  integration: 'salesforce',
+  description: 'Change fields on an existing Salesforce record, e.g. "move the Acme opportunity to Negotiation and set amount to 120k". The user confirms the change on a before/after card before anything is saved.',
+  parameters: {
+    type: 'object',
+    properties: {
+      objectType: { type: 'string', enum: Object.keys(salesforceUpdates.NAME_FIELDS) },
+      record: { type: 'string', description: 'Name (or part of it) or Id of the record to update' },
+      changes: {
+        type: 'object',
+        description: 'New values keyed by field API name or label, e.g. {"StageName": "Negotiation", "Amount": "120000"}',
+        additionalProperties: { type: 'string' }
+      }
+    },
+    required: ['objectType', 'record', 'changes']
+  },
+  handler: async (args, context) => {
+    const personalRequired = requirePersonalSalesforce(context);
+    if (personalRequired) {
+      return personalRequired;
+    }
+
+    const describe = await salesforceQuery.describeObject(context.salesforceClient, args.objectType);
+    const { changes, fields, errors } = salesforceUpdates.resolveChanges(describe, args.changes);
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        needsUserInput: true,
+        invalidFields: errors,
+        message: 'Nothing was changed. Explain the problems to the user and ask for valid values.'
+      };
+    }
+    if (Object.keys(changes).length === 0) {
+      return { success: false, error: 'No field changes were given' };
+    }
+
+    const candidates = await salesforceUpdates.findRecords(context.salesforceClient, args.objectType, describe, args.record);
+    if (candidates.length === 0) {
+      return { success: false, error: `No ${args.objectType} found matching "${args.record}"` };
+    }
+
+    let update = {
+      objectType: args.objectType,
+      search: args.record,
+      changes,
+      fields,
+      candidates,
+      record: null,
+      teamId: context.teamId,
+      channelId: context.channel,
+      threadTs: context.threadTs || null,
+      userId: context.userId
+    };
+
+    // Several matches: let the user pick the right record before showing the diff
+    if (candidates.length > 1) {
+      update = await salesforceUpdates.saveUpdate(update);
+      const card = await context.client.chat.postMessage({
+        channel: context.channel,
+        thread_ts: context.threadTs || undefined,
+        text: `Which ${args.objectType} should be updated?`,
+        blocks: salesforceUpdates.chooseRecordBlocks(update)
+      });
+      await salesforceUpdates.saveUpdate({ ...update, cardTs: card.ts });
+
+      return {
+        success: true,
+        awaitingSelection: true,
+        candidates: candidates.map(candidate => candidate.name),
+        message: `Several records match. A card was posted asking the user to pick the ${args.objectType}; nothing has been changed yet.`
+      };
+    }
+
+    update.record = await salesforceUpdates.loadCurrentValues(
+      context.salesforceClient, args.objectType, describe, candidates[0].Id, Object.keys(changes)
+    );
+    update = await salesforceUpdates.saveUpdate(update);
+    const card = await context.client.chat.postMessage({
+      channel: context.channel,
+      thread_ts: context.threadTs || undefined,
+      text: `Please confirm the changes to ${update.record.name}`,
+      blocks: salesforceUpdates.diffCardBlocks(update)
     });
-  } catch (error) {
-    console.error('Error processing slash command:', error);
-    await respond('Sorry, I encountered an error processing your request. Please try again.');
+    await salesforceUpdates.saveUpdate({ ...update, cardTs: card.ts });
+
+    return {
+      success: true,
+      awaitingConfirmation: true,
+      record: update.record.name,
+      before: update.record.before,
+      after: changes,
+      message: 'A before/after card was posted. Nothing has been changed yet; tell the user to review it and click Apply changes or Cancel.'
+    };
   }
 });
 
-// Listen to AI Assistant thread started events
-app.event('assistant_thread_started', async ({ event, client, context }) => {
+toolRegistry.register({
+  name: 'salesforce_account_briefing',
+  integration: 'salesforce',
+  description: 'Prepare an account 360 briefing, e.g. "brief me on Acme": the account with its contacts, open opportunities, recent cases and open tasks. The briefing is posted in the conversation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      accountName: { type: 'string', description: 'Account name or part of it' }
+    },
+    required: ['accountName']
+  },
+  handler: async (args, context) => {
+    const { briefing, candidates } = await accountBriefing.buildBriefing(context.salesforceClient, args.accountName, {
+      teamId: context.teamId
+    });
+
+    if (!briefing) {
+      return candidates.length > 0
+        ? { success: false, needsUserInput: true, candidates, message: 'Several accounts match. Ask the user which one they mean.' }
+        : { success: false, error: `No account found matching "${args.accountName}"` };
+    }
+
+    if (context.client && context.channel) {
+      await context.client.chat.postMessage({
+        channel: context.channel,
+        thread_ts: context.threadTs || undefined,
+        text: `Briefing: ${briefing.account.Name}`,
+        blocks: accountBriefing.briefingBlocks(briefing)
+      });
+    }
+
+    return {
+      success: true,
+      account: briefing.account.Name,
+      openOpportunities: briefing.opportunities.length,
+      contacts: briefing.contacts.length,
+      recentCases: briefing.cases.length,
+      openTasks: briefing.tasks.length,
+      message: 'The briefing has been posted in the conversation. Reply with one short sentence pointing to it; do not repeat its contents.'
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'salesforce_run_report',
+  integration: 'salesforce',
+  description: 'Run a saved Salesforce report by name, e.g. "run report Q3 pipeline", and post the result as a table with totals (large results are attached as a CSV file). Use this for pipeline, forecast and other numbers the user has a report for.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reportName: { type: 'string', description: 'Report name or part of it' }
+    },
+    required: ['reportName']
+  },
+  handler: async (args, context) => {
+    const { result, candidates } = await salesforceReports.runReportByName(context.salesforceClient, args.reportName);
+
+    if (!result) {
+      return candidates.length > 0
+        ? { success: false, needsUserInput: true, candidates, message: 'Several reports match. Ask the user which one they mean.' }
+        : { success: false, error: `No report found matching "${args.reportName}"` };
+    }
+
+    if (result.fitsInMessage) {
+      await context.client.chat.postMessage({
+        channel: context.channel,
+        thread_ts: context.threadTs || undefined,
+        text: `Report: ${result.report.Name}`,
+        blocks: salesforceReports.reportBlocks(result)
+      });
+    } else {
+      await context.client.files.uploadV2({
+        channel_id: context.channel,
+        thread_ts: context.threadTs || undefined,
+        filename: salesforceReports.csvFileName(result),
+        content: salesforceReports.tableCsv(result.table),
+        initial_comment: salesforceReports.reportFileComment(result)
+      });
+    }
+
+    return {
+      success: true,
+      report: result.report.Name,
+      format: result.format,
+      rows: result.table.rows.length,
+      totals: result.table.totals,
+      complete: result.complete,
+      message: 'The report has been posted in the conversation. Reply with one or two sentences on the totals; do not repeat the table.'
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'salesforce_import_csv',
+  integration: 'salesforce',
+  description: 'Import the rows of a CSV file shared in the conversation as Salesforce records, e.g. "import these as leads". Posts a preview with the proposed column mapping and row errors; nothing is created until the user confirms. Call again with mapping to correct the columns.',
+  parameters: {
+    type: 'object',
+    properties: {
+      objectType: { type: 'string', enum: csvImport.IMPORTABLE_OBJECTS },
+      mapping: {
+        type: 'object',
+        description: 'Corrections to the column mapping: CSV column name → field API name or label, or "" to skip the column',
+        additionalProperties: { type: 'string' }
+      }
+    },
+    required: ['objectType']
+  },
+  handler: async (args, context) => {
+    const personalRequired = requirePersonalSalesforce(context);
+    if (personalRequired) {
+      return personalRequired;
+    }
+
+    let job = await csvImport.getImport(context.teamId, context.channel, context.threadTs);
+    const file = await csvImport.findCsvFile(context.client, {
+      files: context.files,
+      channel: context.channel,
+      threadTs: context.threadTs
+    });
+
+    if (!file && !job) {
+      return { success: false, error: 'No CSV file was found in this conversation. Ask the user to upload one.' };
+    }
+
+    // Keep the pending import when the user is only correcting its mapping
+    const sameImport = job && job.objectType === args.objectType && (!file || file.id === job.fileId);
+    if (!sameImport) {
+      if (!file) {
+        return { success: false, error: 'The CSV file for this import could not be found. Ask the user to upload it again.' };
+      }
+      const describe = await salesforceQuery.describeObject(context.salesforceClient, args.objectType);
+      job = await csvImport.prepareImport(context.client, file, args.objectType, describe, context);
+    }
+
+    const mappingErrors = csvImport.applyMappingOverrides(job, args.mapping);
+    job = await csvImport.saveImport({ ...job, importId: csvImport.newImportId() });
+    if (!job) {
+      return { success: false, error: 'Could not save the import. Please try again.' };
+    }
+
+    const card = await context.client.chat.postMessage({
+      channel: context.channel,
+      thread_ts: context.threadTs || undefined,
+      text: `Please review the ${job.objectType} import`,
+      blocks: csvImport.previewBlocks(job)
+    });
+    await csvImport.saveImport({ ...job, cardTs: card.ts });
+
+    const validations = csvImport.validateRows(job.rows, job.mapping, job.describe);
+    const rowsWithErrors = validations.filter(validation => validation.errors.length > 0).length;
+
+    return {
+      success: true,
+      awaitingConfirmation: true,
+      fileName: job.fileName,
+      rows: job.rows.length,
+      readyToImport: job.rows.length - rowsWithErrors,
+      rowsWithErrors,
+      mapping: job.mapping,
+      mappingErrors,
+      message: 'A preview card was posted. Nothing has been created yet; tell the user to review the mapping and click Import or Cancel.'
+    };
+  }
+});
+
+// AI API integration function with conversation context and integration support.
+// The model provider is resolved by llmService from env and team configuration.
+async function callGrokAPI(message, userId, conversationHistory = [], teamId = null, options = {}) {
   try {
-    console.log('AI Assistant thread started:', event);
+    console.log('Calling AI API with message:', message);
     
-    // Get channel ID from assistant_thread object
-    const channelId = event.assistant_thread?.channel_id;
-    if (!channelId) {
-      console.log('No channel information in assistant_thread_started event');
-      return;
+    // Get available integrations for this team
+    let availableIntegrations = [];
+    if (teamId) {
+      availableIntegrations = await redisService.listIntegrations(teamId);
     }
     
-    // Get team ID from the event context - try multiple sources
-    const teamId = event.team || event.assistant_thread?.team_id || context?.teamId || 'unknown';
-    console.log('Event team:', event.team);
-    console.log('Assistant thread team_id:', event.assistant_thread?.team_id);
-    console.log('Context teamId:', context?.teamId);
-    console.log('Final teamId:', teamId);
+    // Salesforce tools are available once the user, or the workspace, has connected an org.
+    // The client is bound to that org, so links and requests never cross orgs.
+    const salesforceConnection = await salesforceService.getConnection(teamId, userId);
+    const salesforceClient = salesforceConnection?.client || null;
+    if (salesforceConnection) {
+      console.log(`Using ${salesforceConnection.identity} Salesforce connection for user:`, userId);
+      availableIntegrations = [...availableIntegrations, 'salesforce'];
+    }
     
-    // Get suggested prompts - aggregate from all team IDs for enterprise installs
-    let allPrompts = [];
-    if (context?.isEnterpriseInstall && context?.enterpriseId) {
-      // Get prompts from enterprise-wide storage
-      const enterprisePrompts = await redisService.getAllSuggestedPrompts(context.enterpriseId);
-      console.log('Enterprise-wide prompts for chat:', enterprisePrompts.length);
-      
-      // Get prompts from known team IDs
-      const knownTeamIds = ['T06HQGPEVBL', 'T06JDB9ES9W'];
-      console.log('Checking known team IDs for chat prompts:', knownTeamIds);
-      
-      // Get prompts from all known team IDs
-      const allTeamPrompts = [];
-      for (const teamId of knownTeamIds) {
-        const teamPrompts = await redisService.getAllSuggestedPrompts(teamId);
-        console.log(`Chat prompts from team ${teamId}:`, teamPrompts.length);
-        allTeamPrompts.push(...teamPrompts);
-      }
-      
-      // Combine all prompts and remove duplicates by ID
-      const allPromptsMap = new Map();
-      [...enterprisePrompts, ...allTeamPrompts].forEach(prompt => {
-        allPromptsMap.set(prompt.id, prompt);
-      });
-      allPrompts = Array.from(allPromptsMap.values());
-      
-      console.log('Total aggregated prompts for chat:', allPrompts.length);
-    } else {
-      // Non-enterprise: use team-specific data
-      allPrompts = await redisService.getAllSuggestedPrompts(teamId);
-      console.log('Retrieved prompts for team:', teamId, allPrompts);
-    }
-    
-    const enabledPrompts = allPrompts.filter(prompt => prompt.enabled !== false);
-    console.log('Enabled prompts for chat:', enabledPrompts);
-    
-    // Set suggested prompts if any exist
-    if (enabledPrompts.length > 0) {
-      try {
-        const suggestedPrompts = enabledPrompts.map(prompt => ({
-          title: prompt.buttonText,
-          message: prompt.messageText
-        }));
-        
-        console.log('Setting suggested prompts:', suggestedPrompts);
-        console.log('Channel ID:', channelId);
-        console.log('Thread TS:', event.assistant_thread.thread_ts);
-        
-        // Try the correct API method
-        const result = await client.assistant.threads.setSuggestedPrompts({
-          channel_id: channelId,
-          thread_ts: event.assistant_thread.thread_ts,
-          prompts: suggestedPrompts
-        });
-        
-        console.log('Successfully set suggested prompts for thread:', result);
-      } catch (promptError) {
-        console.error('Error setting suggested prompts:', promptError);
-        console.error('Full error details:', promptError.response?.data || promptError.message);
-        // Continue with welcome message even if prompts fail
-      }
-    } else {
-      console.log('No enabled prompts found for team:', teamId);
-    }
-    
-    // Get user-specific welcome message - aggregate from all team IDs for enterprise installs
-    const userId = event.assistant_thread?.user_id;
-    let welcomeMessage = 'Hello! How can I help you today?'; // Default message
-    
-    if (userId && teamId !== 'unknown') {
-      let userSystemPrompt = null;
-      
+    // Get user-specific system prompt configuration - aggregate from all team IDs for enterprise installs
+    let userSystemPrompt = null;
+    if (teamId && userId) {
       // For enterprise installs, try to get system prompt from enterprise ID first, then fall back to team IDs
       if (teamId.startsWith('E')) {
         // This is an enterprise ID, check enterprise first
-        userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
-        console.log('Enterprise system prompt for welcome:', userSystemPrompt ? 'Found' : 'Not found');
+      userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
+        console.log('Enterprise system prompt for chat:', userSystemPrompt ? 'Found' : 'Not found');
         
         // If not found in enterprise, check known team IDs
         if (!userSystemPrompt) {
@@ -1080,7 +1221,7 @@ app.event('assistant_thread_started', async ({ event, client, context }) => {
             const teamPrompt = await redisService.getUserSystemPrompt(teamId, userId);
             if (teamPrompt) {
               userSystemPrompt = teamPrompt;
-              console.log(`Found system prompt for welcome in team ${teamId}`);
+              console.log(`Found system prompt for chat in team ${teamId}`);
               break;
             }
           }
@@ -1089,705 +1230,1431 @@ app.event('assistant_thread_started', async ({ event, client, context }) => {
         // Non-enterprise: use team-specific data
         userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
       }
+    }
+    
+    // Build system prompt with integration capabilities and user preferences
+    let systemPrompt = 'You are a helpful AI assistant integrated into Slack. Be concise and helpful in your responses. Maintain context from previous messages in the conversation.';
+    
+    // Add user-specific behavior settings
+    if (userSystemPrompt) {
+      systemPrompt += `\n\nUser-specific behavior settings:`;
+      systemPrompt += `\n- Response tone: ${userSystemPrompt.tone}`;
+      systemPrompt += `\n- Business context: ${userSystemPrompt.businessType}`;
       
-      if (userSystemPrompt?.welcomeMessage) {
-        welcomeMessage = userSystemPrompt.welcomeMessage;
+      if (userSystemPrompt.companyName) {
+        systemPrompt += `\n- Company: ${userSystemPrompt.companyName}`;
+      }
+      
+      if (userSystemPrompt.additionalDirections) {
+        systemPrompt += `\n- Additional directions: ${userSystemPrompt.additionalDirections}`;
       }
     }
     
-    // Post a welcome message in the AI Assistant thread
-    await client.chat.postMessage({
-      channel: channelId,
-      thread_ts: event.assistant_thread.thread_ts,
-      text: welcomeMessage
-    });
+    const tools = toolRegistry.getTools(availableIntegrations);
+    if (tools.length > 0) {
+      systemPrompt += `\n\nYou have access to the following integrations: ${availableIntegrations.join(', ')}. Call the provided tools when the user clearly asks for an integration action, and answer normally otherwise. Never claim an action was taken unless a tool result confirms it, and include any record or ticket links from tool results in your answer.`;
+    }
+    
+    // Lookups through the workspace integration user are fine, but records must be written as the user
+    if (salesforceConnection?.identity === 'workspace') {
+      systemPrompt += '\n\nSalesforce is connected through the workspace integration user, which is read-only for this user. To create or update records they need to connect their own Salesforce account from the App Home.';
+    }
+    
+    // Remind the model about a Salesforce record that is still waiting for details in this conversation
+    if (salesforceConnection && options.channel) {
+      const pendingDraft = await salesforceDrafts.getDraft(teamId, options.channel, options.threadTs);
+      if (pendingDraft?.status === 'collecting') {
+        const missingLabels = pendingDraft.missing.map(field => field.label).join(', ');
+        systemPrompt += `\n\nA Salesforce ${pendingDraft.objectType} is being drafted in this conversation and still needs: ${missingLabels || 'corrections'}. If the user's latest message provides these details, call salesforce_create_record again with objectType ${pendingDraft.objectType}.`;
+      }
+    }
+    
+    // Customer channels linked to a Salesforce account get the account's key facts
+    // Facts are only read with the asker's own or the workspace connection
+    const channelAccount = await channelAccounts.getChannelAccount(teamId, options.channel);
+    if (channelAccount) {
+      const factsReader = salesforceConnection?.identity === 'workspace' ? 'workspace' : userId;
+      const facts = await channelAccounts.getAccountFacts(salesforceClient, teamId, channelAccount, factsReader);
+      systemPrompt += channelAccounts.accountPrompt(channelAccount, facts);
+    }
+    
+    // Let the model know about files attached to this message (e.g. a CSV to import)
+    const attachedFiles = (options.files || []).map(file => file.name).filter(Boolean);
+    const userContent = attachedFiles.length > 0
+      ? `${message}\n\n[Attached files: ${attachedFiles.join(', ')}]`
+      : message;
+    
+    // Build messages array with conversation history
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      ...conversationHistory,
+      {
+        role: 'user',
+        content: userContent
+      }
+    ];
+    
+    // Context handed to tool handlers
+    const toolContext = {
+      teamId,
+      userId,
+      client: options.client,
+      channel: options.channel,
+      threadTs: options.threadTs,
+      message,
+      conversationHistory,
+      fullConversation: conversationHistory.map(msg => msg.content).join(' ') + ' ' + message,
+      files: options.files || [],
+      salesforceClient,
+      salesforceIdentity: salesforceConnection?.identity || null,
+      channelAccount
+    };
+    
+    // Let the model call tools until it produces a final answer
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      // Stream the completion when the caller wants progressive updates
+      const completion = options.onProgress
+        ? await llmService.streamCompletion(messages, { teamId, tools }, options.onProgress)
+        : await llmService.createCompletion(messages, { teamId, tools });
+      
+      if (!completion.toolCalls?.length) {
+        return completion.content;
+      }
+      
+      // A streamed tool call can end without a name; it can't be run, so leave it out
+      const toolCalls = completion.toolCalls.filter(toolCall => toolCall.name);
+      if (toolCalls.length < completion.toolCalls.length) {
+        console.warn('Skipping tool calls without a name:', completion.toolCalls.filter(toolCall => !toolCall.name).map(toolCall => toolCall.id));
+      }
+      if (toolCalls.length === 0) {
+        break;
+      }
+      
+      messages.push({
+        role: 'assistant',
+        content: completion.content,
+        toolCalls
+      });
+      
+      for (const toolCall of toolCalls) {
+        if (options.onProgress) {
+          options.onProgress(`_Working on it (${toolCall.name.replace(/_/g, ' ')})..._`);
+        }
+        
+        const result = await toolRegistry.execute(toolCall.name, toolCall.arguments, toolContext);
+        messages.push({
+          role: 'tool',
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          content: typeof result === 'string' ? result : JSON.stringify(result)
+        });
+      }
+    }
+    
+    // Out of tool rounds (or only unusable calls): ask for an answer without letting the model call tools again
+    const finalCompletion = await llmService.createCompletion(messages, { teamId, tools, toolChoice: 'none' });
+    return finalCompletion.content;
   } catch (error) {
-    console.error('Error handling assistant thread started:', error);
+    console.error('AI API Error:', error.response?.data || error.message);
+    console.error('Full error:', error);
+    throw new Error('Failed to get AI response');
   }
-});
+}
 
-// Listen to AI Assistant thread context changed events
-app.event('assistant_thread_context_changed', async ({ event, say, client }) => {
+// Salesforce OAuth callback route - exchanges the authorization code and saves the user's tokens
+async function handleSalesforceOAuthCallback(req, res) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  
+  const sendPage = (statusCode, message) => {
+    const safeMessage = String(message)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html><head><title>Salesforce</title></head><body style="font-family: sans-serif; text-align: center; padding-top: 15%;"><p>${safeMessage}</p></body></html>`);
+  };
+  
+  if (params.get('error')) {
+    sendPage(400, `Salesforce login was not completed: ${params.get('error_description') || params.get('error')}`);
+    return;
+  }
+  
   try {
-    console.log('AI Assistant thread context changed:', event);
-    // Handle context changes if needed
+    const result = await salesforceOAuth.handleCallback({
+      code: params.get('code'),
+      state: params.get('state')
+    });
+    sendPage(200, '✅ Salesforce connected! You can close this tab and return to Slack.');
+    
+    if (result.workspace) {
+      await app.client.chat.postMessage({
+        channel: result.userId,
+        text: `✅ *Workspace Salesforce connection set up*\n\n*Org:* ${result.instanceUrl}\n*Integration user:* ${result.username || 'unknown'}\n\nEveryone in the workspace can now look up Salesforce data. Creating or updating records still needs each person's own connection.`
+      });
+      return;
+    }
+    
+    await app.client.chat.postMessage({
+      channel: result.userId,
+      text: `✅ **Salesforce Connected Successfully!**\n\n**Org:** ${result.instanceUrl}\n**Connected:** ${new Date().toLocaleDateString()}\n\nYour AI assistant can now help you with Salesforce operations!\n\n**What you can do now:**\n• Create leads, opportunities, and accounts\n• Update records and create tasks\n• Query your Salesforce data\n• Get AI-powered insights from your CRM data\n\nTo disconnect, use: \`/disconnect-salesforce\``
+    });
   } catch (error) {
-    console.error('Error handling assistant thread context changed:', error);
+    console.error('Error handling Salesforce OAuth callback:', error);
+    if (!res.headersSent) {
+      sendPage(400, `❌ ${error.message}`);
+    }
   }
-});
+}
 
-// Listen to messages in AI Assistant threads
-app.event('message', async ({ event, say, client, context }) => {
-  console.log('=== MESSAGE EVENT RECEIVED ===');
-  console.log('Event details:', {
-    type: event.type,
-    channel: event.channel,
-    channel_type: event.channel_type,
-    user: event.user,
-    text: event.text,
-    bot_id: event.bot_id,
-    subtype: event.subtype,
-    team: event.team
+// Read a request body as text, refusing anything over maxBytes
+function readRequestBody(req, maxBytes = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
   });
-  console.log('Context:', context);
-  
-  // Skip messages from bots (including ourselves)
-  if (event.bot_id || event.subtype) {
-    console.log('Skipping bot message or message with subtype');
-    return;
-  }
+}
 
-  // Handle AI Assistant messages (channel type 'im' and has thread_ts)
-  if (event.channel_type === 'im' && event.thread_ts) {
-    try {
-      console.log('Processing AI Assistant message:', event);
-      
-      // Check for key-phrase response matches first
-      const teamId = context.teamId;
-      if (teamId) {
-        const keyPhraseResponse = await checkKeyPhraseResponse(event.text, teamId, context);
-        if (keyPhraseResponse) {
-          console.log('Key-phrase response matched:', keyPhraseResponse.triggerPhrase);
-          await sendKeyPhraseResponse(client, event.channel, keyPhraseResponse.responseText, event.thread_ts);
-          return; // Skip AI processing
-        }
-      }
-      
-      // Show typing indicator
-      await client.conversations.mark({
-        channel: event.channel,
-        ts: event.ts
-      });
+// Salesforce change notification route - outbound messages (SOAP) or Flow HTTP callouts (JSON)
+// post record Ids here; records matching the team's alerts are posted to their channels
+async function handleSalesforceNotification(req, res) {
+  const { teamId, token } = req.params || {};
 
-      // Get conversation history for AI Assistant thread
-      let conversationHistory = [];
-      conversationHistory = await getConversationHistory(client, event.channel, event.thread_ts);
+  try {
+    if (!(await salesforceSubscriptions.verifyWebhookToken(teamId, token))) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
+      return;
+    }
 
-      // Get AI response from GROK with conversation context
-      console.log('Context object in app.message:', context);
-      const aiResponse = await callGrokAPI(event.text, event.user, conversationHistory, context.teamId);
-      
-      // Reply with the AI response in the same thread
-      await say({
-        text: aiResponse,
-        thread_ts: event.thread_ts
-      });
-    } catch (error) {
-      console.error('Error processing AI Assistant message:', error);
-      await say({
-        text: 'Sorry, I encountered an error processing your request. Please try again.',
-        thread_ts: event.thread_ts
-      });
+    const contentType = req.headers['content-type'] || '';
+    const notification = salesforceSubscriptions.parseNotification(await readRequestBody(req), contentType);
+
+    // Acknowledge before posting so Salesforce doesn't time out and resend
+    if (/json/i.test(contentType)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+      res.end(salesforceSubscriptions.OUTBOUND_MESSAGE_ACK);
+    }
+
+    await salesforceSubscriptions.handleNotification(app.client, teamId, notification);
+  } catch (error) {
+    console.error('Error handling Salesforce notification:', error);
+    if (!res.headersSent) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid notification');
     }
   }
-  // Handle channel messages (not DMs)
-  else if (event.channel_type !== 'im') {
-    try {
-      console.log('Processing channel message:', event);
-      console.log('Channel message details:', {
-        channel: event.channel,
-        channel_type: event.channel_type,
-        team: event.team,
-        user: event.user,
-        text: event.text
-      });
-      
-      // Channel monitoring logic - check for monitored channels
-      if (event.channel_type === 'channel') {
-        // Skip system messages but allow bot messages
-        const systemSubtypes = ['channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name', 'channel_archive', 'channel_unarchive', 'pinned_item', 'unpinned_item'];
-        if (systemSubtypes.includes(event.subtype)) return;
-        if (!event.text) return;
+}
 
-        // Skip messages from the bot itself to prevent loops
-        if (event.bot_id) return;
+// Jira webhook route - issue updates and new comments on issues synced with a thread
+// are posted back into that thread
+async function handleJiraWebhook(req, res) {
+  const { teamId, token } = req.params || {};
 
-        const team = context.teamId || event.team;
-        const channel = event.channel;
-        const user = event.user;
-        const userText = String(event.text || '').slice(0, 4000);
+  try {
+    if (!(await jiraThreadSync.verifyWebhookToken(teamId, token))) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
+      return;
+    }
 
-        console.log('Processing message in channel:', {
-          team,
-          channel,
-          user,
-          subtype: event.subtype,
-          bot_id: event.bot_id,
-          hasText: !!event.text,
-          textPreview: userText.substring(0, 50)
-        });
+    const payload = JSON.parse(await readRequestBody(req));
 
-        // Check if this channel is being monitored
-        console.log('Checking if channel is monitored:', { team, channel });
-        const monitoredChannel = await channelMonitoring.isChannelMonitored(team, channel);
-        console.log('Channel monitoring result:', monitoredChannel);
-        if (!monitoredChannel) {
-          console.log('Channel is not being monitored, skipping');
-          return; // Channel is not being monitored
-        }
-
-        console.log('Processing message in monitored channel:', {
-          team,
-          channel,
-          user,
-          responseType: monitoredChannel.responseType
-        });
-
-        // Build system prompt based on response type
-        let systemPrompt;
-        switch (monitoredChannel.responseType) {
-          case 'analytical':
-            systemPrompt = `You are an analytical assistant monitoring this channel. Analyze the recent message for insights, patterns, and key points. Provide thoughtful analysis in a thread reply. Keep responses concise and focused on actionable insights.`;
-            break;
-          case 'summary':
-            systemPrompt = `You are a summarization assistant monitoring this channel. Provide a concise summary of the recent message and its context. Keep summaries brief and highlight key points.`;
-            break;
-          case 'questions':
-            systemPrompt = `You are a facilitation assistant monitoring this channel. Ask thoughtful, clarifying questions about the recent message to help facilitate better discussion. Focus on questions that add value and encourage deeper thinking.`;
-            break;
-          case 'insights':
-            systemPrompt = `You are an insights assistant monitoring this channel. Share observations and actionable insights about the recent message. Focus on practical takeaways and next steps.`;
-            break;
-          default:
-            systemPrompt = `You are monitoring this channel and responding to messages. Provide a helpful response based on the recent message.`;
-        }
-
-        // Get recent messages for context
-        let recentMessages = [];
-        try {
-          const hist = await client.conversations.history({
-            channel: channel,
-            limit: 10
-          });
-          if (hist.ok && hist.messages.length) {
-            recentMessages = hist.messages;
-          }
-        } catch (error) {
-          console.log('Error getting recent messages:', error);
-        }
-
-        // Build context from recent messages
-        const contextText = recentMessages.length > 0
-          ? recentMessages.slice(-5).map(m => `${m.user}: ${m.text}`).join('\n')
-          : userText;
-
-        // Create conversation history for channel monitoring
-        let conversationHistory = [];
-        for (const message of recentMessages) {
-          if (message.ts === event.ts) continue; // Skip current message
-          const role = message.bot_id ? 'assistant' : 'user';
-          conversationHistory.push({
-            role: role,
-            content: message.text || ''
-          });
-        }
-        conversationHistory = conversationHistory.reverse(); // Reverse to get chronological order
-
-        // Add current user message
-        conversationHistory.push({
-          role: 'user',
-          content: userText
-        });
-
-        // Get AI response with conversation context
-        const aiResponse = await callGrokAPI(userText + '\n\n' + systemPrompt, user, conversationHistory, team);
+    // Acknowledge before posting so Jira doesn't time out and retry
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
 
-        // Respond in thread to keep main channel clean
-        await client.chat.postMessage({
-          channel: channel,
-          thread_ts: event.ts, // Reply in thread
-          text: aiResponse,
-          unfurl_links: false,
-          unfurl_media: false
-        });
-
-        // Check if we should create a Jira ticket (after 1st bot response)
-        console.log('Checking auto-Jira ticket creation:', {
-          autoCreateJiraTickets: monitoredChannel.autoCreateJiraTickets,
-          team,
-          channel,
-          threadTs: event.ts
-        });
+    await jiraThreadSync.handleWebhook(app.client, teamId, payload);
+  } catch (error) {
+    console.error('Error handling Jira webhook:', error);
+    if (!res.headersSent) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid webhook');
+    }
+  }
+}
 
-        if (monitoredChannel.autoCreateJiraTickets) {
-          const responseCount = await channelMonitoring.incrementThreadResponseCount(team, channel, event.ts);
+// Workspace admins and owners can change workspace-wide Salesforce settings
+async function isWorkspaceAdmin(client, userId) {
+  const userInfo = await client.users.info({ user: userId });
+  return Boolean(userInfo.user?.is_admin || userInfo.user?.is_owner);
+}
 
-          console.log('Thread response count:', {
-            team,
-            channel,
-            threadTs: event.ts,
-            responseCount
-          });
+// Helper function to get conversation history from thread
+async function getConversationHistory(client, channelId, threadTs) {
+  try {
+    const result = await client.conversations.replies({
+      channel: channelId,
+      ts: threadTs,
+      limit: 20 // Get last 20 messages for context
+    });
+    
+    const messages = [];
+    for (const message of result.messages) {
+      // Skip the first message (original mention)
+      if (message.ts === threadTs) continue;
+      
+      // Determine role based on whether it's from a bot or user
+      const role = message.bot_id ? 'assistant' : 'user';
+      messages.push({
+        role: role,
+        content: message.text
+      });
+    }
+    
+    console.log('Conversation history:', messages);
+    return messages;
+  } catch (error) {
+    console.error('Error getting conversation history:', error);
+    return [];
+  }
+}
 
-          if (responseCount === 1) {
-            console.log('Creating auto Jira ticket after 1st bot response:', { team, channel, threadTs: event.ts });
+// Minimum gap between chat.update calls while a reply is streaming (Slack rate-limits edits)
+const STREAM_UPDATE_INTERVAL_MS = parseInt(process.env.STREAM_UPDATE_INTERVAL_MS || 1200, 10);
+
+// Section text is limited to 3000 characters, so long replies are split at line breaks
+const REPLY_SECTION_LENGTH = 3000;
+
+// Helper function to lay out a finished reply as section blocks followed by the
+// "Create Jira issue" button
+function replyWithIssueButtonBlocks(text) {
+  const sections = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length <= REPLY_SECTION_LENGTH) {
+      current = next;
+      continue;
+    }
+    if (current) sections.push(current);
+    current = line;
+    while (current.length > REPLY_SECTION_LENGTH) {
+      sections.push(current.substring(0, REPLY_SECTION_LENGTH));
+      current = current.substring(REPLY_SECTION_LENGTH);
+    }
+  }
+  if (current.trim()) sections.push(current);
 
-            try {
-              // Create a summary for the Jira ticket
-              const ticketDescription = `Auto-generated ticket from monitored channel #${monitoredChannel.channelName}\n\nThread started by: ${userText}\nResponse Type: ${monitoredChannel.responseType}\n\nThis ticket was automatically created after the bot's 1st response in the thread to track ongoing discussion and ensure follow-up.`;
+  return [
+    ...sections.map(section => ({ type: 'section', text: { type: 'mrkdwn', text: section } })),
+    jiraIssueForm.createIssueButtonBlock()
+  ];
+}
 
-              // For now, create a simple ticket structure since we need Jira integration functions
-              const ticketData = {
-                summary: `Discussion in #${monitoredChannel.channelName}`.substring(0, 200),
-                description: ticketDescription,
-                issueType: 'Task',
-                priority: 'Medium',
-              };
+// Helper function to stream an AI reply into Slack. Posts a placeholder right away, edits it
+// on a throttled cadence as text arrives, and finalizes it once generate() resolves.
+// generate receives an onProgress(textSoFar) callback and must resolve with the final text.
+// With options.teamId, the finished reply gets a "Create Jira issue" button when Jira is set up.
+async function streamAIReply(client, target, generate, options = {}) {
+  const placeholder = await client.chat.postMessage({
+    ...target,
+    text: '_Thinking..._ 🤔'
+  });
 
-              console.log('Ticket data for auto-Jira creation:', ticketData);
+  let latestText = '';
+  let sentText = '';
+  let lastUpdateAt = 0;
+  let timer = null;
+  let updateChain = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    if (latestText === sentText) return;
+
+    const text = latestText;
+    sentText = text;
+    lastUpdateAt = Date.now();
+    updateChain = updateChain
+      .then(() => client.chat.update({
+        channel: placeholder.channel,
+        ts: placeholder.ts,
+        text: `${text} ▌`
+      }))
+      .catch(error => console.warn('Error updating streaming reply:', error.data?.error || error.message));
+  };
 
-              // Post a placeholder message about the ticket (real Jira integration would go here)
-              await client.chat.postMessage({
-                channel: channel,
-                thread_ts: event.ts,
-                text: `🎫 *Auto-Jira Ticket*\n\nA Jira ticket would be created here to track this discussion.\n\nSummary: ${ticketData.summary}\nResponse Type: ${monitoredChannel.responseType}`
-              });
+  const onProgress = (text) => {
+    latestText = text;
+    if (timer) return;
+    const wait = Math.max(0, STREAM_UPDATE_INTERVAL_MS - (Date.now() - lastUpdateAt));
+    timer = setTimeout(flush, wait);
+  };
 
-              console.log('Auto Jira ticket placeholder created successfully');
-            } catch (error) {
-              console.error('Error creating auto Jira ticket:', error);
-            }
-          }
-        }
-      }
-      
-    } catch (error) {
-      console.error('Error processing channel message:', error);
-      
-      // Debug missing scopes
-      if (error.data && error.data.response_metadata) {
-        console.error('Missing scopes:', error.data.response_metadata.scopes);
-        console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
-      }
+  try {
+    const finalText = await generate(onProgress);
+
+    clearTimeout(timer);
+    await updateChain;
+    const jiraConfigured = finalText && options.teamId
+      ? !!(await redisService.getCredentials(options.teamId, 'jira'))
+      : false;
+    await client.chat.update({
+      channel: placeholder.channel,
+      ts: placeholder.ts,
+      text: finalText || '_No response_',
+      ...(jiraConfigured ? { blocks: replyWithIssueButtonBlocks(finalText) } : {})
+    });
+    return finalText;
+  } catch (error) {
+    // Remove the placeholder so the caller's own error reply isn't left next to a dangling "Thinking..."
+    clearTimeout(timer);
+    await updateChain;
+    try {
+      await client.chat.delete({ channel: placeholder.channel, ts: placeholder.ts });
+    } catch (deleteError) {
+      console.warn('Could not delete streaming placeholder:', deleteError.data?.error || deleteError.message);
     }
+    throw error;
   }
-  // Handle regular DM messages (no thread_ts)
-  else if (event.channel_type === 'im' && !event.thread_ts) {
+}
+
+// Listen to messages that mention the bot
+app.event('app_mention', async ({ event, say, client }) => {
+  try {
+    // Extract the message text without the mention
+    const messageText = event.text.replace(/<@[^>]+>/g, '').trim();
+    
+    if (!messageText) {
+      await say('Hello! How can I help you today?');
+      return;
+    }
+
+    // Show typing indicator (with fallback)
     try {
-      // Check for key-phrase response matches first
-      const teamId = context.teamId;
-      if (teamId) {
-        const keyPhraseResponse = await checkKeyPhraseResponse(event.text, teamId, context);
-        if (keyPhraseResponse) {
-          console.log('Key-phrase response matched:', keyPhraseResponse.triggerPhrase);
-          await sendKeyPhraseResponse(client, event.channel, keyPhraseResponse.responseText);
-          return; // Skip AI processing
-        }
-      }
-      
-      // Show typing indicator
       await client.conversations.mark({
         channel: event.channel,
         ts: event.ts
       });
+    } catch (markError) {
+      console.log('Could not mark conversation as read:', markError.message);
+      // Continue without marking - not critical
+    }
 
-      // Get conversation history for DMs (use channel as thread)
-      let conversationHistory = [];
-      // For DMs without threads, get recent message history
-      const result = await client.conversations.history({
-        channel: event.channel,
-        limit: 10
-      });
-      
-      const messages = [];
-      for (const message of result.messages) {
-        if (message.ts === event.ts) continue; // Skip current message
-        const role = message.bot_id ? 'assistant' : 'user';
-        messages.push({
-          role: role,
-          content: message.text
-        });
-      }
-      conversationHistory = messages.reverse(); // Reverse to get chronological order
-      console.log('DM conversation history:', conversationHistory);
+    // Get conversation history if this is a thread reply
+    let conversationHistory = [];
+    if (event.thread_ts) {
+      conversationHistory = await getConversationHistory(client, event.channel, event.thread_ts);
+    }
 
-      // Get AI response from GROK with conversation context
-      const aiResponse = await callGrokAPI(event.text, event.user, conversationHistory, context.teamId);
-      
-      // Reply with the AI response
-      await say(aiResponse);
-    } catch (error) {
-      console.error('Error processing DM:', error);
-      
-      // Debug missing scopes
-      if (error.data && error.data.response_metadata) {
-        console.error('Missing scopes:', error.data.response_metadata.scopes);
-        console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
-      }
-      
-      await say('Sorry, I encountered an error processing your request. Please try again.');
+    // Stream the AI response with conversation context into the same thread
+    await streamAIReply(client, { channel: event.channel, thread_ts: event.ts }, onProgress =>
+      callGrokAPI(messageText, event.user, conversationHistory, event.team, {
+        onProgress,
+        client,
+        channel: event.channel,
+        threadTs: event.thread_ts || event.ts,
+        files: event.files
+      }),
+      { teamId: event.team }
+    );
+  } catch (error) {
+    console.error('Error processing mention:', error);
+    console.error('Error details:', error.message);
+    
+    // Debug missing scopes
+    if (error.data && error.data.response_metadata) {
+      console.error('Missing scopes:', error.data.response_metadata.scopes);
+      console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
     }
+    
+    await say({
+      text: `Sorry, I encountered an error: ${error.message}. Please try again.`,
+      thread_ts: event.ts
+    });
   }
 });
 
-// Home tab handler
-app.event('app_home_opened', async ({ event, client, context }) => {
+// Slash command handler
+app.command('/ai', async ({ command, ack, respond, client }) => {
+  await ack();
+
   try {
-    // Check if we have valid tokens before trying to publish
-    const teamId = context.teamId || event.team;
-    if (!teamId) {
-      console.log('No team ID found in app_home_opened event, skipping home view publish');
+    const query = command.text.trim();
+    
+    if (!query) {
+      await respond('Please provide a question or request. Usage: `/ai <your question>`');
       return;
     }
 
-    console.log('App Home opened by user:', event.user);
-    console.log('App Home event context:', {
-      context: context,
-      eventTeam: event.team
-    });
+    // Stream the AI response into the channel
+    await streamAIReply(client, { channel: command.channel_id }, onProgress =>
+      callGrokAPI(query, command.user_id, [], command.team_id, { onProgress, client, channel: command.channel_id }),
+      { teamId: command.team_id }
+    );
+  } catch (error) {
+    console.error('Error processing slash command:', error);
+    await respond('Sorry, I encountered an error processing your request. Please try again.');
+  }
+});
 
-    // Check Jira configuration status
-    let jiraStatus = '❌ Not Configured';
-    let jiraButtonText = '🔧 Setup Jira';
-    let jiraButtonStyle = 'primary';
+// Listen to AI Assistant thread started events
+app.event('assistant_thread_started', async ({ event, client, context }) => {
+  try {
+    console.log('AI Assistant thread started:', event);
     
-    try {
-      console.log('Checking Jira status for teamId:', teamId);
-      const jiraCredentials = await redisService.getCredentials(teamId, 'jira');
-      console.log('Jira credentials result:', jiraCredentials ? 'Found credentials' : 'No credentials found');
+    // Get channel ID from assistant_thread object
+    const channelId = event.assistant_thread?.channel_id;
+    if (!channelId) {
+      console.log('No channel information in assistant_thread_started event');
+      return;
+    }
+    
+    // Get team ID from the event context - try multiple sources
+    const teamId = event.team || event.assistant_thread?.team_id || context?.teamId || 'unknown';
+    console.log('Event team:', event.team);
+    console.log('Assistant thread team_id:', event.assistant_thread?.team_id);
+    console.log('Context teamId:', context?.teamId);
+    console.log('Final teamId:', teamId);
+    
+    // Get suggested prompts - aggregate from all team IDs for enterprise installs
+    let allPrompts = [];
+    if (context?.isEnterpriseInstall && context?.enterpriseId) {
+      // Get prompts from enterprise-wide storage
+      const enterprisePrompts = await redisService.getAllSuggestedPrompts(context.enterpriseId);
+      console.log('Enterprise-wide prompts for chat:', enterprisePrompts.length);
       
-      if (jiraCredentials) {
-        jiraStatus = '✅ Configured';
-        jiraButtonText = '🔧 Manage Jira';
-        jiraButtonStyle = null; // Remove style for configured state
-        console.log('Jira status updated to: Configured');
+      // Get prompts from known team IDs
+      const knownTeamIds = ['T06HQGPEVBL', 'T06JDB9ES9W'];
+      console.log('Checking known team IDs for chat prompts:', knownTeamIds);
+      
+      // Get prompts from all known team IDs
+      const allTeamPrompts = [];
+      for (const teamId of knownTeamIds) {
+        const teamPrompts = await redisService.getAllSuggestedPrompts(teamId);
+        console.log(`Chat prompts from team ${teamId}:`, teamPrompts.length);
+        allTeamPrompts.push(...teamPrompts);
+      }
+      
+      // Combine all prompts and remove duplicates by ID
+      const allPromptsMap = new Map();
+      [...enterprisePrompts, ...allTeamPrompts].forEach(prompt => {
+        allPromptsMap.set(prompt.id, prompt);
+      });
+      allPrompts = Array.from(allPromptsMap.values());
+      
+      console.log('Total aggregated prompts for chat:', allPrompts.length);
+    } else {
+      // Non-enterprise: use team-specific data
+      allPrompts = await redisService.getAllSuggestedPrompts(teamId);
+      console.log('Retrieved prompts for team:', teamId, allPrompts);
+    }
+    
+    const enabledPrompts = allPrompts.filter(prompt => prompt.enabled !== false);
+    console.log('Enabled prompts for chat:', enabledPrompts);
+    
+    // Set suggested prompts if any exist
+    if (enabledPrompts.length > 0) {
+      try {
+        const suggestedPrompts = enabledPrompts.map(prompt => ({
+          title: prompt.buttonText,
+          message: prompt.messageText
+        }));
+        
+        console.log('Setting suggested prompts:', suggestedPrompts);
+        console.log('Channel ID:', channelId);
+        console.log('Thread TS:', event.assistant_thread.thread_ts);
+        
+        // Try the correct API method
+        const result = await client.assistant.threads.setSuggestedPrompts({
+          channel_id: channelId,
+          thread_ts: event.assistant_thread.thread_ts,
+          prompts: suggestedPrompts
+        });
+        
+        console.log('Successfully set suggested prompts for thread:', result);
+      } catch (promptError) {
+        console.error('Error setting suggested prompts:', promptError);
+        console.error('Full error details:', promptError.response?.data || promptError.message);
+        // Continue with welcome message even if prompts fail
+      }
+    } else {
+      console.log('No enabled prompts found for team:', teamId);
+    }
+    
+    // Get user-specific welcome message - aggregate from all team IDs for enterprise installs
+    const userId = event.assistant_thread?.user_id;
+    let welcomeMessage = 'Hello! How can I help you today?'; // Default message
+    
+    if (userId && teamId !== 'unknown') {
+      let userSystemPrompt = null;
+      
+      // For enterprise installs, try to get system prompt from enterprise ID first, then fall back to team IDs
+      if (teamId.startsWith('E')) {
+        // This is an enterprise ID, check enterprise first
+        userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
+        console.log('Enterprise system prompt for welcome:', userSystemPrompt ? 'Found' : 'Not found');
+        
+        // If not found in enterprise, check known team IDs
+        if (!userSystemPrompt) {
+          const knownTeamIds = ['T06HQGPEVBL', 'T06JDB9ES9W'];
+          for (const teamId of knownTeamIds) {
+            const teamPrompt = await redisService.getUserSystemPrompt(teamId, userId);
+            if (teamPrompt) {
+              userSystemPrompt = teamPrompt;
+              console.log(`Found system prompt for welcome in team ${teamId}`);
+              break;
+            }
+          }
+        }
       } else {
-        console.log('Jira status remains: Not Configured');
+        // Non-enterprise: use team-specific data
+        userSystemPrompt = await redisService.getUserSystemPrompt(teamId, userId);
+      }
+      
+      if (userSystemPrompt?.welcomeMessage) {
+        welcomeMessage = userSystemPrompt.welcomeMessage;
       }
+    }
+    
+    // Post a welcome message in the AI Assistant thread
+    await client.chat.postMessage({
+      channel: channelId,
+      thread_ts: event.assistant_thread.thread_ts,
+      text: welcomeMessage
+    });
+  } catch (error) {
+    console.error('Error handling assistant thread started:', error);
+  }
+});
+
+// Listen to AI Assistant thread context changed events
+app.event('assistant_thread_context_changed', async ({ event, say, client }) => {
+  try {
+    console.log('AI Assistant thread context changed:', event);
+    // Handle context changes if needed
+  } catch (error) {
+    console.error('Error handling assistant thread context changed:', error);
+  }
+});
+
+// Listen to messages in AI Assistant threads
+app.event('message', async ({ event, say, client, context }) => {
+  console.log('=== MESSAGE EVENT RECEIVED ===');
+  console.log('Event details:', {
+    type: event.type,
+    channel: event.channel,
+    channel_type: event.channel_type,
+    user: event.user,
+    text: event.text,
+    bot_id: event.bot_id,
+    subtype: event.subtype,
+    team: event.team
+  });
+  console.log('Context:', context);
+  
+  // Skip messages from bots (including ourselves). File shares are user messages too (e.g. a CSV to import).
+  if (event.bot_id || (event.subtype && event.subtype !== 'file_share')) {
+    console.log('Skipping bot message or message with subtype');
+    return;
+  }
+
+  // Replies in a thread synced with a Jira issue are added to the issue as comments
+  if (event.thread_ts && event.channel_type !== 'im') {
+    try {
+      await jiraThreadSync.mirrorReply(client, context.teamId, event);
     } catch (error) {
-      console.log('Error checking Jira status:', error);
+      console.error('Error mirroring thread reply to Jira:', error);
     }
+  }
 
-    const homeView = {
-        type: 'home',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Welcome to AI Assistant!* 🤖\n\nI\'m your intelligent AI assistant powered by GROK. I can help you with questions, provide information, and assist with various tasks.'
-            }
-          },
-          {
-            type: 'divider'
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*AI Behavior Settings:*\nCustomize how I respond to you'
-            },
-            accessory: {
-              type: 'button',
-              text: {
-                type: 'plain_text',
-                text: '⚙️ Configure'
-              },
-              action_id: 'configure_system_prompt_button',
-              value: 'configure_prompt'
-            }
-          },
-          {
-            type: 'divider'
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Suggested Prompts:*\nCreate quick-start prompts that appear as buttons in the AI Assistant pane:'
-            }
-          },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '➕ Add Prompt'
-                },
-                action_id: 'add_suggested_prompt_button',
-                style: 'primary'
-            }
-          ]
-              },
-        {
-          type: 'actions',
-          elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '📋 View Prompts'
-                },
-                action_id: 'view_suggested_prompts_button'
-              }
-            ]
-          },
-          {
-            type: 'divider'
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Key-Phrase Responses:*\nSet up automatic responses that bypass the AI for specific phrases:'
-            }
-          },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '➕ Add Response'
-                },
-                action_id: 'add_key_phrase_response_button',
-                style: 'primary'
-            }
-          ]
-              },
-        {
-          type: 'actions',
-          elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '📋 View Responses'
-                },
-                action_id: 'view_key_phrase_responses_button'
-              }
-            ]
-          },
-        {
-          type: 'divider'
-          },
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-            text: '*Channel Monitoring:*\nMonitor channels and get AI responses based on message content'
-          },
-          accessory: {
-            type: 'button',
-            text: {
-              type: 'plain_text',
-              text: '➕ Add Channel Monitor'
-            },
-            action_id: 'add_monitored_channel',
-            style: 'primary'
-            }
-          },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                text: '⚙️ Manage Monitored Channels'
-              },
-              action_id: 'manage_monitored_channels'
-            }
-          ]
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: '*Integrations:*\nConfigure integrations to extend my capabilities:'
-          }
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*Jira Integration:* ${jiraStatus}\nConnect your Jira org`
-          },
-          accessory: {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-              text: jiraButtonText
-            },
-            action_id: 'setup_jira_button'
-          }
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: '*Salesforce Integration:*\nConnect your Salesforce org'
-          },
-          accessory: {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-              text: '🔗 Connect'
-            },
-            action_id: 'connect_salesforce_button',
-            value: 'connect_salesforce'
-          }
-        },
-        {
-          type: 'divider'
+  // Handle AI Assistant messages (channel type 'im' and has thread_ts)
+  if (event.channel_type === 'im' && event.thread_ts) {
+    try {
+      console.log('Processing AI Assistant message:', event);
+      
+      // Check for key-phrase response matches first
+      const teamId = context.teamId;
+      if (teamId) {
+        const keyPhraseResponse = await checkKeyPhraseResponse(event.text, teamId, context);
+        if (keyPhraseResponse) {
+          console.log('Key-phrase response matched:', keyPhraseResponse.triggerPhrase);
+          await sendKeyPhraseResponse(client, event.channel, keyPhraseResponse.responseText, event.thread_ts);
+          return; // Skip AI processing
         }
-      ]
-    };
+      }
+      
+      // Show typing indicator
+      await client.conversations.mark({
+        channel: event.channel,
+        ts: event.ts
+      });
 
-    console.log('Publishing App Home with', homeView.blocks.length, 'blocks');
-    console.log('Channel monitoring module loaded:', typeof channelMonitoring);
-    console.log('Available functions:', Object.keys(channelMonitoring));
-    
-    const result = await client.views.publish({
-      user_id: event.user,
-      view: homeView
-    });
-    
-    console.log('App Home published successfully:', result.ok);
-    if (!result.ok) {
-      console.error('App Home publish failed:', result.error);
+      // Get conversation history for AI Assistant thread
+      let conversationHistory = [];
+      conversationHistory = await getConversationHistory(client, event.channel, event.thread_ts);
+      // Stream the AI response with conversation context into the same thread
+      // Get AI response from GROK with conversation context
+      console.log('Context object in app.message:', context);
+      await streamAIReply(client, { channel: event.channel, thread_ts: event.thread_ts }, onProgress =>
+        callGrokAPI(event.text, event.user, conversationHistory, context.teamId, {
+          onProgress,
+          client,
+          channel: event.channel,
+          threadTs: event.thread_ts,
+          files: event.files
+        }),
+        { teamId: context.teamId }
+      );
+    } catch (error) {
+      console.error('Error processing AI Assistant message:', error);
+      await say({
+        text: 'Sorry, I encountered an error processing your request. Please try again.',
+        thread_ts: event.thread_ts
+      });
     }
-  } catch (error) {
-    console.error('Error publishing home view:', error);
   }
-});
+  // Handle channel messages (not DMs)
+  else if (event.channel_type !== 'im') {
+    try {
+      console.log('Processing channel message:', event);
+      console.log('Channel message details:', {
+        channel: event.channel,
+        channel_type: event.channel_type,
+        team: event.team,
+        user: event.user,
+        text: event.text
+      });
+      
+      // Channel monitoring logic - check for monitored channels
+      if (event.channel_type === 'channel') {
+        // Skip system messages but allow bot messages
+        const systemSubtypes = ['channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name', 'channel_archive', 'channel_unarchive', 'pinned_item', 'unpinned_item'];
+        if (systemSubtypes.includes(event.subtype)) return;
+        if (!event.text) return;
 
-// Button click handler
-app.action('help_button', async ({ ack, say }) => {
-  await ack();
-  await say('I\'m an AI assistant powered by GROK! I can help you with questions, provide information, and assist with various tasks. Just ask me anything!');
-});
+        // Skip messages from the bot itself to prevent loops
+        if (event.bot_id) return;
 
-// Clean chat history button handler
-app.action('clean_chat_history_button', async ({ ack, body, client }) => {
-  await ack();
-  
-  try {
-    // This only clears conversation history in Slack, not Redis data
-    // We'll send a message to the user's DM channel to clear the conversation
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: '🧹 Chat history cleaned! Your conversation history has been cleared. This does not affect any saved integrations, prompts, or other data.',
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: '🧹 *Chat History Cleaned!*\n\nYour conversation history has been cleared. This does not affect any saved integrations, prompts, or other data.'
-          }
-        },
-        {
-          type: 'context',
-          elements: [
-            {
-              type: 'mrkdwn',
-              text: '💡 Tip: You can start a fresh conversation anytime!'
-            }
-          ]
+        const team = context.teamId || event.team;
+        const channel = event.channel;
+        const user = event.user;
+        const userText = String(event.text || '').slice(0, 4000);
+
+        console.log('Processing message in channel:', {
+          team,
+          channel,
+          user,
+          subtype: event.subtype,
+          bot_id: event.bot_id,
+          hasText: !!event.text,
+          textPreview: userText.substring(0, 50)
+        });
+
+        // Check if this channel is being monitored
+        console.log('Checking if channel is monitored:', { team, channel });
+        const monitoredChannel = await channelMonitoring.isChannelMonitored(team, channel);
+        console.log('Channel monitoring result:', monitoredChannel);
+        if (!monitoredChannel) {
+          console.log('Channel is not being monitored, skipping');
+          return; // Channel is not being monitored
         }
-      ]
-    });
-  } catch (error) {
-    console.error('Error cleaning chat history:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: '❌ Sorry, there was an error cleaning the chat history. Please try again.'
-    });
-  }
-});
 
-// Add suggested prompt button handler
-app.action('add_suggested_prompt_button', async ({ ack, body, client }) => {
-  await ack();
-  
-  try {
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'add_suggested_prompt',
-        title: {
-          type: 'plain_text',
-          text: 'Add Suggested Prompt'
-        },
-        submit: {
-          type: 'plain_text',
-          text: 'Add Prompt'
-        },
-        close: {
-          type: 'plain_text',
-          text: 'Cancel'
-        },
+        console.log('Processing message in monitored channel:', {
+          team,
+          channel,
+          user,
+          responseType: monitoredChannel.responseType
+        });
+
+        // Build system prompt based on response type
+        let systemPrompt;
+        switch (monitoredChannel.responseType) {
+          case 'analytical':
+            systemPrompt = `You are an analytical assistant monitoring this channel. Analyze the recent message for insights, patterns, and key points. Provide thoughtful analysis in a thread reply. Keep responses concise and focused on actionable insights.`;
+            break;
+          case 'summary':
+            systemPrompt = `You are a summarization assistant monitoring this channel. Provide a concise summary of the recent message and its context. Keep summaries brief and highlight key points.`;
+            break;
+          case 'questions':
+            systemPrompt = `You are a facilitation assistant monitoring this channel. Ask thoughtful, clarifying questions about the recent message to help facilitate better discussion. Focus on questions that add value and encourage deeper thinking.`;
+            break;
+          case 'insights':
+            systemPrompt = `You are an insights assistant monitoring this channel. Share observations and actionable insights about the recent message. Focus on practical takeaways and next steps.`;
+            break;
+          default:
+            systemPrompt = `You are monitoring this channel and responding to messages. Provide a helpful response based on the recent message.`;
+        }
+
+        // Get recent messages for context
+        let recentMessages = [];
+        try {
+          const hist = await client.conversations.history({
+            channel: channel,
+            limit: 10
+          });
+          if (hist.ok && hist.messages.length) {
+            recentMessages = hist.messages;
+          }
+        } catch (error) {
+          console.log('Error getting recent messages:', error);
+        }
+
+        // Build context from recent messages
+        const contextText = recentMessages.length > 0
+          ? recentMessages.slice(-5).map(m => `${m.user}: ${m.text}`).join('\n')
+          : userText;
+
+        // Create conversation history for channel monitoring
+        let conversationHistory = [];
+        for (const message of recentMessages) {
+          if (message.ts === event.ts) continue; // Skip current message
+          const role = message.bot_id ? 'assistant' : 'user';
+          conversationHistory.push({
+            role: role,
+            content: message.text || ''
+          });
+        }
+        conversationHistory = conversationHistory.reverse(); // Reverse to get chronological order
+
+        // Add current user message
+        conversationHistory.push({
+          role: 'user',
+          content: userText
+        });
+
+        // Stream the AI response in thread to keep main channel clean
+        await streamAIReply(client, {
+          channel: channel,
+          thread_ts: event.ts, // Reply in thread
+          unfurl_links: false,
+          unfurl_media: false
+        }, onProgress => callGrokAPI(userText + '\n\n' + systemPrompt, user, conversationHistory, team, {
+          onProgress,
+          client,
+          channel: channel,
+          threadTs: event.thread_ts || event.ts
+        }), { teamId: team });
+
+        // Check if we should create a Jira ticket (after 1st bot response)
+        const threadTs = event.thread_ts || event.ts;
+        console.log('Checking auto-Jira ticket creation:', {
+          autoCreateJiraTickets: monitoredChannel.autoCreateJiraTickets,
+          team,
+          channel,
+          threadTs
+        });
+
+        if (monitoredChannel.autoCreateJiraTickets) {
+          // Only the first response in a thread claims it, so one ticket is filed per thread
+          const responseCount = await channelMonitoring.incrementThreadResponseCount(team, channel, threadTs);
+
+          console.log('Thread response count:', {
+            team,
+            channel,
+            threadTs,
+            responseCount
+          });
+
+          if (responseCount === 1) {
+            console.log('Creating auto Jira ticket after 1st bot response:', { team, channel, threadTs });
+
+            try {
+              const ticket = await autoJira.createThreadTicket(client, team, monitoredChannel, threadTs);
+
+              // A redelivered event finds the ticket already filed and linked in the thread
+              if (!ticket.existing) {
+                await client.chat.postMessage({
+                  channel: channel,
+                  thread_ts: threadTs,
+                  text: `🎫 *Auto-Jira Ticket*\n\nCreated <${ticket.ticketUrl}|${ticket.ticketKey}> to track this discussion: ${ticket.summary}`,
+                  unfurl_links: false
+                });
+              }
+
+              console.log('Auto Jira ticket for thread:', ticket.ticketKey);
+            } catch (error) {
+              console.error('Error creating auto Jira ticket:', error);
+              // Release the claim so the next response in the thread tries again
+              await channelMonitoring.resetThreadResponseCount(team, channel, threadTs);
+              await client.chat.postMessage({
+                channel: channel,
+                thread_ts: threadTs,
+                text: `⚠️ Couldn't create a Jira ticket for this thread (${error.message}). I'll try again on the next reply.`
+              });
+            }
+          }
+        }
+      }
+      
+    } catch (error) {
+      console.error('Error processing channel message:', error);
+      
+      // Debug missing scopes
+      if (error.data && error.data.response_metadata) {
+        console.error('Missing scopes:', error.data.response_metadata.scopes);
+        console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
+      }
+    }
+  }
+  // Handle regular DM messages (no thread_ts)
+  else if (event.channel_type === 'im' && !event.thread_ts) {
+    try {
+      // Check for key-phrase response matches first
+      const teamId = context.teamId;
+      if (teamId) {
+        const keyPhraseResponse = await checkKeyPhraseResponse(event.text, teamId, context);
+        if (keyPhraseResponse) {
+          console.log('Key-phrase response matched:', keyPhraseResponse.triggerPhrase);
+          await sendKeyPhraseResponse(client, event.channel, keyPhraseResponse.responseText);
+          return; // Skip AI processing
+        }
+      }
+      
+      // Show typing indicator
+      await client.conversations.mark({
+        channel: event.channel,
+        ts: event.ts
+      });
+
+      // Get conversation history for DMs (use channel as thread)
+      let conversationHistory = [];
+      // For DMs without threads, get recent message history
+      const result = await client.conversations.history({
+        channel: event.channel,
+        limit: 10
+      });
+      
+      const messages = [];
+      for (const message of result.messages) {
+        if (message.ts === event.ts) continue; // Skip current message
+        const role = message.bot_id ? 'assistant' : 'user';
+        messages.push({
+          role: role,
+          content: message.text
+        });
+      }
+      conversationHistory = messages.reverse(); // Reverse to get chronological order
+      console.log('DM conversation history:', conversationHistory);
+
+      // Stream the AI response with conversation context
+      await streamAIReply(client, { channel: event.channel }, onProgress =>
+        callGrokAPI(event.text, event.user, conversationHistory, context.teamId, { onProgress, client, channel: event.channel, files: event.files }),
+        { teamId: context.teamId }
+      );
+    } catch (error) {
+      console.error('Error processing DM:', error);
+      
+      // Debug missing scopes
+      if (error.data && error.data.response_metadata) {
+        console.error('Missing scopes:', error.data.response_metadata.scopes);
+        console.error('Accepted scopes:', error.data.response_metadata.acceptedScopes);
+      }
+      
+      await say('Sorry, I encountered an error processing your request. Please try again.');
+    }
+  }
+});
+
+// Home tab handler
+app.event('app_home_opened', async ({ event, client, context }) => {
+  try {
+    // Check if we have valid tokens before trying to publish
+    const teamId = context.teamId || event.team;
+    if (!teamId) {
+      console.log('No team ID found in app_home_opened event, skipping home view publish');
+      return;
+    }
+
+    console.log('App Home opened by user:', event.user);
+    console.log('App Home event context:', {
+      context: context,
+      eventTeam: event.team
+    });
+
+    // Check Jira configuration status
+    let jiraStatus = '❌ Not Configured';
+    let jiraButtonText = '🔧 Setup Jira';
+    let jiraButtonStyle = 'primary';
+    
+    try {
+      console.log('Checking Jira status for teamId:', teamId);
+      const jiraCredentials = await redisService.getCredentials(teamId, 'jira');
+      console.log('Jira credentials result:', jiraCredentials ? 'Found credentials' : 'No credentials found');
+      
+      if (jiraCredentials) {
+        jiraStatus = '✅ Configured';
+        jiraButtonText = '🔧 Manage Jira';
+        jiraButtonStyle = null; // Remove style for configured state
+        console.log('Jira status updated to: Configured');
+      } else {
+        console.log('Jira status remains: Not Configured');
+      }
+    } catch (error) {
+      console.log('Error checking Jira status:', error);
+    }
+
+    // Show which model provider this workspace is using
+    let llmStatus = 'Default';
+    try {
+      const llmConfig = await llmService.getConfig(teamId);
+      llmStatus = `${llmConfig.provider} / ${llmConfig.model}`;
+    } catch (error) {
+      console.log('Error checking LLM config:', error);
+    }
+
+    // Show which Salesforce identity this user's lookups and writes go through
+    let salesforceStatus = '❌ Not connected';
+    let workspaceSalesforceStatus = '❌ Not set up';
+    try {
+      const personalTokens = await redisService.getSalesforceTokens(teamId, event.user);
+      const workspaceTokens = await redisService.getWorkspaceSalesforceTokens(teamId);
+      
+      if (workspaceTokens) {
+        workspaceSalesforceStatus = `✅ ${workspaceTokens.username || workspaceTokens.instance_url}`;
+      }
+      if (personalTokens) {
+        salesforceStatus = `✅ Your own account (${personalTokens.username || personalTokens.instance_url}) for lookups and changes`;
+      } else if (workspaceTokens) {
+        salesforceStatus = `🏢 Workspace integration user (${workspaceTokens.username || workspaceTokens.instance_url}) for lookups. Connect your own account to create or update records`;
+      }
+    } catch (error) {
+      console.log('Error checking Salesforce status:', error);
+    }
+
+    const homeView = {
+        type: 'home',
         blocks: [
           {
             type: 'section',
             text: {
               type: 'mrkdwn',
-              text: 'Create a suggested prompt that will appear as a button in the AI Assistant pane.'
+              text: '*Welcome to AI Assistant!* 🤖\n\nI\'m your intelligent AI assistant powered by GROK. I can help you with questions, provide information, and assist with various tasks.'
             }
           },
           {
-            type: 'input',
-            block_id: 'prompt_button_text',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'button_text',
-              placeholder: {
+            type: 'divider'
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: '*AI Behavior Settings:*\nCustomize how I respond to you'
+            },
+            accessory: {
+              type: 'button',
+              text: {
                 type: 'plain_text',
-                text: 'e.g., "Create a bug report"'
+                text: '⚙️ Configure'
               },
-              max_length: 75
+              action_id: 'configure_system_prompt_button',
+              value: 'configure_prompt'
+            }
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*AI Model:* ${llmStatus}\nChoose the model provider for this workspace`
             },
-            label: {
-              type: 'plain_text',
-              text: 'Button Text'
+            accessory: {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: '🧠 Configure Model'
+              },
+              action_id: 'configure_llm_button',
+              value: 'configure_llm'
             }
           },
           {
-            type: 'input',
-            block_id: 'prompt_message',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'message_text',
-              multiline: true,
-              placeholder: {
-                type: 'plain_text',
-                text: 'e.g., "Create a Jira ticket for a bug report with the following details: [describe the issue]"'
+            type: 'divider'
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: '*Suggested Prompts:*\nCreate quick-start prompts that appear as buttons in the AI Assistant pane:'
+            }
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '➕ Add Prompt'
+                },
+                action_id: 'add_suggested_prompt_button',
+                style: 'primary'
+            }
+          ]
               },
-              max_length: 2000
+        {
+          type: 'actions',
+          elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '📋 View Prompts'
+                },
+                action_id: 'view_suggested_prompts_button'
+              }
+            ]
+          },
+          {
+            type: 'divider'
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: '*Key-Phrase Responses:*\nSet up automatic responses that bypass the AI for specific phrases:'
+            }
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '➕ Add Response'
+                },
+                action_id: 'add_key_phrase_response_button',
+                style: 'primary'
+            }
+          ]
+              },
+        {
+          type: 'actions',
+          elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '📋 View Responses'
+                },
+                action_id: 'view_key_phrase_responses_button'
+              }
+            ]
+          },
+        {
+          type: 'divider'
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+            text: '*Channel Monitoring:*\nMonitor channels and get AI responses based on message content'
+          },
+          accessory: {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '➕ Add Channel Monitor'
             },
-            label: {
+            action_id: 'add_monitored_channel',
+            style: 'primary'
+            }
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                text: '⚙️ Manage Monitored Channels'
+              },
+              action_id: 'manage_monitored_channels'
+            }
+          ]
+        },
+        {
+          type: 'divider'
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*Integrations:*\nConfigure integrations to extend my capabilities:'
+          }
+        },
+        {
+          type: 'divider'
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*Jira Integration:* ${jiraStatus}\nConnect your Jira org`
+          },
+          accessory: {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+              text: jiraButtonText
+            },
+            action_id: 'setup_jira_button'
+          }
+        },
+        {
+          type: 'divider'
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*Salesforce Integration:*\n${salesforceStatus}`
+          },
+          accessory: {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+              text: '🔗 Connect'
+            },
+            action_id: 'connect_salesforce_button',
+            value: 'connect_salesforce'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*Workspace Salesforce Connection:* ${workspaceSalesforceStatus}\nIntegration user for read-only lookups by everyone (admins only)`
+          },
+          accessory: {
+            type: 'overflow',
+            action_id: 'workspace_salesforce_actions',
+            options: [
+              {
+                text: {
+                  type: 'plain_text',
+                  text: 'Connect integration user'
+                },
+                value: 'connect'
+              },
+              {
+                text: {
+                  type: 'plain_text',
+                  text: 'Disconnect'
+                },
+                value: 'disconnect'
+              }
+            ]
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*Salesforce Alerts:*\nPost record changes to channels, e.g. big deals closing or new P1 cases'
+          },
+          accessory: {
+            type: 'button',
+            text: {
               type: 'plain_text',
-              text: 'Message to Send'
+              text: '➕ Add Alert'
+            },
+            action_id: 'add_salesforce_subscription'
+          }
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: '🔔 Manage Alerts'
+              },
+              action_id: 'manage_salesforce_subscriptions'
             }
+          ]
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '*Channel Accounts:*\nLink customer channels to their Salesforce account for contextual answers'
+          },
+          accessory: {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '🔗 Link Channel'
+            },
+            action_id: 'link_channel_account_button'
           }
-        ]
-      }
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: '🏢 Manage Channel Accounts'
+              },
+              action_id: 'manage_channel_accounts_button'
+            }
+          ]
+        },
+        {
+          type: 'divider'
+        }
+      ]
+    };
+
+    console.log('Publishing App Home with', homeView.blocks.length, 'blocks');
+    console.log('Channel monitoring module loaded:', typeof channelMonitoring);
+    console.log('Available functions:', Object.keys(channelMonitoring));
+    
+    const result = await client.views.publish({
+      user_id: event.user,
+      view: homeView
     });
+    
+    console.log('App Home published successfully:', result.ok);
+    if (!result.ok) {
+      console.error('App Home publish failed:', result.error);
+    }
   } catch (error) {
-    console.error('Error opening add prompt modal:', error);
+    console.error('Error publishing home view:', error);
   }
 });
 
-// View suggested prompts button handler
-app.action('view_suggested_prompts_button', async ({ ack, body, client, context }) => {
+// Button click handler
+app.action('help_button', async ({ ack, say }) => {
+  await ack();
+  await say('I\'m an AI assistant powered by GROK! I can help you with questions, provide information, and assist with various tasks. Just ask me anything!');
+});
+
+// Clean chat history button handler
+app.action('clean_chat_history_button', async ({ ack, body, client }) => {
   await ack();
   
   try {
-    // Multi-tenant team ID resolution for enterprise installs
-    let teamId = context.teamId || body.team?.id || 'unknown';
+    // This only clears conversation history in Slack, not Redis data
+    // We'll send a message to the user's DM channel to clear the conversation
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: '🧹 Chat history cleaned! Your conversation history has been cleared. This does not affect any saved integrations, prompts, or other data.',
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '🧹 *Chat History Cleaned!*\n\nYour conversation history has been cleared. This does not affect any saved integrations, prompts, or other data.'
+          }
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: '💡 Tip: You can start a fresh conversation anytime!'
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('Error cleaning chat history:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: '❌ Sorry, there was an error cleaning the chat history. Please try again.'
+    });
+  }
+});
+
+// Add suggested prompt button handler
+app.action('add_suggested_prompt_button', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: 'add_suggested_prompt',
+        title: {
+          type: 'plain_text',
+          text: 'Add Suggested Prompt'
+        },
+        submit: {
+          type: 'plain_text',
+          text: 'Add Prompt'
+        },
+        close: {
+          type: 'plain_text',
+          text: 'Cancel'
+        },
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: 'Create a suggested prompt that will appear as a button in the AI Assistant pane.'
+            }
+          },
+          {
+            type: 'input',
+            block_id: 'prompt_button_text',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'button_text',
+              placeholder: {
+                type: 'plain_text',
+                text: 'e.g., "Create a bug report"'
+              },
+              max_length: 75
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Button Text'
+            }
+          },
+          {
+            type: 'input',
+            block_id: 'prompt_message',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'message_text',
+              multiline: true,
+              placeholder: {
+                type: 'plain_text',
+                text: 'e.g., "Create a Jira ticket for a bug report with the following details: [describe the issue]"'
+              },
+              max_length: 2000
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Message to Send'
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Error opening add prompt modal:', error);
+  }
+});
+
+// View suggested prompts button handler
+app.action('view_suggested_prompts_button', async ({ ack, body, client, context }) => {
+  await ack();
+  
+  try {
+    // Multi-tenant team ID resolution for enterprise installs
+    let teamId = context.teamId || body.team?.id || 'unknown';
     
     // For enterprise installs, use enterprise ID for data storage to ensure consistency across devices
     if (context.isEnterpriseInstall && context.enterpriseId) {
@@ -1945,6 +2812,9 @@ app.action('setup_jira_button', async ({ ack, body, client }) => {
   await ack();
   
   try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const webhookUrl = await jiraThreadSync.getWebhookUrl(teamId);
+
     // Send a modal for Jira setup
     await client.views.open({
       trigger_id: body.trigger_id,
@@ -2038,7 +2908,16 @@ app.action('setup_jira_button', async ({ ack, body, client }) => {
               type: 'plain_text',
               text: 'This will be used as the default project when creating tickets'
             }
-          }
+          },
+          ...(webhookUrl ? [{
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `To post status changes and comments back to the threads tickets were created from, add a Jira webhook for *Issue updated* and *Comment created* events with this URL:\n\`${webhookUrl}\``
+              }
+            ]
+          }] : [])
         ]
       }
     });
@@ -2077,9 +2956,11 @@ app.view('jira_setup', async ({ ack, body, view, client }) => {
       // Save credentials
       await redisService.saveCredentials(teamId, 'jira', credentials);
       
+      const webhookUrl = await jiraThreadSync.getWebhookUrl(teamId);
       await client.chat.postMessage({
         channel: body.user.id,
-        text: '✅ Jira integration configured successfully! You can now ask me to create tickets, search issues, and more.'
+        text: '✅ Jira integration configured successfully! You can now ask me to create tickets, search issues, and more.' +
+          (webhookUrl ? `\n\nTo sync status changes and comments back to Slack threads, add a Jira webhook (System → WebHooks) for *Issue updated* and *Comment created* events with the URL \`${webhookUrl}\`` : '')
       });
     } else {
       await client.chat.postMessage({
@@ -3318,484 +4199,2275 @@ app.action('configure_system_prompt_button', async ({ ack, body, client, context
       }
     });
   } catch (error) {
-    console.error('Error opening system prompt configuration modal:', error);
+    console.error('Error opening system prompt configuration modal:', error);
+  }
+});
+
+// Configure system prompt modal submission handler
+app.view('configure_system_prompt', async ({ ack, body, view, client, context }) => {
+  await ack();
+  
+  try {
+    // Use enterprise ID for data storage in enterprise installs to ensure consistency across devices
+    let teamId = context.teamId || body.team?.id || body.user?.team_id || 'unknown';
+    
+    if (context.isEnterpriseInstall && context.enterpriseId) {
+      teamId = context.enterpriseId;
+      console.log('Enterprise install detected - using enterprise ID for system prompt storage:', teamId);
+    }
+    
+    const userId = body.user.id;
+    const values = view.state.values;
+    
+    const tone = values.tone.tone_select.selected_option?.value;
+    const businessType = values.business_type.business_select.selected_option?.value;
+    const companyName = values.company_name.company_text.value?.trim() || '';
+    const additionalDirections = values.additional_directions.directions_text.value?.trim() || '';
+    const welcomeMessage = values.welcome_message.welcome_text.value?.trim() || '';
+    
+    if (!tone || !businessType) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: '❌ Please select both tone and business type. Please try again.'
+      });
+      return;
+    }
+    
+    const promptData = {
+      tone: tone,
+      businessType: businessType,
+      companyName: companyName,
+      additionalDirections: additionalDirections,
+      welcomeMessage: welcomeMessage
+    };
+    
+    const success = await redisService.saveUserSystemPrompt(teamId, userId, promptData);
+    
+    if (success) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `✅ AI behavior settings saved successfully!\n\n**Tone:** ${tone}\n**Business Type:** ${businessType}${companyName ? `\n**Company:** ${companyName}` : ''}${welcomeMessage ? `\n**Welcome Message:** ${welcomeMessage}` : ''}${additionalDirections ? `\n**Additional Directions:** ${additionalDirections}` : ''}\n\nThe AI will now use these settings in all future conversations.`
+      });
+    } else {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: '❌ Failed to save AI behavior settings. Please try again.'
+      });
+    }
+  } catch (error) {
+    console.error('Error processing system prompt configuration:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error saving your AI behavior settings. Please try again.'
+    });
+  }
+});
+
+// Configure AI model button handler
+app.action('configure_llm_button', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
+        channel: body.user.id,
+        user: body.user.id,
+        text: '❌ Only workspace admins can change the AI model settings.'
+      });
+      return;
+    }
+    
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const existingConfig = await redisService.getLLMConfig(teamId);
+    
+    const providerOptions = llmService.getAvailableProviders().map(provider => ({
+      text: {
+        type: 'plain_text',
+        text: provider
+      },
+      value: provider
+    }));
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: 'configure_llm',
+        title: {
+          type: 'plain_text',
+          text: 'AI Model Settings'
+        },
+        submit: {
+          type: 'plain_text',
+          text: 'Save'
+        },
+        close: {
+          type: 'plain_text',
+          text: 'Cancel'
+        },
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: 'Choose the model used for this workspace. Leave fields empty to use the server defaults.'
+            }
+          },
+          {
+            type: 'input',
+            block_id: 'llm_provider',
+            element: {
+              type: 'static_select',
+              action_id: 'provider_select',
+              placeholder: {
+                type: 'plain_text',
+                text: 'Select provider'
+              },
+              ...(existingConfig?.provider ? {
+                initial_option: providerOptions.find(option => option.value === existingConfig.provider)
+              } : {}),
+              options: providerOptions
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Provider'
+            },
+            hint: {
+              type: 'plain_text',
+              text: 'Use "openai" for any OpenAI-compatible endpoint, including local servers'
+            }
+          },
+          {
+            type: 'input',
+            block_id: 'llm_model',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'model_text',
+              placeholder: {
+                type: 'plain_text',
+                text: 'e.g., grok-2'
+              },
+              initial_value: existingConfig?.model || ''
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Model'
+            },
+            optional: true
+          },
+          {
+            type: 'input',
+            block_id: 'llm_base_url',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'base_url_text',
+              placeholder: {
+                type: 'plain_text',
+                text: 'https://api.example.com/v1'
+              },
+              initial_value: existingConfig?.baseUrl || ''
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Base URL'
+            },
+            optional: true
+          },
+          {
+            type: 'input',
+            block_id: 'llm_api_key',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'api_key_text',
+              placeholder: {
+                type: 'plain_text',
+                text: 'Leave empty to keep the current key'
+              }
+            },
+            label: {
+              type: 'plain_text',
+              text: 'API Key'
+            },
+            hint: {
+              type: 'plain_text',
+              text: 'The saved key is dropped when the provider or base URL changes. A custom base URL never uses the server\'s key.'
+            },
+            optional: true
+          },
+          {
+            type: 'input',
+            block_id: 'llm_temperature',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'temperature_text',
+              placeholder: {
+                type: 'plain_text',
+                text: '0.7'
+              },
+              initial_value: existingConfig?.temperature !== undefined ? String(existingConfig.temperature) : ''
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Temperature'
+            },
+            optional: true
+          },
+          {
+            type: 'input',
+            block_id: 'llm_max_tokens',
+            element: {
+              type: 'plain_text_input',
+              action_id: 'max_tokens_text',
+              placeholder: {
+                type: 'plain_text',
+                text: '1000'
+              },
+              initial_value: existingConfig?.maxTokens ? String(existingConfig.maxTokens) : ''
+            },
+            label: {
+              type: 'plain_text',
+              text: 'Max Tokens'
+            },
+            optional: true
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Error opening AI model settings modal:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error opening the AI model settings. Please try again.'
+    });
+  }
+});
+
+// Configure AI model modal submission handler
+app.view('configure_llm', async ({ ack, body, view, client }) => {
+  const values = view.state.values;
+  const temperature = values.llm_temperature.temperature_text.value?.trim();
+  const maxTokens = values.llm_max_tokens.max_tokens_text.value?.trim();
+  
+  // Validate numeric fields inline so the user can fix them without losing the form
+  const errors = {};
+  if (temperature && (isNaN(parseFloat(temperature)) || parseFloat(temperature) < 0 || parseFloat(temperature) > 2)) {
+    errors.llm_temperature = 'Temperature must be a number between 0 and 2';
+  }
+  if (maxTokens && (!/^\d+$/.test(maxTokens) || parseInt(maxTokens, 10) < 1)) {
+    errors.llm_max_tokens = 'Max tokens must be a positive whole number';
+  }
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  
+  // The modal is only offered to admins, but the submission is checked too
+  if (!(await isWorkspaceAdmin(client, body.user.id))) {
+    await ack({ response_action: 'errors', errors: { llm_provider: 'Only workspace admins can change the AI model settings' } });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const existingConfig = await redisService.getLLMConfig(teamId);
+    const provider = values.llm_provider.provider_select.selected_option?.value;
+    
+    const baseUrl = values.llm_base_url.base_url_text.value?.trim() || null;
+    
+    // A saved key belongs to the provider and endpoint it was entered for; never send it anywhere else
+    const keptApiKey = existingConfig?.provider === provider && (existingConfig?.baseUrl || null) === baseUrl
+      ? existingConfig?.apiKey
+      : null;
+    
+    const configData = {
+      provider,
+      model: values.llm_model.model_text.value?.trim() || null,
+      baseUrl,
+      apiKey: values.llm_api_key.api_key_text.value?.trim() || keptApiKey || null,
+      temperature: temperature ? parseFloat(temperature) : undefined,
+      maxTokens: maxTokens ? parseInt(maxTokens, 10) : undefined,
+      updatedBy: body.user.id
+    };
+    
+    const success = await redisService.saveLLMConfig(teamId, configData);
+    
+    if (success) {
+      const config = await llmService.getConfig(teamId);
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `✅ AI model settings saved!\n\n**Provider:** ${config.provider}\n**Model:** ${config.model}\n\nAll future conversations in this workspace will use this model.`
+      });
+    } else {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: '❌ Failed to save AI model settings. Please try again.'
+      });
+    }
+  } catch (error) {
+    console.error('Error saving AI model settings:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error saving the AI model settings. Please try again.'
+    });
+  }
+});
+
+// Helper function to build the Salesforce connect modal (pick the org's login host).
+// options.workspace connects the workspace integration user instead of the user's own account.
+function buildSalesforceConnectModal(existingTokens = null, options = {}) {
+  const { environment, myDomainUrl } = salesforceOAuth.describeLoginHost(existingTokens?.login_url);
+  const environmentOptions = [
+    { value: 'production', text: 'Production (login.salesforce.com)' },
+    { value: 'sandbox', text: 'Sandbox (test.salesforce.com)' },
+    { value: 'custom', text: 'My Domain' }
+  ].map(option => ({
+    text: {
+      type: 'plain_text',
+      text: option.text
+    },
+    value: option.value
+  }));
+  
+  return {
+    type: 'modal',
+    callback_id: 'salesforce_setup',
+    private_metadata: JSON.stringify({ workspace: !!options.workspace }),
+    title: {
+      type: 'plain_text',
+      text: options.workspace ? 'Workspace Salesforce' : existingTokens ? 'Reconfigure Salesforce' : 'Setup Salesforce'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Continue'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: options.workspace
+            ? 'Connect the integration user the whole workspace uses for read-only lookups. Sign in as that user on Salesforce - records are still created with each person\'s own connection.'
+            : 'Choose where your Salesforce org logs in. You\'ll sign in on Salesforce and approve access - no tokens to copy.'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'salesforce_environment',
+        element: {
+          type: 'radio_buttons',
+          action_id: 'environment_input',
+          initial_option: environmentOptions.find(option => option.value === environment),
+          options: environmentOptions
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Login Host'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'my_domain',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'my_domain_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'https://yourcompany.my.salesforce.com'
+          },
+          initial_value: myDomainUrl || ''
+        },
+        label: {
+          type: 'plain_text',
+          text: 'My Domain URL'
+        },
+        hint: {
+          type: 'plain_text',
+          text: 'Only needed when "My Domain" is selected'
+        },
+        optional: true
+      }
+    ]
+  };
+}
+
+// Helper function to build the modal holding the Salesforce authorize link
+function buildSalesforceAuthorizeModal(authorizeUrl, loginHost) {
+  return {
+    type: 'modal',
+    callback_id: 'salesforce_authorize',
+    title: {
+      type: 'plain_text',
+      text: 'Connect Salesforce'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Done'
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Click *Connect* to sign in on \`${loginHost.replace('https://', '')}\` and approve access. I'll send you a DM once you're connected.`
+        },
+        accessory: {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: '🔗 Connect'
+          },
+          url: authorizeUrl,
+          action_id: 'salesforce_oauth_link',
+          style: 'primary'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '💡 This link can be used once and expires in 10 minutes.'
+          }
+        ]
+      }
+    ]
+  };
+}
+
+// Connect Salesforce button handler
+app.action('connect_salesforce_button', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const userId = body.user.id;
+    
+    // Check if user already has Salesforce connected
+    const existingTokens = await redisService.getSalesforceTokens(teamId, userId);
+    
+    if (existingTokens) {
+      // Show options to reconfigure or disconnect
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `✅ You already have Salesforce connected!\n\n**Org:** ${existingTokens.instance_url}\n**Connected:** ${new Date(existingTokens.createdAt).toLocaleDateString()}`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `✅ *Salesforce Connected*\n\n**Org:** ${existingTokens.instance_url}\n**Connected:** ${new Date(existingTokens.createdAt).toLocaleDateString()}`
+            }
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '🔄 Reconfigure'
+                },
+                action_id: 'reconfigure_salesforce_button',
+                style: 'primary'
+              },
+              {
+                type: 'button',
+                text: {
+                  type: 'plain_text',
+                  text: '❌ Disconnect'
+                },
+                action_id: 'disconnect_salesforce_button',
+                style: 'danger'
+              }
+            ]
+          }
+        ]
+      });
+      return;
+    }
+    
+    // Open Salesforce setup modal
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildSalesforceConnectModal()
+    });
+  } catch (error) {
+    console.error('Error handling Salesforce connection:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error connecting to Salesforce. Please try again.'
+    });
+  }
+});
+
+// Salesforce setup modal submission handler - swaps the modal for the authorize link
+app.view('salesforce_setup', async ({ ack, body, view }) => {
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const userId = body.user.id;
+  const values = view.state.values;
+  
+  const { workspace } = JSON.parse(view.private_metadata || '{}');
+  const environment = values.salesforce_environment.environment_input.selected_option?.value || 'production';
+  const myDomainUrl = values.my_domain.my_domain_input.value;
+  
+  let loginHost;
+  try {
+    loginHost = salesforceOAuth.resolveLoginHost(environment, myDomainUrl);
+  } catch (error) {
+    await ack({ response_action: 'errors', errors: { my_domain: error.message } });
+    return;
+  }
+  
+  try {
+    const authorizeUrl = await salesforceOAuth.createAuthorizationUrl(teamId, userId, loginHost, { workspace });
+    await ack({
+      response_action: 'update',
+      view: buildSalesforceAuthorizeModal(authorizeUrl, loginHost)
+    });
+  } catch (error) {
+    console.error('Error starting Salesforce OAuth flow:', error);
+    await ack({ response_action: 'errors', errors: { salesforce_environment: error.message } });
+  }
+});
+
+// Salesforce authorize link button - the URL opens in the browser, nothing else to do
+app.action('salesforce_oauth_link', async ({ ack }) => {
+  await ack();
+});
+
+// Reconfigure Salesforce button handler
+app.action('reconfigure_salesforce_button', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const userId = body.user.id;
+    
+    // Get existing tokens to pre-fill the modal
+    const existingTokens = await redisService.getSalesforceTokens(teamId, userId);
+    
+    // Open Salesforce setup modal with the current login host pre-selected
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildSalesforceConnectModal(existingTokens)
+    });
+  } catch (error) {
+    console.error('Error handling Salesforce reconfiguration:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error opening the Salesforce reconfiguration modal. Please try again.'
+    });
+  }
+});
+
+// Disconnect Salesforce button handler
+app.action('disconnect_salesforce_button', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const userId = body.user.id;
+    
+    const success = await redisService.deleteSalesforceTokens(teamId, userId);
+    
+    if (success) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: '✅ Salesforce connection has been disconnected successfully. You can reconnect anytime using the "🔗 Connect" button.'
+      });
+    } else {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: '❌ No Salesforce connection found to disconnect.'
+      });
+    }
+  } catch (error) {
+    console.error('Error disconnecting Salesforce:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error disconnecting Salesforce. Please try again.'
+    });
+  }
+});
+
+// Disconnect Salesforce command
+app.command('/disconnect-salesforce', async ({ command, ack, respond }) => {
+  await ack();
+  
+  try {
+    const teamId = command.team_id;
+    const userId = command.user_id;
+    
+    const success = await redisService.deleteSalesforceTokens(teamId, userId);
+    
+    if (success) {
+      await respond('✅ Salesforce connection has been disconnected successfully.');
+    } else {
+      await respond('❌ No Salesforce connection found to disconnect.');
+    }
+  } catch (error) {
+    console.error('Error disconnecting Salesforce:', error);
+    await respond('Sorry, there was an error disconnecting Salesforce. Please try again.');
+  }
+});
+
+// Workspace Salesforce connection menu - admins connect (or replace) or disconnect the integration user
+app.action('workspace_salesforce_actions', async ({ ack, body, client, action }) => {
+  await ack();
+  
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
+        channel: body.user.id,
+        user: body.user.id,
+        text: '❌ Only workspace admins can manage the workspace Salesforce connection.'
+      });
+      return;
+    }
+    
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    
+    if (action.selected_option?.value === 'disconnect') {
+      const success = await redisService.deleteWorkspaceSalesforceTokens(teamId);
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: success
+          ? '✅ The workspace Salesforce connection has been removed. People without their own connection can no longer look up Salesforce data.'
+          : '❌ No workspace Salesforce connection found to disconnect.'
+      });
+      return;
+    }
+    
+    const existingTokens = await redisService.getWorkspaceSalesforceTokens(teamId);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildSalesforceConnectModal(existingTokens, { workspace: true })
+    });
+  } catch (error) {
+    console.error('Error handling workspace Salesforce action:', error);
+  }
+});
+
+// Clear Redis command (temporary - remove after use)
+app.command('/clear-redis', async ({ command, ack, respond }) => {
+  await ack();
+  
+  try {
+    await redisService.client.flushall();
+    await respond('✅ Redis data cleared successfully! You can now reinstall your Slack app.');
+  } catch (error) {
+    console.error('Error clearing Redis:', error);
+    await respond(`❌ Error clearing Redis: ${error.message}`);
+  }
+});
+
+// List integrations command
+app.command('/integrations', async ({ command, ack, respond }) => {
+  await ack();
+  
+  try {
+    const teamId = command.team_id;
+    const integrations = await redisService.listIntegrations(teamId);
+    
+    if (integrations.length === 0) {
+      await respond('No integrations configured yet. Use `/setup-jira` to configure Jira integration.');
+    } else {
+      await respond(`Configured integrations: ${integrations.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Error listing integrations:', error);
+    await respond('Sorry, there was an error listing integrations.');
+  }
+});
+
+// Add request logging middleware
+app.use(async ({ body, next }) => {
+  console.log('Processing Slack request...');
+  if (body.type === 'block_actions') {
+    console.log('Block action received:', {
+      type: body.type,
+      actions: body.actions?.map(action => ({
+        action_id: action.action_id,
+        type: action.type,
+        value: action.value
+      }))
+    });
+  }
+  await next();
+});
+
+// ============================================================================
+// SALESFORCE DRAFT ACTION HANDLERS
+// ============================================================================
+
+// Confirm button on a Salesforce draft card (or Create anyway on a duplicates card) - the only path that writes the record
+async function handleSalesforceDraftConfirm({ ack, body, client, action }) {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const userId = body.user.id;
+    const draft = await salesforceDrafts.getDraft(ref.teamId, ref.channelId, ref.threadTs);
+
+    // A newer draft in the same thread replaces this card's; never create a record the card doesn't show
+    if (!draft || draft.draftId !== ref.draftId) {
+      await client.chat.update({
+        channel: body.container.channel_id,
+        ts: body.message.ts,
+        text: 'This draft has expired or was already handled.',
+        blocks: salesforceDrafts.resolvedCardBlocks('⌛ This draft has expired or was already handled.')
+      });
+      return;
+    }
+
+    if (draft.userId !== userId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `Only <@${draft.userId}> can confirm this ${draft.objectType}.`
+      });
+      return;
+    }
+
+    if (draft.status !== 'confirming') {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `❌ This ${draft.objectType} still needs: ${draft.missing.map(field => field.label).join(', ')}. Use Edit to fill them in.`
+      });
+      return;
+    }
+
+    const tokens = await redisService.getSalesforceTokens(draft.teamId, userId);
+    if (!tokens) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home and try again.'
+      });
+      return;
+    }
+
+    // Claim the draft before writing so a double click can't create the record twice
+    if (!(await salesforceDrafts.deleteDraft(draft.teamId, draft.channelId, draft.threadTs))) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: 'This draft has expired or was already handled.'
+      });
+      return;
+    }
+
+    // Any failure past the claim puts the draft back, so the user can fix it and try again
+    let result;
+    try {
+      const salesforceClient = salesforceService.createClient(tokens);
+      const fields = draft.account ? { ...draft.fields, AccountId: draft.account.Id } : draft.fields;
+      result = await SALESFORCE_CREATORS[draft.objectType](fields, { salesforceClient, userId });
+    } catch (error) {
+      console.error('Error creating Salesforce record from draft:', error);
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await client.chat.update({
+        channel: body.container.channel_id,
+        ts: body.message.ts,
+        text: `✅ ${draft.objectType} created successfully!`,
+        blocks: salesforceDrafts.resolvedCardBlocks(`✅ *${draft.objectType} created successfully!*\n\n*ID:* ${result.id}\n*Link:* <${result.url}|View in Salesforce>`)
+      });
+    } else {
+      await salesforceDrafts.saveDraft(draft);
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `❌ Failed to create ${draft.objectType}: ${result.error}`
+      });
+    }
+  } catch (error) {
+    console.error('Error confirming Salesforce draft:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: 'Sorry, there was an error creating the record. Please try again.'
+    });
+  }
+}
+
+app.action('salesforce_draft_confirm', handleSalesforceDraftConfirm);
+app.action('salesforce_duplicate_create', handleSalesforceDraftConfirm);
+
+// Use existing button on a duplicates card - drops the draft and points at the existing record
+app.action('salesforce_duplicate_use', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const draft = await salesforceDrafts.getDraft(ref.teamId, ref.channelId, ref.threadTs);
+    const match = draft?.duplicates?.find(duplicate => duplicate.Id === ref.recordId);
+
+    if (!draft || !match || draft.draftId !== ref.draftId) {
+      await client.chat.update({
+        channel: body.container.channel_id,
+        ts: body.message.ts,
+        text: 'This draft has expired or was already handled.',
+        blocks: salesforceDrafts.resolvedCardBlocks('⌛ This draft has expired or was already handled.')
+      });
+      return;
+    }
+
+    if (draft.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${draft.userId}> can choose what to do with this ${draft.objectType}.`
+      });
+      return;
+    }
+
+    await salesforceDrafts.deleteDraft(ref.teamId, ref.channelId, ref.threadTs);
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `Using the existing ${match.objectType} ${match.name}`,
+      blocks: salesforceDrafts.resolvedCardBlocks(`👍 *Using the existing ${match.objectType}* <${match.url}|${match.name}> - nothing new was created.`)
+    });
+  } catch (error) {
+    console.error('Error choosing existing Salesforce record:', error);
+  }
+});
+
+// Edit button on a Salesforce draft card
+app.action('salesforce_draft_edit', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const draft = await salesforceDrafts.getDraft(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (!draft || draft.draftId !== ref.draftId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: '⌛ This draft has expired or was already handled.'
+      });
+      return;
+    }
+
+    if (draft.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${draft.userId}> can edit this ${draft.objectType}.`
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: salesforceDrafts.editDraftModal(draft)
+    });
+  } catch (error) {
+    console.error('Error opening Salesforce draft edit modal:', error);
+  }
+});
+
+// Cancel button on a Salesforce draft card
+app.action('salesforce_draft_cancel', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const draft = await salesforceDrafts.getDraft(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (draft && draft.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${draft.userId}> can cancel this ${draft.objectType}.`
+      });
+      return;
+    }
+
+    // A stale card only closes itself; the thread's newer draft stays pending
+    if (draft && draft.draftId === ref.draftId) {
+      await salesforceDrafts.deleteDraft(ref.teamId, ref.channelId, ref.threadTs);
+    }
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: 'Cancelled - nothing was created in Salesforce.',
+      blocks: salesforceDrafts.resolvedCardBlocks('🚫 Cancelled - nothing was created in Salesforce.')
+    });
+  } catch (error) {
+    console.error('Error cancelling Salesforce draft:', error);
+  }
+});
+
+// Edit draft modal submission - validates the fields and refreshes the confirmation card
+app.view('salesforce_draft_edit', async ({ ack, body, view, client }) => {
+  try {
+    const ref = JSON.parse(view.private_metadata);
+    const draft = await salesforceDrafts.getDraft(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (!draft || draft.draftId !== ref.draftId) {
+      await ack({
+        response_action: 'errors',
+        errors: { [view.blocks[0].block_id]: 'This draft has expired, was already handled, or changed since you opened it.' }
+      });
+      return;
+    }
+
+    if (draft.userId !== body.user.id) {
+      await ack({
+        response_action: 'errors',
+        errors: { [view.blocks[0].block_id]: `Only the person who started this ${draft.objectType} can edit it.` }
+      });
+      return;
+    }
+
+    const schema = entityExtractor.getSchema(draft.objectType);
+    const raw = salesforceDrafts.readEditDraftValues(draft.objectType, view.state.values);
+
+    // Report invalid values next to their inputs
+    const errors = {};
+    for (const [name, value] of Object.entries(raw)) {
+      if (value === null || value === '') continue;
+      const result = entityExtractor.normalizeValue(schema[name], value);
+      if (result.error) {
+        errors[`field_${name}`] = result.error;
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    await ack();
+
+    const validation = entityExtractor.validate(draft.objectType, raw);
+
+    // A changed name, email or phone is checked for duplicates again, as when the draft was made
+    let duplicates = [];
+    const identityChanged = ['FirstName', 'LastName', 'Email', 'Phone']
+      .some(name => (validation.data[name] || null) !== (draft.fields[name] || null));
+    if (PERSON_LOOKUP_FIELDS[draft.objectType] && identityChanged && validation.missing.length === 0) {
+      const tokens = await redisService.getSalesforceTokens(draft.teamId, draft.userId);
+      if (tokens) {
+        duplicates = await findDuplicatePeople(validation.data, salesforceService.createClient(tokens));
+      }
+    }
+
+    const updatedDraft = await salesforceDrafts.saveDraft({
+      ...draft,
+      fields: validation.data,
+      errors: [],
+      duplicates: duplicates.length > 0 ? duplicates : undefined,
+      draftId: salesforceDrafts.newDraftId()
+    });
+    if (!updatedDraft) {
+      throw new Error('Could not save the draft');
+    }
+
+    if (duplicates.length > 0) {
+      const card = await client.chat.postMessage({
+        channel: draft.channelId,
+        thread_ts: draft.threadTs || undefined,
+        text: `This ${draft.objectType} may already exist in Salesforce`,
+        blocks: salesforceDrafts.duplicateCardBlocks(updatedDraft)
+      });
+      if (draft.cardTs) {
+        await client.chat.update({
+          channel: draft.channelId,
+          ts: draft.cardTs,
+          text: `This ${draft.objectType} may already exist in Salesforce`,
+          blocks: salesforceDrafts.resolvedCardBlocks(`🔎 *This ${draft.objectType} may already exist* - see the card below.`)
+        });
+      }
+      await salesforceDrafts.saveDraft({ ...updatedDraft, cardTs: card.ts });
+    } else if (draft.cardTs) {
+      await client.chat.update({
+        channel: draft.channelId,
+        ts: draft.cardTs,
+        text: `Please confirm the new ${draft.objectType}`,
+        blocks: salesforceDrafts.confirmationCardBlocks(updatedDraft)
+      });
+    }
+  } catch (error) {
+    console.error('Error updating Salesforce draft:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: 'Sorry, there was an error updating the record details. Please try again.'
+    });
+  }
+});
+
+// ============================================================================
+// SALESFORCE UPDATE ACTION HANDLERS
+// ============================================================================
+
+// Record picked from the disambiguation card - show the before/after diff for it
+app.action('salesforce_update_pick', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const choice = JSON.parse(action.selected_option.value);
+    const update = await salesforceUpdates.getUpdate(choice.teamId, choice.channelId, choice.threadTs);
+
+    if (!update || update.record || update.updateId !== choice.updateId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: 'This update has expired or was already handled.'
+      });
+      return;
+    }
+
+    if (update.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${update.userId}> can choose the record for this update.`
+      });
+      return;
+    }
+
+    const tokens = await redisService.getSalesforceTokens(update.teamId, update.userId);
+    if (!tokens) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home and try again.'
+      });
+      return;
+    }
+
+    const salesforceClient = salesforceService.createClient(tokens);
+    const describe = await salesforceQuery.describeObject(salesforceClient, update.objectType);
+    const record = await salesforceUpdates.loadCurrentValues(
+      salesforceClient, update.objectType, describe, choice.recordId, Object.keys(update.changes)
+    );
+    // The diff card is a new thing to confirm, so it gets a new id
+    const updated = await salesforceUpdates.saveUpdate({ ...update, record, updateId: salesforceUpdates.newUpdateId() });
+
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `Please confirm the changes to ${record.name}`,
+      blocks: salesforceUpdates.diffCardBlocks(updated)
+    });
+  } catch (error) {
+    console.error('Error choosing Salesforce record to update:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: `❌ ${error.message}`
+    });
+  }
+});
+
+// Apply changes button - PATCHes the record once the requester confirms
+app.action('salesforce_update_confirm', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const update = await salesforceUpdates.getUpdate(ref.teamId, ref.channelId, ref.threadTs);
+    const userId = body.user.id;
+
+    // A newer update in the same thread replaces this card's; never apply changes the card doesn't show
+    if (!update || !update.record || update.updateId !== ref.updateId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: 'This update has expired or was already handled.'
+      });
+      return;
+    }
+
+    if (update.userId !== userId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `Only <@${update.userId}> can apply this update.`
+      });
+      return;
+    }
+
+    const tokens = await redisService.getSalesforceTokens(update.teamId, userId);
+    if (!tokens) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home and try again.'
+      });
+      return;
+    }
+
+    // Claim the update before writing so a double click can't apply it twice
+    if (!(await salesforceUpdates.deleteUpdate(update.teamId, update.channelId, update.threadTs))) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: 'This update has expired or was already handled.'
+      });
+      return;
+    }
+
+    const salesforceClient = salesforceService.createClient(tokens);
+    const result = await salesforceClient.updateRecord(update.objectType, update.record.Id, update.changes);
+
+    if (result.success) {
+      const summary = Object.keys(update.changes).map(name => update.fields[name].label).join(', ');
+      await client.chat.update({
+        channel: body.container.channel_id,
+        ts: body.message.ts,
+        text: `✅ ${update.objectType} updated successfully!`,
+        blocks: salesforceDrafts.resolvedCardBlocks(`✅ *${update.objectType} updated successfully!*\n\n*Record:* <${result.url}|${update.record.name || update.record.Id}>\n*Changed:* ${summary}`)
+      });
+    } else {
+      // Put the update back so the user can try again
+      await salesforceUpdates.saveUpdate(update);
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `❌ Failed to update ${update.objectType}: ${result.error}`
+      });
+    }
+  } catch (error) {
+    console.error('Error applying Salesforce update:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: 'Sorry, there was an error updating the record. Please try again.'
+    });
+  }
+});
+
+// Cancel button on the disambiguation or diff card
+app.action('salesforce_update_cancel', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
+    const update = await salesforceUpdates.getUpdate(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (update && update.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${update.userId}> can cancel this update.`
+      });
+      return;
+    }
+
+    // A stale card only closes itself; the thread's newer update stays pending
+    if (update && update.updateId === ref.updateId) {
+      await salesforceUpdates.deleteUpdate(ref.teamId, ref.channelId, ref.threadTs);
+    }
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: 'Cancelled - nothing was changed in Salesforce.',
+      blocks: salesforceDrafts.resolvedCardBlocks('🚫 Cancelled - nothing was changed in Salesforce.')
+    });
+  } catch (error) {
+    console.error('Error cancelling Salesforce update:', error);
+  }
+});
+
+// ============================================================================
+// SALESFORCE QUERY RESULTS ACTION HANDLERS
+// ============================================================================
+
+// Page through stored query results; later pages are fetched with the requester's connection
+async function handleSalesforceQueryPage({ ack, body, client, action }) {
+  await ack();
+
+  try {
+    const { queryId, page } = JSON.parse(action.value);
+    const queryState = await salesforceQuery.getQueryState(queryId);
+
+    if (!queryState) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: 'These results have expired. Ask the question again to get fresh results.'
+      });
+      return;
+    }
+
+    if (queryState.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${queryState.userId}> can page through these results.`
+      });
+      return;
+    }
+
+    const connection = await salesforceService.getConnection(queryState.teamId, queryState.userId);
+    if (!connection) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home.'
+      });
+      return;
+    }
+
+    await salesforceQuery.loadPage(queryState, page, connection.client);
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `${queryState.totalSize} ${queryState.objectType} records`,
+      blocks: salesforceQuery.queryResultsBlocks(queryState, page)
+    });
+  } catch (error) {
+    console.error('Error paging Salesforce query results:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: `❌ ${error.message}`
+    });
+  }
+}
+
+app.action('salesforce_query_prev', handleSalesforceQueryPage);
+app.action('salesforce_query_next', handleSalesforceQueryPage);
+
+// ============================================================================
+// LOG TO SALESFORCE HANDLERS
+// ============================================================================
+
+// Log to Salesforce message shortcut - opens the record picker for the message's thread
+app.shortcut('log_to_salesforce', async ({ shortcut, ack, client }) => {
+  await ack();
+
+  try {
+    const teamId = shortcut.team?.id || shortcut.user?.team_id || 'unknown';
+    const tokens = await redisService.getSalesforceTokens(teamId, shortcut.user.id);
+
+    if (!tokens) {
+      await client.views.open({
+        trigger_id: shortcut.trigger_id,
+        view: {
+          type: 'modal',
+          title: {
+            type: 'plain_text',
+            text: 'Log to Salesforce'
+          },
+          close: {
+            type: 'plain_text',
+            text: 'Close'
+          },
+          blocks: [
+            {
+              type: 'section',
+              text: {
+                type: 'mrkdwn',
+                text: '❌ Connect Salesforce from the App Home first, then try again.'
+              }
+            }
+          ]
+        }
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: activityLogger.logToSalesforceModal({
+        teamId,
+        channelId: shortcut.channel.id,
+        threadTs: shortcut.message.thread_ts || shortcut.message.ts
+      })
+    });
+  } catch (error) {
+    console.error('Error opening Log to Salesforce modal:', error);
+  }
+});
+
+// Record picker search - Accounts, Opportunities and Contacts matching the typed name
+app.options('salesforce_record_search', async ({ body, options, ack }) => {
+  try {
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const tokens = await redisService.getSalesforceTokens(teamId, body.user.id);
+    if (!tokens) {
+      await ack({ options: [] });
+      return;
+    }
+
+    const groups = await activityLogger.searchRecords(salesforceService.createClient(tokens), options.value);
+    if (groups.length === 0) {
+      await ack({ options: [] });
+      return;
+    }
+    await ack({ option_groups: activityLogger.recordOptionGroups(groups) });
+  } catch (error) {
+    console.error('Error searching Salesforce records:', error);
+    await ack({ options: [] });
+  }
+});
+
+// Log to Salesforce modal submission - summarizes the thread and creates the Task
+app.view('log_to_salesforce', async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const record = view.state.values.related_record.salesforce_record_search.selected_option?.value;
+  const subject = view.state.values.activity_subject.subject_input.value;
+  const userId = body.user.id;
+
+  if (!record) {
+    await ack({ response_action: 'errors', errors: { related_record: 'Choose a record to log the conversation to' } });
+    return;
+  }
+  await ack();
+
+  try {
+    const tokens = await redisService.getSalesforceTokens(metadata.teamId, userId);
+    if (!tokens) {
+      await client.chat.postMessage({
+        channel: userId,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home and try again.'
+      });
+      return;
+    }
+
+    const result = await activityLogger.logThread(salesforceService.createClient(tokens), {
+      client,
+      channelId: metadata.channelId,
+      threadTs: metadata.threadTs,
+      record,
+      subject,
+      teamId: metadata.teamId
+    });
+
+    await client.chat.postMessage({
+      channel: userId,
+      text: result.success
+        ? `✅ Logged the conversation to Salesforce as *${result.subject}*.\n<${result.url}|View the activity in Salesforce>`
+        : `❌ Failed to log the conversation to Salesforce: ${result.error}`
+    });
+  } catch (error) {
+    console.error('Error logging conversation to Salesforce:', error);
+    await client.chat.postMessage({
+      channel: userId,
+      text: error.data?.error === 'not_in_channel' || error.data?.error === 'channel_not_found'
+        ? '❌ I need to be added to that channel before I can read the conversation.'
+        : `❌ Failed to log the conversation to Salesforce: ${error.message}`
+    });
+  }
+});
+
+// ============================================================================
+// JIRA ISSUE HANDLERS
+// ============================================================================
+
+// Open the Create Jira Issue modal for a message. The modal opens with a status right
+// away because the trigger expires before the model has drafted the issue.
+async function openCreateIssueModal(client, { triggerId, teamId, channelId, message }) {
+  const credentials = await redisService.getCredentials(teamId, 'jira');
+  if (!credentials) {
+    await client.views.open({
+      trigger_id: triggerId,
+      view: jiraIssueForm.issueStatusModal('❌ Set up Jira from the App Home first, then try again.')
+    });
+    return;
+  }
+
+  const opened = await client.views.open({
+    trigger_id: triggerId,
+    view: jiraIssueForm.issueStatusModal('⏳ Drafting the issue from the message...')
+  });
+
+  const { metadata, form } = await jiraIssueForm.initialForm(teamId, {
+    channelId,
+    threadTs: message.thread_ts || message.ts,
+    text: message.text || ''
+  });
+
+  await client.views.update({
+    view_id: opened.view.id,
+    hash: opened.view.hash,
+    view: jiraIssueForm.createIssueModal(metadata, form)
+  });
+}
+
+// Create Jira issue message shortcut
+app.shortcut('create_jira_issue', async ({ shortcut, ack, client }) => {
+  await ack();
+
+  try {
+    await openCreateIssueModal(client, {
+      triggerId: shortcut.trigger_id,
+      teamId: shortcut.team?.id || shortcut.user?.team_id || 'unknown',
+      channelId: shortcut.channel.id,
+      message: shortcut.message
+    });
+  } catch (error) {
+    console.error('Error opening Create Jira Issue modal:', error);
+  }
+});
+
+// Create Jira issue button under the bot's replies
+app.action('create_jira_issue_from_reply', async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    await openCreateIssueModal(client, {
+      triggerId: body.trigger_id,
+      teamId: body.team?.id || body.user?.team_id || 'unknown',
+      channelId: body.channel.id,
+      message: body.message
+    });
+  } catch (error) {
+    console.error('Error opening Create Jira Issue modal:', error);
+  }
+});
+
+// Project picker search
+app.options('jira_issue_project_search', async ({ body, options, ack }) => {
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    const { projects } = await integrationService.handleIntegration('jira', 'search_projects', { query: options.value }, metadata.teamId);
+    await ack({ options: jiraIssueForm.projectOptions(projects) });
+  } catch (error) {
+    console.error('Error searching Jira projects:', error);
+    await ack({ options: [] });
+  }
+});
+
+// Issue type picker - the issue types the chosen project allows
+app.options('jira_issue_type_search', async ({ body, options, ack }) => {
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    if (!metadata.project) {
+      await ack({ options: [] });
+      return;
+    }
+
+    const { issueTypes } = await integrationService.handleIntegration('jira', 'get_issue_types', { project: metadata.project }, metadata.teamId);
+    await ack({ options: jiraIssueForm.issueTypeOptions(issueTypes, options.value) });
+  } catch (error) {
+    console.error('Error loading Jira issue types:', error);
+    await ack({ options: [] });
+  }
+});
+
+// Allowed values of a createmeta field (priority, components, custom select fields)
+app.options('jira_field_options', async ({ body, options, ack }) => {
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    await ack({ options: await jiraIssueForm.fieldOptions(metadata, body.block_id, options.value) });
+  } catch (error) {
+    console.error('Error loading Jira field options:', error);
+    await ack({ options: [] });
+  }
+});
+
+// Label suggestions
+app.options('jira_labels_search', async ({ body, options, ack }) => {
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    const { labels } = await integrationService.handleIntegration('jira', 'suggest_labels', { query: options.value }, metadata.teamId);
+    await ack({ options: jiraIssueForm.labelOptions(labels, options.value) });
+  } catch (error) {
+    console.error('Error suggesting Jira labels:', error);
+    await ack({ options: jiraIssueForm.labelOptions([], options.value) });
+  }
+});
+
+// Project picked - reload the modal so the issue type can be chosen for it
+app.action('jira_issue_project_search', async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    const form = jiraIssueForm.readForm(body.view, metadata);
+    const updated = jiraIssueForm.selectProject(metadata, body.actions[0].selected_option);
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: jiraIssueForm.createIssueModal(updated, form)
+    });
+  } catch (error) {
+    console.error('Error selecting Jira project:', error);
+  }
+});
+
+// Issue type picked - reload the modal with the issue type's fields from createmeta
+app.action('jira_issue_type_search', async ({ ack, body, client }) => {
+  await ack();
+
+  const metadata = JSON.parse(body.view.private_metadata);
+  const form = jiraIssueForm.readForm(body.view, metadata);
+  try {
+    const updated = await jiraIssueForm.selectIssueType(metadata, body.actions[0].selected_option);
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: jiraIssueForm.createIssueModal(updated, form)
+    });
+  } catch (error) {
+    console.error('Error loading Jira issue type fields:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueForm.createIssueModal(metadata, form, error.message)
+    });
+  }
+});
+
+// Create Jira Issue modal submission
+app.view('jira_create_issue', async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const form = jiraIssueForm.readForm(view, metadata);
+  const userId = body.user.id;
+
+  const errors = jiraIssueForm.formErrors(metadata);
+  if (errors) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack({
+    response_action: 'update',
+    view: jiraIssueForm.issueStatusModal('⏳ Creating the issue in Jira...')
+  });
+
+  try {
+    const result = await jiraIssueForm.createIssue(metadata, form);
+    await jiraThreadSync.linkThread(metadata.teamId, metadata.channelId, metadata.threadTs, result.ticketKey);
+
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueForm.issueStatusModal(`✅ Created <${result.ticketUrl}|${result.ticketKey}>: ${form.summary}`)
+    });
+
+    try {
+      await client.chat.postMessage({
+        channel: metadata.channelId,
+        thread_ts: metadata.threadTs,
+        text: `🎫 <@${userId}> created <${result.ticketUrl}|${result.ticketKey}>: ${form.summary}`,
+        unfurl_links: false
+      });
+    } catch (postError) {
+      // The bot may not be in the channel; the modal already shows the link
+      console.warn('Could not post the Jira issue to the thread:', postError.data?.error || postError.message);
+    }
+  } catch (error) {
+    console.error('Error creating Jira issue:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueForm.createIssueModal(metadata, form, error.message)
+    });
+  }
+});
+
+// ============================================================================
+// JIRA ISSUE CARD HANDLERS
+// ============================================================================
+
+// Unfurl links to Jira issues with the issue's card
+app.event('link_shared', async ({ event, client, context, body }) => {
+  try {
+    const teamId = context.teamId || body.team_id;
+    const unfurls = await jiraIssueCards.unfurlLinks(teamId, event.links || []);
+    if (Object.keys(unfurls).length === 0) return;
+
+    await client.chat.unfurl({
+      // Links still in the message composer are unfurled by unfurl_id
+      ...(event.unfurl_id
+        ? { unfurl_id: event.unfurl_id, source: event.source }
+        : { channel: event.channel, ts: event.message_ts }),
+      unfurls
+    });
+  } catch (error) {
+    console.error('Error unfurling Jira links:', error);
+  }
+});
+
+// Redraw an issue card after an action on it. container is the card's interaction
+// container: cards in link unfurls are unfurled again, cards the bot posted are updated.
+async function refreshIssueCard(client, container, teamId, ticketKey) {
+  const blocks = jiraIssueCards.issueCardBlocks(await jiraIssueCards.loadIssue(teamId, ticketKey));
+
+  if (container.is_app_unfurl) {
+    await client.chat.unfurl({
+      channel: container.channel_id,
+      ts: container.message_ts,
+      unfurls: { [container.app_unfurl_url]: { blocks } }
+    });
+  } else {
+    await client.chat.update({
+      channel: container.channel_id,
+      ts: container.message_ts,
+      text: `Jira issue ${ticketKey}`,
+      blocks
+    });
+  }
+}
+
+// The parts of a card's interaction container needed to redraw it from a modal
+function issueCardContainer(container) {
+  return {
+    channel_id: container.channel_id,
+    message_ts: container.message_ts,
+    is_app_unfurl: container.is_app_unfurl || false,
+    app_unfurl_url: container.app_unfurl_url
+  };
+}
+
+// Tell the user an action on an issue card failed. The bot may not be in a channel
+// where a link was unfurled, so fall back to a DM.
+async function notifyIssueCardError(client, body, text) {
+  try {
+    await client.chat.postEphemeral({
+      channel: body.container?.channel_id || body.user.id,
+      user: body.user.id,
+      text
+    });
+  } catch (error) {
+    try {
+      await client.chat.postMessage({ channel: body.user.id, text });
+    } catch (dmError) {
+      console.error('Error notifying user of Jira issue card error:', dmError);
+    }
+  }
+}
+
+// Transition menu on an issue card
+app.action('jira_issue_transition', async ({ ack, body, client }) => {
+  await ack();
+
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const { key, transitionId } = JSON.parse(body.actions[0].selected_option.value);
+  try {
+    await integrationService.handleIntegration('jira', 'transition_ticket', { ticketKey: key, transitionId }, teamId);
+    await refreshIssueCard(client, body.container, teamId, key);
+  } catch (error) {
+    console.error('Error transitioning Jira issue:', error);
+    await notifyIssueCardError(client, body, `❌ ${error.message}`);
+  }
+});
+
+// Assign to me button on an issue card - matches the Slack user to Jira by email
+app.action('jira_issue_assign_me', async ({ ack, body, client }) => {
+  await ack();
+
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const ticketKey = body.actions[0].value;
+  try {
+    await jiraActions.assignTicket(client, teamId, ticketKey, 'me', body.user.id);
+    await refreshIssueCard(client, body.container, teamId, ticketKey);
+  } catch (error) {
+    console.error('Error assigning Jira issue:', error);
+    await notifyIssueCardError(client, body, `❌ ${error.message}`);
+  }
+});
+
+// Comment button on an issue card
+app.action('jira_issue_comment', async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: jiraIssueCards.commentModal({
+        teamId: body.team?.id || body.user?.team_id || 'unknown',
+        ticketKey: body.actions[0].value
+      })
+    });
+  } catch (error) {
+    console.error('Error opening Jira comment modal:', error);
+  }
+});
+
+// Comment modal submission
+app.view('jira_issue_comment', async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const text = view.state.values.jira_comment.comment_input.value;
+
+  await ack({
+    response_action: 'update',
+    view: jiraIssueCards.issueActionStatusModal('Comment on Issue', '⏳ Adding your comment in Jira...')
+  });
+
+  try {
+    await jiraActions.commentAsSlackUser(client, metadata.teamId, metadata.ticketKey, body.user.id, text);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Comment on Issue', `✅ Comment added to *${metadata.ticketKey}*.`)
+    });
+  } catch (error) {
+    console.error('Error commenting on Jira issue:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Comment on Issue', `❌ ${error.message}`)
+    });
+  }
+});
+
+// Edit fields and Link issue menu on an issue card. The modal opens with a status right
+// away because the trigger expires before Jira has answered.
+app.action('jira_issue_more', async ({ ack, body, client }) => {
+  await ack();
+
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const { key, action } = JSON.parse(body.actions[0].selected_option.value);
+  const metadata = { teamId, ticketKey: key, container: issueCardContainer(body.container) };
+  const title = action === 'edit' ? 'Edit Issue' : 'Link Issue';
+  let opened = null;
+  try {
+    opened = await client.views.open({
+      trigger_id: body.trigger_id,
+      view: jiraIssueCards.issueActionStatusModal(title, `⏳ Loading ${key} from Jira...`)
+    });
+
+    let view;
+    if (action === 'edit') {
+      const [issue, { fields }] = await Promise.all([
+        jiraIssueCards.loadIssue(teamId, key),
+        integrationService.handleIntegration('jira', 'get_edit_fields', { ticketKey: key }, teamId)
+      ]);
+      view = jiraIssueCards.editIssueModal(issue, fields, metadata);
+    } else {
+      view = jiraIssueCards.linkIssueModal(await jiraActions.linkRelationships(teamId), metadata);
+    }
+    await client.views.update({ view_id: opened.view.id, hash: opened.view.hash, view });
+  } catch (error) {
+    console.error('Error opening Jira issue action:', error);
+    if (opened) {
+      await client.views.update({
+        view_id: opened.view.id,
+        view: jiraIssueCards.issueActionStatusModal(title, `❌ ${error.message}`)
+      });
+    } else {
+      await notifyIssueCardError(client, body, `❌ ${error.message}`);
+    }
+  }
+});
+
+// Edit Issue modal submission
+app.view('jira_issue_edit', async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const changes = jiraIssueCards.readEditForm(view);
+
+  await ack({
+    response_action: 'update',
+    view: jiraIssueCards.issueActionStatusModal('Edit Issue', `⏳ Saving ${metadata.ticketKey} in Jira...`)
+  });
+
+  try {
+    const result = await jiraActions.updateFields(metadata.teamId, metadata.ticketKey, changes);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Edit Issue', `✅ Saved *${metadata.ticketKey}*.`)
+    });
+    await refreshIssueCard(client, metadata.container, metadata.teamId, metadata.ticketKey);
+  } catch (error) {
+    console.error('Error editing Jira issue:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Edit Issue', `❌ ${error.message}`)
+    });
   }
 });
 
-// Configure system prompt modal submission handler
-app.view('configure_system_prompt', async ({ ack, body, view, client, context }) => {
+// Link Issue modal submission
+app.view('jira_issue_link', async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const { relationship, otherKey } = jiraIssueCards.readLinkForm(view);
+
+  if (!/^[A-Z][A-Z0-9_]*-\d+$/.test(otherKey)) {
+    await ack({ response_action: 'errors', errors: { jira_link_other: 'Enter an issue key like PROJ-123' } });
+    return;
+  }
+
+  await ack({
+    response_action: 'update',
+    view: jiraIssueCards.issueActionStatusModal('Link Issue', `⏳ Linking ${metadata.ticketKey} and ${otherKey}...`)
+  });
+
+  try {
+    const result = await jiraActions.linkIssues(metadata.teamId, metadata.ticketKey, relationship, otherKey);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Link Issue', `✅ ${result.message}`)
+    });
+  } catch (error) {
+    console.error('Error linking Jira issues:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: jiraIssueCards.issueActionStatusModal('Link Issue', `❌ ${error.message}`)
+    });
+  }
+});
+
+// ============================================================================
+// JIRA SEARCH RESULTS ACTION HANDLERS
+// ============================================================================
+
+// Page through a stored Jira search; each page is fetched from Jira as it's shown
+async function handleJiraSearchPage({ ack, body, client, action }) {
   await ack();
-  
+
   try {
-    // Use enterprise ID for data storage in enterprise installs to ensure consistency across devices
-    let teamId = context.teamId || body.team?.id || body.user?.team_id || 'unknown';
-    
-    if (context.isEnterpriseInstall && context.enterpriseId) {
-      teamId = context.enterpriseId;
-      console.log('Enterprise install detected - using enterprise ID for system prompt storage:', teamId);
+    const { searchId, page } = JSON.parse(action.value);
+    const searchState = await jiraSearch.getSearchState(searchId);
+
+    if (!searchState) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: 'This search has expired. Ask the question again to get fresh results.'
+      });
+      return;
     }
-    
+
+    const tickets = await jiraSearch.loadPage(searchState, page);
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `${searchState.total} Jira issues`,
+      blocks: jiraSearch.searchResultsBlocks(searchState, tickets, page)
+    });
+  } catch (error) {
+    console.error('Error paging Jira search results:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: `❌ ${error.message}`
+    });
+  }
+}
+
+app.action('jira_search_prev', handleJiraSearchPage);
+app.action('jira_search_next', handleJiraSearchPage);
+
+// ============================================================================
+// CSV IMPORT ACTION HANDLERS
+// ============================================================================
+
+// Import button on a CSV preview card - creates the valid rows and uploads a result file
+app.action('csv_import_confirm', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    const ref = JSON.parse(action.value);
     const userId = body.user.id;
-    const values = view.state.values;
-    
-    const tone = values.tone.tone_select.selected_option?.value;
-    const businessType = values.business_type.business_select.selected_option?.value;
-    const companyName = values.company_name.company_text.value?.trim() || '';
-    const additionalDirections = values.additional_directions.directions_text.value?.trim() || '';
-    const welcomeMessage = values.welcome_message.welcome_text.value?.trim() || '';
-    
-    if (!tone || !businessType) {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: '❌ Please select both tone and business type. Please try again.'
+    const job = await csvImport.getImport(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (!job || job.importId !== ref.importId) {
+      await client.chat.update({
+        channel: body.container.channel_id,
+        ts: body.message.ts,
+        text: 'This import has expired or was already handled.',
+        blocks: salesforceDrafts.resolvedCardBlocks('⌛ This import has expired or was already handled.')
       });
       return;
     }
-    
-    const promptData = {
-      tone: tone,
-      businessType: businessType,
-      companyName: companyName,
-      additionalDirections: additionalDirections,
-      welcomeMessage: welcomeMessage
-    };
-    
-    const success = await redisService.saveUserSystemPrompt(teamId, userId, promptData);
-    
-    if (success) {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: `✅ AI behavior settings saved successfully!\n\n**Tone:** ${tone}\n**Business Type:** ${businessType}${companyName ? `\n**Company:** ${companyName}` : ''}${welcomeMessage ? `\n**Welcome Message:** ${welcomeMessage}` : ''}${additionalDirections ? `\n**Additional Directions:** ${additionalDirections}` : ''}\n\nThe AI will now use these settings in all future conversations.`
+
+    if (job.userId !== userId) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: `Only <@${job.userId}> can run this import.`
       });
-    } else {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: '❌ Failed to save AI behavior settings. Please try again.'
+      return;
+    }
+
+    const tokens = await redisService.getSalesforceTokens(job.teamId, userId);
+    if (!tokens) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: '❌ Your Salesforce connection was not found. Please reconnect Salesforce from the App Home and try again.'
+      });
+      return;
+    }
+
+    // Claim the import before writing so a double click can't create the records twice
+    if (!(await csvImport.deleteImport(job.teamId, job.channelId, job.threadTs))) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: userId,
+        text: 'This import has expired or was already handled.'
       });
+      return;
     }
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `Importing ${job.fileName}...`,
+      blocks: salesforceDrafts.resolvedCardBlocks(`⏳ *Importing ${job.rows.length} ${job.objectType} rows from ${job.fileName}...*`)
+    });
+
+    const { outcomes, created, failed } = await csvImport.runImport(job, salesforceService.createClient(tokens));
+
+    await client.files.uploadV2({
+      channel_id: job.channelId,
+      thread_ts: job.threadTs || undefined,
+      filename: job.fileName.replace(/\.csv$/i, '') + '-results.csv',
+      content: csvImport.buildResultCsv(job, outcomes),
+      initial_comment: `Import results for ${job.fileName}: ${created} created, ${failed} failed.`
+    });
+
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: `Imported ${created} of ${job.rows.length} rows`,
+      blocks: salesforceDrafts.resolvedCardBlocks(`${failed === 0 ? '✅' : '⚠️'} *Imported ${created} of ${job.rows.length} ${job.objectType} rows from ${job.fileName}.*${failed > 0 ? `\n${failed} rows failed - see the result file for the reasons.` : ''}`)
+    });
   } catch (error) {
-    console.error('Error processing system prompt configuration:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: 'Sorry, there was an error saving your AI behavior settings. Please try again.'
+    console.error('Error running CSV import:', error);
+    await client.chat.postEphemeral({
+      channel: body.container.channel_id,
+      user: body.user.id,
+      text: `❌ The import failed: ${error.message}`
     });
   }
 });
 
-// Connect Salesforce button handler
-app.action('connect_salesforce_button', async ({ ack, body, client }) => {
+// Cancel button on a CSV preview card
+app.action('csv_import_cancel', async ({ ack, body, client, action }) => {
   await ack();
-  
+
   try {
-    const teamId = body.team?.id || body.user?.team_id || 'unknown';
-    const userId = body.user.id;
-    
-    // Check if user already has Salesforce connected
-    const existingTokens = await redisService.getSalesforceTokens(teamId, userId);
-    
-    if (existingTokens) {
-      // Show options to reconfigure or disconnect
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: `✅ You already have Salesforce connected!\n\n**Org:** ${existingTokens.instance_url}\n**Connected:** ${new Date(existingTokens.createdAt).toLocaleDateString()}`,
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `✅ *Salesforce Connected*\n\n**Org:** ${existingTokens.instance_url}\n**Connected:** ${new Date(existingTokens.createdAt).toLocaleDateString()}`
-            }
-          },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '🔄 Reconfigure'
-                },
-                action_id: 'reconfigure_salesforce_button',
-                style: 'primary'
-              },
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '❌ Disconnect'
-                },
-                action_id: 'disconnect_salesforce_button',
-                style: 'danger'
-              }
-            ]
-          }
-        ]
+    const ref = JSON.parse(action.value);
+    const job = await csvImport.getImport(ref.teamId, ref.channelId, ref.threadTs);
+
+    if (job && job.userId !== body.user.id) {
+      await client.chat.postEphemeral({
+        channel: body.container.channel_id,
+        user: body.user.id,
+        text: `Only <@${job.userId}> can cancel this import.`
       });
       return;
     }
-    
-    // Open Salesforce setup modal
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'salesforce_setup',
-        title: {
-          type: 'plain_text',
-          text: 'Setup Salesforce'
-        },
-        submit: {
-          type: 'plain_text',
-          text: 'Connect'
-        },
-        close: {
-          type: 'plain_text',
-          text: 'Cancel'
-        },
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: 'Configure your Salesforce integration by providing your credentials:'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'instance_url',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'instance_url_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'https://yourcompany.my.salesforce.com'
-              }
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Instance URL'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'access_token',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'access_token_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'Your Salesforce access token'
-              }
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Access Token'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'refresh_token',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'refresh_token_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'Your Salesforce refresh token (optional)'
-              }
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Refresh Token (Optional)'
-            },
-            optional: true
-          },
-          {
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: '💡 *Tip:* You can get these tokens from your Salesforce org by going to Setup → My Personal Information → My Session ID, or by using Salesforce CLI.'
-              }
-            ]
-          }
-        ]
-      }
+
+    // A stale card only closes itself; the thread's newer import stays pending
+    if (job && job.importId === ref.importId) {
+      await csvImport.deleteImport(ref.teamId, ref.channelId, ref.threadTs);
+    }
+    await client.chat.update({
+      channel: body.container.channel_id,
+      ts: body.message.ts,
+      text: 'Import cancelled - nothing was created in Salesforce.',
+      blocks: salesforceDrafts.resolvedCardBlocks('🚫 Import cancelled - nothing was created in Salesforce.')
     });
   } catch (error) {
-    console.error('Error handling Salesforce connection:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: 'Sorry, there was an error connecting to Salesforce. Please try again.'
-    });
+    console.error('Error cancelling CSV import:', error);
+  }
+});
+
+// ============================================================================
+// SALESFORCE ALERT HANDLERS
+// ============================================================================
+
+// Add Salesforce Alert button (App Home or the Manage modal) - workspace admins only
+app.action('add_salesforce_subscription', async ({ ack, body, client }) => {
+  await ack();
+
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
+        channel: body.user.id,
+        user: body.user.id,
+        text: '❌ Only workspace admins can add Salesforce alerts.'
+      });
+      return;
+    }
+
+    const view = salesforceSubscriptions.addSubscriptionModal();
+    if (body.view?.type === 'modal') {
+      await client.views.push({ trigger_id: body.trigger_id, view });
+    } else {
+      await client.views.open({ trigger_id: body.trigger_id, view });
+    }
+  } catch (error) {
+    console.error('Add Salesforce alert modal error:', error);
   }
 });
 
-// Salesforce setup modal submission handler
-app.view('salesforce_setup', async ({ ack, body, view, client }) => {
+// Manage Salesforce Alerts button
+app.action('manage_salesforce_subscriptions', async ({ ack, body, client }) => {
   await ack();
-  
+
   try {
-    const teamId = body.team?.id || body.user?.team_id || 'unknown';
-    const userId = body.user.id;
-    
-    const instanceUrl = view.state.values.instance_url.instance_url_input.value?.trim();
-    const accessToken = view.state.values.access_token.access_token_input.value?.trim();
-    const refreshToken = view.state.values.refresh_token.refresh_token_input.value?.trim();
-    
-    if (!instanceUrl || !accessToken) {
-      await client.chat.postMessage({
+    // The modal changes alerts and shows the secret webhook URL
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
         channel: body.user.id,
-        text: '❌ Please provide both Instance URL and Access Token to connect Salesforce.'
+        user: body.user.id,
+        text: '❌ Only workspace admins can manage Salesforce alerts.'
       });
       return;
     }
-    
-    // Validate instance URL format
-    if (!instanceUrl.startsWith('https://') || !instanceUrl.includes('.salesforce.com')) {
-      await client.chat.postMessage({
+
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const subscriptions = await salesforceSubscriptions.getSubscriptions(teamId);
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: salesforceSubscriptions.manageSubscriptionsModal(subscriptions, await salesforceSubscriptions.getWebhookUrl(teamId))
+    });
+  } catch (error) {
+    console.error('Manage Salesforce alerts modal error:', error);
+  }
+});
+
+// Salesforce alert overflow menu - enable/disable or remove
+app.action('salesforce_subscription_actions', async ({ ack, body, client, action }) => {
+  await ack();
+
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
         channel: body.user.id,
-        text: '❌ Please provide a valid Salesforce instance URL (e.g., https://yourcompany.my.salesforce.com)'
+        user: body.user.id,
+        text: '❌ Only workspace admins can change Salesforce alerts.'
       });
       return;
     }
-    
-    // Save Salesforce tokens to Redis
-    const tokenData = {
-      access_token: accessToken,
-      refresh_token: refreshToken || null,
-      instance_url: instanceUrl,
-      id: `sf_${Date.now()}`
-    };
-    
-    const saved = await redisService.saveSalesforceTokens(teamId, userId, tokenData);
-    
-    if (saved) {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: `✅ **Salesforce Connected Successfully!**\n\n**Org:** ${instanceUrl}\n**Connected:** ${new Date().toLocaleDateString()}\n\nYour AI assistant can now help you with Salesforce operations!\n\n**What you can do now:**\n• Create leads, opportunities, and accounts\n• Update records and create tasks\n• Query your Salesforce data\n• Get AI-powered insights from your CRM data\n\nTo disconnect, use: \`/disconnect-salesforce\``
-      });
+
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const selectedValue = action.selected_option?.value || '';
+    const firstUnderscore = selectedValue.indexOf('_');
+    const actionType = selectedValue.substring(0, firstUnderscore);
+    const subscriptionId = selectedValue.substring(firstUnderscore + 1);
+
+    let result;
+    if (actionType === 'toggle') {
+      const subscription = (await salesforceSubscriptions.getSubscriptions(teamId)).find(item => item.id === subscriptionId);
+      result = subscription
+        ? await salesforceSubscriptions.updateSubscription(teamId, subscriptionId, { enabled: !subscription.enabled })
+        : { success: false, error: 'Alert not found' };
+    } else if (actionType === 'remove') {
+      result = await salesforceSubscriptions.removeSubscription(teamId, subscriptionId);
     } else {
-      await client.chat.postMessage({
+      return;
+    }
+
+    if (!result.success) {
+      await client.chat.postEphemeral({
         channel: body.user.id,
-        text: '❌ Failed to save Salesforce credentials. Please try again.'
+        user: body.user.id,
+        text: `❌ Failed to update the alert: ${result.error}`
       });
+      return;
     }
-  } catch (error) {
-    console.error('Error processing Salesforce setup:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: 'Sorry, there was an error setting up Salesforce integration. Please try again.'
+
+    // Refresh the modal
+    const subscriptions = await salesforceSubscriptions.getSubscriptions(teamId);
+    await client.views.update({
+      view_id: body.view?.id,
+      view: salesforceSubscriptions.manageSubscriptionsModal(subscriptions, await salesforceSubscriptions.getWebhookUrl(teamId))
     });
+  } catch (error) {
+    console.error('Salesforce alert action error:', error);
   }
 });
 
-// Reconfigure Salesforce button handler
-app.action('reconfigure_salesforce_button', async ({ ack, body, client }) => {
-  await ack();
-  
+// Add Salesforce Alert modal submission - turns the description into a filter with the
+// admin's Salesforce connection, which is also used to check for matches later
+app.view('add_salesforce_subscription', async ({ ack, body, view, client }) => {
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const userId = body.user.id;
+  const values = view.state.values;
+  const form = {
+    channelId: values.subscription_channel?.subscription_channel_input?.selected_conversation,
+    objectType: values.subscription_object?.subscription_object_input?.selected_option?.value,
+    trigger: values.subscription_trigger?.subscription_trigger_input?.selected_option?.value,
+    criteria: values.subscription_criteria?.subscription_criteria_input?.value?.trim()
+  };
+
+  const connection = await salesforceService.getConnection(teamId, userId);
+  if (!connection) {
+    await ack({
+      response_action: 'errors',
+      errors: { subscription_object: 'Connect Salesforce from the App Home first' }
+    });
+    return;
+  }
+
+  // Generating the filter can take longer than Slack waits for an ack
+  await ack({
+    response_action: 'update',
+    view: salesforceSubscriptions.subscriptionStatusModal('⏳ Checking the alert criteria against Salesforce...')
+  });
+
   try {
-    const teamId = body.team?.id || body.user?.team_id || 'unknown';
-    const userId = body.user.id;
-    
-    // Get existing tokens to pre-fill the modal
-    const existingTokens = await redisService.getSalesforceTokens(teamId, userId);
-    
-    // Open Salesforce setup modal with pre-filled values
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'salesforce_setup',
-        title: {
-          type: 'plain_text',
-          text: 'Reconfigure Salesforce'
-        },
-        submit: {
-          type: 'plain_text',
-          text: 'Update'
-        },
-        close: {
-          type: 'plain_text',
-          text: 'Cancel'
-        },
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: 'Update your Salesforce integration settings:'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'instance_url',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'instance_url_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'https://yourcompany.my.salesforce.com'
-              },
-              initial_value: existingTokens?.instance_url || ''
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Instance URL'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'access_token',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'access_token_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'Your Salesforce access token'
-              },
-              initial_value: existingTokens?.access_token || ''
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Access Token'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'refresh_token',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'refresh_token_input',
-              placeholder: {
-                type: 'plain_text',
-                text: 'Your Salesforce refresh token (optional)'
-              },
-              initial_value: existingTokens?.refresh_token || ''
-            },
-            label: {
-              type: 'plain_text',
-              text: 'Refresh Token (Optional)'
-            },
-            optional: true
-          },
-          {
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: '💡 *Tip:* You can get these tokens from your Salesforce org by going to Setup → My Personal Information → My Session ID, or by using Salesforce CLI.'
-              }
-            ]
-          }
-        ]
-      }
+    const filter = await salesforceSubscriptions.buildFilter(connection.client, form.objectType, form.criteria, { teamId });
+    const result = await salesforceSubscriptions.addSubscription(teamId, { ...form, filter, createdBy: userId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    await salesforceSubscriptions.rememberCurrentMatches(connection.client, result.subscription);
+
+    await client.views.update({
+      view_id: body.view.id,
+      view: salesforceSubscriptions.subscriptionStatusModal(
+        `✅ *Alert added.* Matching ${form.objectType} records will be posted in <#${form.channelId}>.\n\nFilter: \`${filter || 'all records'}\``
+      )
     });
   } catch (error) {
-    console.error('Error handling Salesforce reconfiguration:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: 'Sorry, there was an error opening the Salesforce reconfiguration modal. Please try again.'
+    console.error('Error adding Salesforce alert:', error);
+    await client.views.update({
+      view_id: body.view.id,
+      view: salesforceSubscriptions.addSubscriptionModal(form, `${error.message}. Try describing the records differently.`)
     });
   }
 });
 
-// Disconnect Salesforce button handler
-app.action('disconnect_salesforce_button', async ({ ack, body, client }) => {
+// ============================================================================
+// CHANNEL ACCOUNT HANDLERS
+// ============================================================================
+
+// Link Channel button (App Home or the Manage modal) - workspace admins only
+app.action('link_channel_account_button', async ({ ack, body, client }) => {
   await ack();
-  
+
   try {
-    const teamId = body.team?.id || body.user?.team_id || 'unknown';
-    const userId = body.user.id;
-    
-    const success = await redisService.deleteSalesforceTokens(teamId, userId);
-    
-    if (success) {
-      await client.chat.postMessage({
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
         channel: body.user.id,
-        text: '✅ Salesforce connection has been disconnected successfully. You can reconnect anytime using the "🔗 Connect" button.'
+        user: body.user.id,
+        text: '❌ Only workspace admins can link channels to Salesforce accounts.'
       });
+      return;
+    }
+
+    const view = channelAccounts.linkChannelModal();
+    if (body.view?.type === 'modal') {
+      await client.views.push({ trigger_id: body.trigger_id, view });
     } else {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: '❌ No Salesforce connection found to disconnect.'
-      });
+      await client.views.open({ trigger_id: body.trigger_id, view });
     }
   } catch (error) {
-    console.error('Error disconnecting Salesforce:', error);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: 'Sorry, there was an error disconnecting Salesforce. Please try again.'
-    });
+    console.error('Link channel modal error:', error);
   }
 });
 
-// Disconnect Salesforce command
-app.command('/disconnect-salesforce', async ({ command, ack, respond }) => {
+// Manage Channel Accounts button
+app.action('manage_channel_accounts_button', async ({ ack, body, client }) => {
   await ack();
-  
+
   try {
-    const teamId = command.team_id;
-    const userId = command.user_id;
-    
-    const success = await redisService.deleteSalesforceTokens(teamId, userId);
-    
-    if (success) {
-      await respond('✅ Salesforce connection has been disconnected successfully.');
-    } else {
-      await respond('❌ No Salesforce connection found to disconnect.');
-    }
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const links = await channelAccounts.getChannelAccounts(teamId);
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: channelAccounts.manageChannelAccountsModal(links)
+    });
   } catch (error) {
-    console.error('Error disconnecting Salesforce:', error);
-    await respond('Sorry, there was an error disconnecting Salesforce. Please try again.');
+    console.error('Manage channel accounts modal error:', error);
   }
 });
 
-// Clear Redis command (temporary - remove after use)
-app.command('/clear-redis', async ({ command, ack, respond }) => {
+// Unlink button in the Manage Channel Accounts modal - workspace admins only
+app.action('unlink_channel_account', async ({ ack, body, client, action }) => {
   await ack();
-  
+
   try {
-    await redisService.client.flushall();
-    await respond('✅ Redis data cleared successfully! You can now reinstall your Slack app.');
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await client.chat.postEphemeral({
+        channel: body.user.id,
+        user: body.user.id,
+        text: '❌ Only workspace admins can unlink channels from Salesforce accounts.'
+      });
+      return;
+    }
+
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const result = await channelAccounts.unlinkChannel(teamId, action.value);
+    if (!result.success) {
+      await client.chat.postEphemeral({
+        channel: body.user.id,
+        user: body.user.id,
+        text: `❌ Failed to unlink channel: ${result.error}`
+      });
+      return;
+    }
+
+    // Refresh the modal
+    await client.views.update({
+      view_id: body.view?.id,
+      view: channelAccounts.manageChannelAccountsModal(await channelAccounts.getChannelAccounts(teamId))
+    });
   } catch (error) {
-    console.error('Error clearing Redis:', error);
-    await respond(`❌ Error clearing Redis: ${error.message}`);
+    console.error('Unlink channel account error:', error);
   }
 });
 
-// List integrations command
-app.command('/integrations', async ({ command, ack, respond }) => {
-  await ack();
-  
+// Account picker search in the Link Channel modal, using the admin's Salesforce connection
+app.options('salesforce_account_search', async ({ body, options, ack }) => {
   try {
-    const teamId = command.team_id;
-    const integrations = await redisService.listIntegrations(teamId);
-    
-    if (integrations.length === 0) {
-      await respond('No integrations configured yet. Use `/setup-jira` to configure Jira integration.');
-    } else {
-      await respond(`Configured integrations: ${integrations.join(', ')}`);
+    const teamId = body.team?.id || body.user?.team_id || 'unknown';
+    const connection = await salesforceService.getConnection(teamId, body.user.id);
+    if (!connection) {
+      await ack({ options: [{ text: { type: 'plain_text', text: 'Connect Salesforce from the App Home first' }, value: 'not_connected' }] });
+      return;
     }
+
+    const accounts = await channelAccounts.searchAccounts(connection.client, options.value || '');
+    await ack({ options: channelAccounts.accountOptions(accounts) });
   } catch (error) {
-    console.error('Error listing integrations:', error);
-    await respond('Sorry, there was an error listing integrations.');
+    console.error('Error searching Salesforce accounts:', error);
+    await ack({ options: [] });
   }
 });
 
-// Add request logging middleware
-app.use(async ({ body, next }) => {
-  console.log('Processing Slack request...');
-  if (body.type === 'block_actions') {
-    console.log('Block action received:', {
-      type: body.type,
-      actions: body.actions?.map(action => ({
-        action_id: action.action_id,
-        type: action.type,
-        value: action.value
-      }))
+// Link Channel modal submission
+app.view('link_channel_account', async ({ ack, body, view, client }) => {
+  const teamId = body.team?.id || body.user?.team_id || 'unknown';
+  const values = view.state.values;
+  const channelId = values.linked_channel?.linked_channel_input?.selected_conversation;
+  const accountValue = values.linked_account?.salesforce_account_search?.selected_option?.value;
+
+  if (!accountValue || accountValue === 'not_connected') {
+    await ack({
+      response_action: 'errors',
+      errors: { linked_account: 'Connect Salesforce from the App Home, then pick an account' }
     });
+    return;
+  }
+  await ack();
+
+  try {
+    const account = JSON.parse(accountValue);
+    const result = await channelAccounts.linkChannel(teamId, {
+      channelId,
+      accountId: account.id,
+      accountName: account.name,
+      linkedBy: body.user.id
+    });
+
+    await client.chat.postEphemeral({
+      channel: body.user.id,
+      user: body.user.id,
+      text: result.success
+        ? `✅ <#${channelId}> is now linked to *${account.name}*. Questions in the channel will use the account's details.`
+        : `❌ Failed to link channel: ${result.error}`
+    });
+  } catch (error) {
+    console.error('Link channel submission error:', error);
   }
-  await next();
 });
 
 // ============================================================================
@@ -3969,6 +6641,8 @@ app.view('add_monitored_channel', async ({ ack, body, client, view, context }) =
     const channelId = values.channel_select?.channel_input?.selected_channel;
     const responseType = values.response_type?.response_type_input?.selected_option?.value;
     const autoJiraTickets = values.auto_jira_tickets?.auto_jira_input?.selected_options?.some(option => option.value === 'enabled') || false;
+    const jiraProjectKey = values.jira_project?.jira_project_input?.value?.trim().toUpperCase() || null;
+    const jiraIssueType = values.jira_issue_type?.jira_issue_type_input?.value?.trim() || null;
 
     if (!channelId || !responseType) {
       await client.chat.postEphemeral({
@@ -3989,6 +6663,8 @@ app.view('add_monitored_channel', async ({ ack, body, client, view, context }) =
       responseType,
       enabled: true,
       autoCreateJiraTickets: autoJiraTickets,
+      jiraProjectKey,
+      jiraIssueType,
       addedBy: userId
     });
 
@@ -4025,6 +6701,8 @@ app.view('edit_monitored_channel', async ({ ack, body, client, view, context })
     const values = view.state.values;
     const responseType = values.response_type?.response_type_input?.selected_option?.value;
     const autoJiraTickets = values.auto_jira_tickets?.auto_jira_input?.selected_options?.some(option => option.value === 'enabled') || false;
+    const jiraProjectKey = values.jira_project?.jira_project_input?.value?.trim().toUpperCase() || null;
+    const jiraIssueType = values.jira_issue_type?.jira_issue_type_input?.value?.trim() || null;
 
     if (!responseType) {
       await client.chat.postEphemeral({
@@ -4037,7 +6715,9 @@ app.view('edit_monitored_channel', async ({ ack, body, client, view, context })
 
     const result = await channelMonitoring.updateMonitoredChannel(teamId, channelId, {
       responseType,
-      autoCreateJiraTickets: autoJiraTickets
+      autoCreateJiraTickets: autoJiraTickets,
+      jiraProjectKey,
+      jiraIssueType
     });
 
     if (result.success) {
@@ -4108,6 +6788,12 @@ app.error((error) => {
     
     console.log('✅ Salesforce integration configured for multi-tenant setup');
 
+    // Poll Salesforce for records matching channel alerts (webhooks deliver them sooner when set up)
+    const alertPollMs = parseInt(process.env.SALESFORCE_ALERT_POLL_SECONDS || '120', 10) * 1000;
+    setInterval(() => {
+      salesforceSubscriptions.pollAll(app.client).catch(error => console.error('Salesforce alert poll failed:', error));
+    }, alertPollMs);
+
 
     // Help button handler
     app.action('help_button', async ({ ack, say }) => {
@@ -0,0 +1,236 @@
+const llmService = require('./llmService');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// How many related records of each kind go into a briefing
+const BRIEFING_LIMITS = {
+  contacts: 5,
+  opportunities: 5,
+  cases: 5,
+  tasks: 5,
+};
+
+/** Run a query and return its records, throwing with context on failure */
+async function queryOrThrow(salesforceClient, soql, what) {
+  const result = await salesforceClient.queryRecords(soql);
+  if (!result.success) {
+    throw new Error(`Could not load ${what}: ${result.error}`);
+  }
+  return result.records;
+}
+
+/**
+ * Find the account to brief on. Resolves with { account } for a single or exact
+ * match, or { candidates } when the name is ambiguous.
+ */
+async function findAccount(salesforceClient, name) {
+  const soql = soqlBuilder.from('Account')
+    .select(['Id', 'Name', 'Industry', 'Type', 'Phone', 'Website', 'AnnualRevenue', 'NumberOfEmployees', 'BillingCity', 'BillingState', 'Owner.Name'])
+    .where('Name', 'LIKE', name)
+    .orderBy('Name')
+    .limit(10)
+    .build();
+  const accounts = await queryOrThrow(salesforceClient, soql, 'accounts');
+
+  const exact = accounts.find((account) => account.Name.toLowerCase() === name.trim().toLowerCase());
+  if (exact || accounts.length === 1) {
+    return { account: exact || accounts[0] };
+  }
+  return { candidates: accounts.map((account) => account.Name) };
+}
+
+/** Load the account's contacts, open opportunities, recent cases and open tasks in parallel */
+async function gatherRelated(salesforceClient, accountId) {
+  const [contacts, opportunities, cases, tasks] = await Promise.all([
+    queryOrThrow(salesforceClient, soqlBuilder.from('Contact')
+      .select(['Id', 'Name', 'Title', 'Email', 'Phone'])
+      .where('AccountId', '=', accountId)
+      .orderBy('LastModifiedDate', 'DESC')
+      .limit(BRIEFING_LIMITS.contacts)
+      .build(), 'contacts'),
+    queryOrThrow(salesforceClient, soqlBuilder.from('Opportunity')
+      .select(['Id', 'Name', 'StageName', 'Amount', 'CloseDate', 'Owner.Name'])
+      .where('AccountId', '=', accountId)
+      .where('IsClosed', '=', false)
+      .orderBy('CloseDate')
+      .limit(BRIEFING_LIMITS.opportunities)
+      .build(), 'opportunities'),
+    queryOrThrow(salesforceClient, soqlBuilder.from('Case')
+      .select(['Id', 'CaseNumber', 'Subject', 'Status', 'Priority', 'CreatedDate'])
+      .where('AccountId', '=', accountId)
+      .orderBy('CreatedDate', 'DESC')
+      .limit(BRIEFING_LIMITS.cases)
+      .build(), 'cases'),
+    queryOrThrow(salesforceClient, soqlBuilder.from('Task')
+      .select(['Id', 'Subject', 'Status', 'Priority', 'ActivityDate', 'Who.Name', 'Owner.Name'])
+      .where('AccountId', '=', accountId)
+      .where('IsClosed', '=', false)
+      .orderBy('ActivityDate')
+      .limit(BRIEFING_LIMITS.tasks)
+      .build(), 'tasks'),
+  ]);
+
+  return { contacts, opportunities, cases, tasks };
+}
+
+/** Ask the model for a few talking points from the gathered records */
+async function summarize(briefing, options = {}) {
+  const data = {
+    account: briefing.account,
+    contacts: briefing.contacts,
+    openOpportunities: briefing.opportunities,
+    recentCases: briefing.cases,
+    openTasks: briefing.tasks,
+  };
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You prepare account executives for customer calls. From the Salesforce data given as JSON, write 3-5 short bullet points ' +
+        'in Slack mrkdwn (use • for bullets) covering what matters before a call: pipeline and next close dates, open or escalated cases, ' +
+        'overdue or upcoming tasks, and who the key contacts are. Only use facts in the data; do not repeat every record. ' +
+        `Today is ${new Date().toISOString().split('T')[0]}.`
+    },
+    {
+      role: 'user',
+      content: JSON.stringify(data, (key, value) => (key === 'attributes' ? undefined : value))
+    }
+  ];
+
+  try {
+    const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0.2 });
+    return completion.content?.trim() || null;
+  } catch (error) {
+    // The record lists are still useful without the summary
+    logger.error('Error summarizing account briefing:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Build an account briefing. Resolves with { briefing } or { candidates } when
+ * several accounts match the name.
+ */
+async function buildBriefing(salesforceClient, accountName, options = {}) {
+  const { account, candidates } = await findAccount(salesforceClient, accountName);
+  if (!account) {
+    return { candidates: candidates || [] };
+  }
+
+  const related = await gatherRelated(salesforceClient, account.Id);
+  const briefing = { account, ...related, instanceUrl: salesforceClient.instanceUrl };
+  briefing.summary = await summarize(briefing, options);
+
+  logger.info('Built account briefing:', {
+    account: account.Name,
+    contacts: related.contacts.length,
+    opportunities: related.opportunities.length,
+    cases: related.cases.length,
+    tasks: related.tasks.length,
+  });
+  return { briefing };
+}
+
+// ============================================================================
+// UI COMPONENTS - BRIEFING MESSAGE
+// ============================================================================
+
+function recordLink(briefing, objectType, id, label) {
+  return `<${briefing.instanceUrl}/lightning/r/${objectType}/${id}/view|${label}>`;
+}
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined ? 'no amount' : `$${Number(amount).toLocaleString('en-US')}`;
+}
+
+/** A titled list section, or a "none" line when there are no records */
+function listSection(title, lines, emptyText) {
+  return {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${title}*\n${lines.length > 0 ? lines.join('\n') : `_${emptyText}_`}`,
+    },
+  };
+}
+
+/**
+ * Account 360 briefing: account facts, talking points and linked related records
+ */
+function briefingBlocks(briefing) {
+  const { account } = briefing;
+  const location = [account.BillingCity, account.BillingState].filter(Boolean).join(', ');
+  const facts = [
+    account.Industry,
+    account.Type,
+    account.AnnualRevenue ? `${formatAmount(account.AnnualRevenue)} revenue` : null,
+    account.NumberOfEmployees ? `${Number(account.NumberOfEmployees).toLocaleString('en-US')} employees` : null,
+    location || null,
+    account.Owner?.Name ? `Owner: ${account.Owner.Name}` : null,
+  ].filter(Boolean);
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🏢 Briefing: ${account.Name}`.substring(0, 150),
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${recordLink(briefing, 'Account', account.Id, account.Name)}*${facts.length ? `\n${facts.join(' · ')}` : ''}`,
+      },
+    },
+  ];
+
+  if (briefing.summary) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Talking points*\n${briefing.summary}`.substring(0, 3000),
+      },
+    });
+  }
+
+  blocks.push({ type: 'divider' });
+  blocks.push(listSection(
+    'Open opportunities',
+    briefing.opportunities.map((opp) => `• ${recordLink(briefing, 'Opportunity', opp.Id, opp.Name)} - ${opp.StageName}, ${formatAmount(opp.Amount)}, closes ${opp.CloseDate}`),
+    'No open opportunities'
+  ));
+  blocks.push(listSection(
+    'Key contacts',
+    briefing.contacts.map((contact) => `• ${recordLink(briefing, 'Contact', contact.Id, contact.Name)}${contact.Title ? ` - ${contact.Title}` : ''}${contact.Email ? ` · ${contact.Email}` : ''}`),
+    'No contacts'
+  ));
+  blocks.push(listSection(
+    'Recent cases',
+    briefing.cases.map((item) => `• ${recordLink(briefing, 'Case', item.Id, item.CaseNumber)} ${item.Subject || ''} - ${item.Status}${item.Priority ? `, ${item.Priority}` : ''}`),
+    'No recent cases'
+  ));
+  blocks.push(listSection(
+    'Open tasks',
+    briefing.tasks.map((task) => `• ${recordLink(briefing, 'Task', task.Id, task.Subject || 'Task')} - ${task.ActivityDate ? `due ${task.ActivityDate}` : 'no due date'}${task.Who?.Name ? `, with ${task.Who.Name}` : ''}`),
+    'No open tasks'
+  ));
+
+  return blocks;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  buildBriefing,
+
+  // UI Components
+  briefingBlocks,
+};
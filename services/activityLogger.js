@@ -0,0 +1,226 @@
+const llmService = require('./llmService');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Records a thread can be logged against. Contacts are people (WhoId); the rest are WhatId.
+const LOGGABLE_OBJECTS = {
+  Account: { relation: 'WhatId', icon: '🏢' },
+  Opportunity: { relation: 'WhatId', icon: '💰' },
+  Contact: { relation: 'WhoId', icon: '👤' },
+};
+
+// Messages read from a thread when logging it
+const MAX_THREAD_MESSAGES = 100;
+
+/** Search Accounts, Opportunities and Contacts by name for the record picker */
+async function searchRecords(salesforceClient, search) {
+  const results = await Promise.all(Object.keys(LOGGABLE_OBJECTS).map(async (objectType) => {
+    const soql = soqlBuilder.from(objectType)
+      .select(objectType === 'Account' ? ['Id', 'Name'] : ['Id', 'Name', 'Account.Name'])
+      .where('Name', 'LIKE', search)
+      .orderBy('Name')
+      .limit(5)
+      .build();
+    const result = await salesforceClient.queryRecords(soql);
+    if (!result.success) {
+      logger.error(`Error searching ${objectType} records:`, result.error);
+      return { objectType, records: [] };
+    }
+    return { objectType, records: result.records };
+  }));
+
+  return results.filter((group) => group.records.length > 0);
+}
+
+/** Read a thread's messages as "Name: text" lines, oldest first */
+async function readThread(client, channelId, threadTs) {
+  const result = await client.conversations.replies({
+    channel: channelId,
+    ts: threadTs,
+    limit: MAX_THREAD_MESSAGES,
+  });
+
+  const names = new Map();
+  const nameFor = async (message) => {
+    if (message.bot_id) return message.bot_profile?.name || 'Bot';
+    if (!names.has(message.user)) {
+      try {
+        const info = await client.users.info({ user: message.user });
+        names.set(message.user, info.user.real_name || info.user.name);
+      } catch (error) {
+        names.set(message.user, message.user);
+      }
+    }
+    return names.get(message.user);
+  };
+
+  const lines = [];
+  for (const message of result.messages || []) {
+    if (!message.text) continue;
+    lines.push(`${await nameFor(message)}: ${message.text}`);
+  }
+  return lines;
+}
+
+/** Summarize a thread for the CRM. Resolves with { subject, summary } */
+async function summarizeThread(lines, options = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You write CRM activity notes from Slack conversations. Respond with a single JSON object with keys ' +
+        '"subject" (at most 80 characters) and "summary" (a few sentences or bullets covering what was discussed, ' +
+        'decisions, and next steps with owners). Only use facts from the conversation.'
+    },
+    {
+      role: 'user',
+      content: lines.join('\n')
+    }
+  ];
+
+  const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0.2 });
+  const match = (completion.content || '').match(/\{[\s\S]*\}/);
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    return {
+      subject: String(parsed.subject || 'Slack conversation').substring(0, 255),
+      summary: String(parsed.summary || ''),
+    };
+  } catch (error) {
+    // Fall back to the raw reply as the summary
+    return { subject: 'Slack conversation', summary: completion.content || '' };
+  }
+}
+
+/**
+ * Summarize a Slack thread and create a completed Task on the chosen record.
+ * record is "<ObjectType>:<Id>". Resolves with createTask's result.
+ */
+async function logThread(salesforceClient, { client, channelId, threadTs, record, subject, teamId }) {
+  const [objectType, recordId] = record.split(':');
+  const loggable = LOGGABLE_OBJECTS[objectType];
+  if (!loggable || !recordId) {
+    throw new Error('Choose an Account, Opportunity or Contact to log the conversation to');
+  }
+
+  const lines = await readThread(client, channelId, threadTs);
+  if (lines.length === 0) {
+    throw new Error('There are no messages in this conversation to log');
+  }
+
+  const permalink = await client.chat.getPermalink({ channel: channelId, message_ts: threadTs });
+  const summary = await summarizeThread(lines, { teamId });
+
+  const task = {
+    Subject: (subject || summary.subject).substring(0, 255),
+    Description: `${summary.summary}\n\nSlack conversation: ${permalink.permalink}`.substring(0, 32000),
+    Status: 'Completed',
+    Priority: 'Normal',
+    ActivityDate: new Date().toISOString().split('T')[0],
+    [loggable.relation]: recordId,
+  };
+
+  const result = await salesforceClient.createTask(task);
+  logger.info('Logged Slack thread to Salesforce:', { objectType, recordId, success: result.success });
+  return { ...result, subject: task.Subject, objectType, recordId };
+}
+
+// ============================================================================
+// UI COMPONENTS - LOG TO SALESFORCE MODAL
+// ============================================================================
+
+/** Option groups for the record picker's external_select */
+function recordOptionGroups(groups) {
+  return groups.map((group) => ({
+    label: { type: 'plain_text', text: `${group.objectType}s` },
+    options: group.records.map((record) => {
+      const context = record.Account?.Name ? ` (${record.Account.Name})` : '';
+      return {
+        text: { type: 'plain_text', text: `${LOGGABLE_OBJECTS[group.objectType].icon} ${record.Name}${context}`.substring(0, 75) },
+        value: `${group.objectType}:${record.Id}`,
+      };
+    }),
+  }));
+}
+
+/**
+ * Log to Salesforce Modal, opened from the message shortcut
+ */
+function logToSalesforceModal(metadata) {
+  return {
+    type: 'modal',
+    callback_id: 'log_to_salesforce',
+    private_metadata: JSON.stringify(metadata),
+    title: {
+      type: 'plain_text',
+      text: 'Log to Salesforce',
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Log Activity',
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel',
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'The conversation will be summarized and logged as a completed Task, with a link back to Slack.',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'related_record',
+        element: {
+          type: 'external_select',
+          action_id: 'salesforce_record_search',
+          min_query_length: 2,
+          placeholder: {
+            type: 'plain_text',
+            text: 'Search accounts, opportunities, contacts',
+          },
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Related To',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'activity_subject',
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'subject_input',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Leave blank to generate one from the conversation',
+          },
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Subject',
+        },
+      },
+    ],
+  };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  searchRecords,
+  logThread,
+
+  // UI Components
+  recordOptionGroups,
+  logToSalesforceModal,
+};
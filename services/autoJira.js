@@ -0,0 +1,136 @@
+const integrationService = require('./integrationService');
+const llmService = require('./llmService');
+const jiraThreadSync = require('./jiraThreadSync');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Thread messages read when drafting a ticket
+const MAX_THREAD_MESSAGES = 50;
+
+// Jira rejects summaries over 255 characters
+const MAX_SUMMARY_LENGTH = 200;
+
+/**
+ * Jira label marking the ticket filed for a thread. It names the same thread as the
+ * thread response count, so a redelivered event (or a reset count) finds the
+ * existing ticket instead of filing a second one.
+ */
+function threadLabel(teamId, channelId, threadTs) {
+  return `slack-${teamId}-${channelId}-${threadTs}`;
+}
+
+/** The ticket already filed for a thread, or null */
+async function findThreadTicket(teamId, label) {
+  try {
+    const result = await integrationService.handleIntegration('jira', 'search_tickets', {
+      jql: `labels = "${label}"`,
+      maxResults: 1
+    }, teamId);
+    return result.tickets[0] || null;
+  } catch (error) {
+    // Creating the ticket reports missing credentials; anything else shouldn't block it
+    logger.error('Error looking up thread ticket:', error.message);
+    return null;
+  }
+}
+
+/** The thread as "speaker: text" lines, oldest first */
+async function readThread(slackClient, channelId, threadTs) {
+  const result = await slackClient.conversations.replies({
+    channel: channelId,
+    ts: threadTs,
+    limit: MAX_THREAD_MESSAGES
+  });
+  return (result.messages || [])
+    .filter((message) => message.text)
+    .map((message) => `${message.bot_id ? 'Assistant' : `<@${message.user}>`}: ${message.text}`);
+}
+
+/** First line of the thread's opening message, as a fallback summary */
+function fallbackSummary(lines, channelName) {
+  const opening = (lines[0] || '').replace(/^[^:]+:\s*/, '').split('\n')[0].trim();
+  return opening || `Discussion in #${channelName}`;
+}
+
+/**
+ * Ask the model for a ticket summary and description of the thread. Falls back to
+ * the opening message and the raw thread when the model can't be reached.
+ */
+async function draftTicket(lines, channelName, options = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You file Jira tickets for discussions in the Slack channel #${channelName}. From the thread, respond with a single JSON object ` +
+        '{"summary": "...", "description": "..."}. The summary is one line under 120 characters naming the problem or request. ' +
+        'The description explains the issue, what was already said or tried, and any open questions, in plain text. ' +
+        'Only use facts from the thread.'
+    },
+    {
+      role: 'user',
+      content: lines.join('\n')
+    }
+  ];
+
+  try {
+    const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0.2 });
+    const match = (completion.content || '').match(/\{[\s\S]*\}/);
+    const draft = match ? JSON.parse(match[0]) : {};
+    if (draft.summary) {
+      return { summary: String(draft.summary), description: String(draft.description || '') };
+    }
+  } catch (error) {
+    logger.error('Error drafting thread ticket, using the thread as is:', error.message);
+  }
+
+  return { summary: fallbackSummary(lines, channelName), description: lines.join('\n') };
+}
+
+/**
+ * File a Jira ticket for a monitored channel's thread in the channel's project and
+ * issue type, and sync the thread with it. Resolves with { ticketKey, ticketUrl, summary, existing }; existing
+ * is true when the thread already had a ticket.
+ */
+async function createThreadTicket(slackClient, teamId, monitoredChannel, threadTs) {
+  const channelId = monitoredChannel.channelId;
+  const label = threadLabel(teamId, channelId, threadTs);
+
+  const existing = await findThreadTicket(teamId, label);
+  if (existing) {
+    logger.info('Thread already has a Jira ticket:', { channelId, threadTs, ticketKey: existing.key });
+    await jiraThreadSync.linkThread(teamId, channelId, threadTs, existing.key);
+    return { ticketKey: existing.key, ticketUrl: existing.url, summary: existing.summary, existing: true };
+  }
+
+  const lines = await readThread(slackClient, channelId, threadTs);
+  const draft = await draftTicket(lines, monitoredChannel.channelName, { teamId });
+
+  let permalink = null;
+  try {
+    permalink = (await slackClient.chat.getPermalink({ channel: channelId, message_ts: threadTs })).permalink;
+  } catch (error) {
+    logger.error('Error getting thread permalink:', error.message);
+  }
+
+  const result = await integrationService.handleIntegration('jira', 'create_ticket', {
+    project: monitoredChannel.jiraProjectKey || undefined,
+    issueType: monitoredChannel.jiraIssueType || 'Task',
+    summary: draft.summary.substring(0, MAX_SUMMARY_LENGTH),
+    description: `${draft.description}\n\nFiled automatically from #${monitoredChannel.channelName}` +
+      (permalink ? `: ${permalink}` : ''),
+    labels: [label]
+  }, teamId);
+
+  logger.info('Created Jira ticket for thread:', { channelId, threadTs, ticketKey: result.ticketKey });
+  await jiraThreadSync.linkThread(teamId, channelId, threadTs, result.ticketKey);
+  return { ticketKey: result.ticketKey, ticketUrl: result.ticketUrl, summary: draft.summary, existing: false };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  createThreadTicket,
+};
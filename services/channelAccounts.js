@@ -0,0 +1,375 @@
+const redisService = require('./redisService');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Records created in a linked channel get the channel's account when none is named
+const ACCOUNT_LOOKUP_OBJECTS = ['Case', 'Opportunity', 'Contact'];
+
+// Account facts are re-read from Salesforce at most this often per channel and reader
+const FACTS_TTL_SECONDS = 15 * 60;
+
+// Open opportunities and cases listed in the facts
+const FACTS_LIMIT = 5;
+
+/** Generate storage key for a team's channel → account links */
+function channelAccountsKey(teamId) {
+  return `channel_accounts:${teamId}`;
+}
+
+/**
+ * Generate storage key for account facts as read by one Salesforce identity (a Slack
+ * user Id, or 'workspace'), so facts are only shown to people who could read them
+ */
+function factsKey(teamId, link, reader) {
+  return `channel_account_facts:${teamId}:${link.channelId}:${link.accountId}:${reader}`;
+}
+
+/** Get all channel → account links for a team */
+async function getChannelAccounts(teamId) {
+  try {
+    const data = await redisService.get(channelAccountsKey(teamId));
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    logger.error('Error getting channel accounts:', error);
+    return [];
+  }
+}
+
+/** Get the account linked to a channel, or null */
+async function getChannelAccount(teamId, channelId) {
+  if (!teamId || !channelId) return null;
+  const links = await getChannelAccounts(teamId);
+  return links.find((link) => link.channelId === channelId) || null;
+}
+
+/** Link a channel to an account, replacing any earlier link for the channel */
+async function linkChannel(teamId, linkData) {
+  try {
+    const links = (await getChannelAccounts(teamId)).filter((link) => link.channelId !== linkData.channelId);
+    const link = {
+      channelId: linkData.channelId,
+      accountId: linkData.accountId,
+      accountName: linkData.accountName,
+      linkedBy: linkData.linkedBy,
+      linkedAt: new Date().toISOString(),
+    };
+
+    links.push(link);
+    await redisService.set(channelAccountsKey(teamId), JSON.stringify(links), 365 * 24 * 3600);
+
+    logger.info('Linked channel to account:', { teamId, channelId: link.channelId, accountId: link.accountId });
+    return { success: true, link };
+  } catch (error) {
+    logger.error('Error linking channel to account:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/** Remove a channel's account link */
+async function unlinkChannel(teamId, channelId) {
+  try {
+    const links = await getChannelAccounts(teamId);
+    const remaining = links.filter((link) => link.channelId !== channelId);
+    if (remaining.length === links.length) {
+      return { success: false, error: 'Channel is not linked to an account' };
+    }
+
+    await redisService.set(channelAccountsKey(teamId), JSON.stringify(remaining), 365 * 24 * 3600);
+
+    logger.info('Unlinked channel from account:', { teamId, channelId });
+    return { success: true };
+  } catch (error) {
+    logger.error('Error unlinking channel:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/** Search Accounts by name for the account picker */
+async function searchAccounts(salesforceClient, search) {
+  const soql = soqlBuilder.from('Account')
+    .select(['Id', 'Name', 'BillingCity'])
+    .where('Name', 'LIKE', search)
+    .orderBy('Name')
+    .limit(20)
+    .build();
+  const result = await salesforceClient.queryRecords(soql);
+  if (!result.success) {
+    logger.error('Error searching accounts:', result.error);
+    return [];
+  }
+  return result.records;
+}
+
+/**
+ * The account a user named: the exact name match, or the only account containing the
+ * name. Resolves with { account, candidates }, account being null when the name is
+ * unknown or matches several accounts.
+ */
+async function findAccount(salesforceClient, name) {
+  const accounts = await searchAccounts(salesforceClient, name);
+  const exact = accounts.filter((account) => account.Name.toLowerCase() === name.trim().toLowerCase());
+  const candidates = exact.length > 0 ? exact : accounts;
+  return { account: candidates.length === 1 ? candidates[0] : null, candidates };
+}
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined ? 'no amount' : `$${Number(amount).toLocaleString('en-US')}`;
+}
+
+/** Read the account's key facts from Salesforce as prompt-ready lines */
+async function readAccountFacts(salesforceClient, accountId) {
+  const [accounts, opportunities, cases] = await Promise.all([
+    salesforceClient.queryRecords(soqlBuilder.from('Account')
+      .select(['Id', 'Name', 'Industry', 'Type', 'AnnualRevenue', 'NumberOfEmployees', 'BillingCity', 'BillingCountry', 'Owner.Name'])
+      .where('Id', '=', accountId)
+      .limit(1)
+      .build()),
+    salesforceClient.queryRecords(soqlBuilder.from('Opportunity')
+      .select(['Id', 'Name', 'StageName', 'Amount', 'CloseDate'])
+      .where('AccountId', '=', accountId)
+      .where('IsClosed', '=', false)
+      .orderBy('CloseDate')
+      .limit(FACTS_LIMIT)
+      .build()),
+    salesforceClient.queryRecords(soqlBuilder.from('Case')
+      .select(['Id', 'CaseNumber', 'Subject', 'Status', 'Priority'])
+      .where('AccountId', '=', accountId)
+      .where('IsClosed', '=', false)
+      .orderBy('CreatedDate', 'DESC')
+      .limit(FACTS_LIMIT)
+      .build()),
+  ]);
+
+  const failed = [accounts, opportunities, cases].find((result) => !result.success);
+  if (failed) {
+    throw new Error(failed.error);
+  }
+  const account = accounts.records[0];
+  if (!account) {
+    throw new Error(`Account ${accountId} was not found`);
+  }
+
+  const details = [
+    account.Industry,
+    account.Type,
+    account.AnnualRevenue ? `${formatAmount(account.AnnualRevenue)} annual revenue` : null,
+    account.NumberOfEmployees ? `${account.NumberOfEmployees} employees` : null,
+    [account.BillingCity, account.BillingCountry].filter(Boolean).join(', ') || null,
+    account.Owner?.Name ? `account owner ${account.Owner.Name}` : null,
+  ].filter(Boolean);
+
+  const lines = [`Account: ${account.Name} (Id ${account.Id})${details.length ? ` - ${details.join(', ')}` : ''}`];
+  lines.push(opportunities.records.length > 0
+    ? `Open opportunities: ${opportunities.records.map((opp) => `${opp.Name} (${opp.StageName}, ${formatAmount(opp.Amount)}, closes ${opp.CloseDate})`).join('; ')}`
+    : 'Open opportunities: none');
+  lines.push(cases.records.length > 0
+    ? `Open cases: ${cases.records.map((item) => `${item.CaseNumber} ${item.Subject || ''} (${item.Status}, ${item.Priority || 'no priority'})`).join('; ')}`
+    : 'Open cases: none');
+  return lines;
+}
+
+/**
+ * Key facts for a linked channel's account, read with the asker's Salesforce client
+ * and cached for a few minutes per reader (the asker's Slack user Id, or 'workspace'
+ * for the workspace connection). Falls back to just the account name without a
+ * client or when Salesforce can't be read.
+ */
+async function getAccountFacts(salesforceClient, teamId, link, reader) {
+  if (!salesforceClient) {
+    return [`Account: ${link.accountName} (Id ${link.accountId})`];
+  }
+
+  try {
+    const cached = await redisService.get(factsKey(teamId, link, reader));
+    if (cached) return JSON.parse(cached);
+
+    const facts = await readAccountFacts(salesforceClient, link.accountId);
+    await redisService.set(factsKey(teamId, link, reader), JSON.stringify(facts), FACTS_TTL_SECONDS);
+    return facts;
+  } catch (error) {
+    logger.error('Error loading channel account facts:', error.message);
+    return [`Account: ${link.accountName} (Id ${link.accountId})`];
+  }
+}
+
+/** System prompt section describing the channel's customer */
+function accountPrompt(link, facts) {
+  return `\n\nThis Slack channel is about the Salesforce customer account ${link.accountName}. Unless the user names a different account, ` +
+    `questions and new records (cases, opportunities, contacts) are about this account; don't ask which account they mean.\n` +
+    facts.map((line) => `- ${line}`).join('\n');
+}
+
+// ============================================================================
+// UI COMPONENTS - CHANNEL ACCOUNT MODALS
+// ============================================================================
+
+/** Options for the account picker's external_select */
+function accountOptions(accounts) {
+  return accounts.map((account) => ({
+    text: { type: 'plain_text', text: `${account.Name}${account.BillingCity ? ` (${account.BillingCity})` : ''}`.substring(0, 75) },
+    value: JSON.stringify({ id: account.Id, name: account.Name.substring(0, 100) }),
+  }));
+}
+
+/**
+ * Link Channel to Account Modal
+ */
+function linkChannelModal() {
+  return {
+    type: 'modal',
+    callback_id: 'link_channel_account',
+    title: {
+      type: 'plain_text',
+      text: 'Link Channel',
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Link',
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel',
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Link a customer channel to its Salesforce account. Questions in the channel are answered with the account\'s key facts, and new cases, opportunities and contacts go to the account.',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'linked_channel',
+        element: {
+          type: 'conversations_select',
+          action_id: 'linked_channel_input',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          placeholder: {
+            type: 'plain_text',
+            text: 'Select a channel',
+          },
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Channel',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'linked_account',
+        element: {
+          type: 'external_select',
+          action_id: 'salesforce_account_search',
+          min_query_length: 2,
+          placeholder: {
+            type: 'plain_text',
+            text: 'Search accounts',
+          },
+        },
+        label: {
+          type: 'plain_text',
+          text: 'Salesforce Account',
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Manage Channel Accounts Modal
+ */
+function manageChannelAccountsModal(links) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Channel Accounts*\n\nCustomer channels linked to Salesforce accounts.',
+      },
+    },
+  ];
+
+  if (links.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'No channels are linked yet. Click "Link Channel" to get started.',
+      },
+    });
+  }
+
+  links.forEach((link) => {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `<#${link.channelId}> → *${link.accountName}*\nLinked by <@${link.linkedBy}> on ${new Date(link.linkedAt).toLocaleDateString()}`,
+      },
+      accessory: {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Unlink',
+        },
+        style: 'danger',
+        action_id: 'unlink_channel_account',
+        value: link.channelId,
+      },
+    });
+  });
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Link Channel',
+        },
+        action_id: 'link_channel_account_button',
+        style: 'primary',
+      },
+    ],
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'manage_channel_accounts',
+    title: {
+      type: 'plain_text',
+      text: 'Channel Accounts',
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Close',
+    },
+    blocks: blocks,
+  };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  ACCOUNT_LOOKUP_OBJECTS,
+  getChannelAccounts,
+  getChannelAccount,
+  linkChannel,
+  unlinkChannel,
+  searchAccounts,
+  findAccount,
+  getAccountFacts,
+  accountPrompt,
+
+  // UI Components
+  accountOptions,
+  linkChannelModal,
+  manageChannelAccountsModal,
+};
@@ -50,6 +50,8 @@ async function addMonitoredChannel(teamId, channelData) {
       responseType: channelData.responseType || 'analytical',
       enabled: channelData.enabled !== false,
       autoCreateJiraTickets: channelData.autoCreateJiraTickets || false,
+      jiraProjectKey: channelData.jiraProjectKey || null,
+      jiraIssueType: channelData.jiraIssueType || null,
       addedAt: new Date().toISOString(),
       addedBy: channelData.addedBy,
     };
@@ -188,6 +190,18 @@ async function incrementThreadResponseCount(teamId, channelId, threadTs) {
   }
 }
 
+/** Reset a thread's bot response count, so the next response claims the thread again */
+async function resetThreadResponseCount(teamId, channelId, threadTs) {
+  try {
+    await redisService.del(threadResponseCountKey(teamId, channelId, threadTs));
+    logger.info('Reset thread response count:', { teamId, channelId, threadTs });
+    return true;
+  } catch (error) {
+    logger.error('Error resetting thread response count:', error);
+    return false;
+  }
+}
+
 /** Get current bot response count for a thread */
 async function getThreadResponseCount(teamId, channelId, threadTs) {
   try {
@@ -204,6 +218,58 @@ async function getThreadResponseCount(teamId, channelId, threadTs) {
 // UI COMPONENTS - MODALS AND BLOCKS
 // ============================================================================
 
+/**
+ * Jira project and issue type inputs for auto-created tickets
+ */
+function jiraTargetBlocks(channel) {
+  const projectInput = {
+    type: 'plain_text_input',
+    action_id: 'jira_project_input',
+    placeholder: {
+      type: 'plain_text',
+      text: 'e.g. SUP',
+    },
+  };
+  if (channel.jiraProjectKey) projectInput.initial_value = channel.jiraProjectKey;
+
+  const issueTypeInput = {
+    type: 'plain_text_input',
+    action_id: 'jira_issue_type_input',
+    placeholder: {
+      type: 'plain_text',
+      text: 'Task',
+    },
+  };
+  if (channel.jiraIssueType) issueTypeInput.initial_value = channel.jiraIssueType;
+
+  return [
+    {
+      type: 'input',
+      block_id: 'jira_project',
+      optional: true,
+      element: projectInput,
+      label: {
+        type: 'plain_text',
+        text: 'Jira Project Key',
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Project for auto-created tickets. Leave empty to use the default project from the Jira setup.',
+      },
+    },
+    {
+      type: 'input',
+      block_id: 'jira_issue_type',
+      optional: true,
+      element: issueTypeInput,
+      label: {
+        type: 'plain_text',
+        text: 'Jira Issue Type',
+      },
+    },
+  ];
+}
+
 /**
  * Add Monitored Channel Modal
  */
@@ -297,6 +363,7 @@ function addMonitoredChannelModal() {
           ],
         },
       },
+      ...jiraTargetBlocks({}),
       {
         type: 'context',
         elements: [
@@ -345,6 +412,9 @@ function manageMonitoredChannelsModal(channels) {
             `${statusEmoji} *#${channel.channelName}*\n` +
             `Response Type: *${channel.responseType}*\n` +
             `Auto-Jira: ${channel.autoCreateJiraTickets ? 'Enabled' : 'Disabled'} ${jiraEmoji}\n` +
+            (channel.autoCreateJiraTickets
+              ? `Jira Target: ${channel.jiraProjectKey || 'default project'} / ${channel.jiraIssueType || 'Task'}\n`
+              : '') +
             `Added: ${new Date(channel.addedAt).toLocaleDateString()}`,
         },
         accessory: {
@@ -504,6 +574,7 @@ function editMonitoredChannelModal(channel) {
           ],
         },
       },
+      ...jiraTargetBlocks(channel),
     ],
   };
 }
@@ -555,6 +626,7 @@ module.exports = {
   isChannelMonitored,
   getResponseTypes,
   incrementThreadResponseCount,
+  resetThreadResponseCount,
   getThreadResponseCount,
 
   // UI Components
@@ -0,0 +1,510 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const redisService = require('./redisService');
+const llmService = require('./llmService');
+const salesforceUpdates = require('./salesforceUpdates');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Objects that can be bulk imported
+const IMPORTABLE_OBJECTS = ['Lead', 'Contact', 'Account'];
+
+// Keep imports to a size that fits in one pending job and a few API calls
+const MAX_IMPORT_ROWS = 2000;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// Pending imports expire if nobody confirms them within a day
+const IMPORT_TTL_SECONDS = 24 * 3600;
+
+/** Generate storage key for a pending import in a conversation */
+function importKey(teamId, channelId, threadTs) {
+  return `csv_import:${teamId}:${channelId}:${threadTs || 'main'}`;
+}
+
+/** Get the pending import for a conversation */
+async function getImport(teamId, channelId, threadTs) {
+  try {
+    const data = await redisService.get(importKey(teamId, channelId, threadTs));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting CSV import:', error);
+    return null;
+  }
+}
+
+/** A new id for an import's preview; cards carry it so a stale card can't run a newer import */
+function newImportId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Save the pending import for a conversation. An import keeps its id across saves;
+ * pass a new one when a new preview card is posted for it.
+ */
+async function saveImport(job) {
+  try {
+    const savedJob = { ...job, importId: job.importId || newImportId(), updatedAt: new Date().toISOString() };
+    await redisService.set(importKey(job.teamId, job.channelId, job.threadTs), JSON.stringify(savedJob), IMPORT_TTL_SECONDS);
+    return savedJob;
+  } catch (error) {
+    logger.error('Error saving CSV import:', error);
+    return null;
+  }
+}
+
+/** Delete the pending import for a conversation; resolves false when there was none to delete */
+async function deleteImport(teamId, channelId, threadTs) {
+  try {
+    const removed = await redisService.del(importKey(teamId, channelId, threadTs));
+    return removed > 0;
+  } catch (error) {
+    logger.error('Error deleting CSV import:', error);
+    return false;
+  }
+}
+
+/** Reference to an import that fits in a button value */
+function importRef(job) {
+  return JSON.stringify({
+    teamId: job.teamId,
+    channelId: job.channelId,
+    threadTs: job.threadTs || null,
+    importId: job.importId,
+  });
+}
+
+// ============================================================================
+// CSV FILES
+// ============================================================================
+
+function isCsvFile(file) {
+  return file && (file.filetype === 'csv' || /\.csv$/i.test(file.name || ''));
+}
+
+/**
+ * Find the CSV to import: one attached to the current message, or else the most
+ * recent one shared in the conversation.
+ */
+async function findCsvFile(client, { files, channel, threadTs }) {
+  const attached = (files || []).find(isCsvFile);
+  if (attached) return attached;
+
+  const history = threadTs
+    ? await client.conversations.replies({ channel, ts: threadTs, limit: 50 })
+    : await client.conversations.history({ channel, limit: 20 });
+
+  // replies are oldest first, history is newest first
+  const messages = threadTs ? [...history.messages].reverse() : history.messages;
+  for (const message of messages) {
+    const file = (message.files || []).find(isCsvFile);
+    if (file) return file;
+  }
+  return null;
+}
+
+/** Download a Slack file with the bot token */
+async function downloadFile(client, file) {
+  if (file.size > MAX_FILE_BYTES) {
+    throw new Error(`${file.name} is too large to import (max ${MAX_FILE_BYTES / 1024 / 1024} MB)`);
+  }
+
+  const response = await axios.get(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${client.token}` },
+    responseType: 'text',
+    transformResponse: (data) => data,
+  });
+  return response.data;
+}
+
+/** Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into { headers, rows } */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((row) => row.some((value) => value.trim() !== ''));
+  const [headerRow, ...dataRows] = nonEmpty;
+  if (!headerRow) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = headerRow.map((header) => header.trim());
+  const rows = dataRows.map((row) => Object.fromEntries(headers.map((header, index) => [header, (row[index] || '').trim()])));
+  return { headers, rows };
+}
+
+// ============================================================================
+// COLUMN MAPPING AND VALIDATION
+// ============================================================================
+
+/** Fields a CSV column can be mapped to */
+function mappableFields(describe) {
+  return describe.fields.filter((field) => field.createable && field.type !== 'reference');
+}
+
+/** Fields Salesforce requires when creating a record */
+function requiredFields(describe) {
+  return describe.fields.filter((field) => field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean');
+}
+
+/** Match columns to fields by API name or label, ignoring case, spaces and punctuation */
+function guessMapping(headers, describe) {
+  const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const fields = mappableFields(describe);
+
+  return Object.fromEntries(headers.map((header) => {
+    const wanted = normalize(header);
+    const field = fields.find((candidate) => normalize(candidate.name) === wanted || normalize(candidate.label) === wanted);
+    return [header, field ? field.name : null];
+  }));
+}
+
+/**
+ * Propose a column-to-field mapping. The model matches columns like "Badge Company"
+ * to Company using the describe metadata; anything it maps to an unknown or
+ * read-only field is dropped, and exact name/label matches fill the gaps.
+ */
+async function proposeMapping(headers, sampleRows, describe, options = {}) {
+  const guessed = guessMapping(headers, describe);
+  const fields = mappableFields(describe);
+  const fieldNames = new Set(fields.map((field) => field.name));
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You map CSV columns to Salesforce ${describe.name} fields. Respond with a single JSON object mapping every column name ` +
+        'to a field API name, or null when no field fits. Never map two columns to the same field.\n\n' +
+        `Fields:\n${fields.map((field) => `- ${field.name} (${field.label}): ${field.type}`).join('\n')}`
+    },
+    {
+      role: 'user',
+      content: `Columns: ${JSON.stringify(headers)}\nSample rows: ${JSON.stringify(sampleRows.slice(0, 3))}`
+    }
+  ];
+
+  let proposed = {};
+  try {
+    const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0 });
+    const match = (completion.content || '').match(/\{[\s\S]*\}/);
+    proposed = match ? JSON.parse(match[0]) : {};
+  } catch (error) {
+    logger.error('Error proposing CSV mapping, using name matches only:', error.message);
+  }
+
+  const mapping = {};
+  const used = new Set();
+  for (const header of headers) {
+    const candidate = fieldNames.has(proposed[header]) ? proposed[header] : guessed[header];
+    mapping[header] = candidate && !used.has(candidate) ? candidate : null;
+    if (mapping[header]) used.add(mapping[header]);
+  }
+  return mapping;
+}
+
+/**
+ * Apply the user's corrections ({ column: field name or label, or null to skip it })
+ * to a job's mapping. Returns a list of corrections that could not be applied.
+ */
+function applyMappingOverrides(job, overrides) {
+  const fields = mappableFields(job.describe);
+  const errors = [];
+
+  for (const [header, wanted] of Object.entries(overrides || {})) {
+    const column = job.headers.find((candidate) => candidate.toLowerCase() === header.trim().toLowerCase());
+    if (!column) {
+      errors.push(`${job.fileName} has no column called "${header}"`);
+      continue;
+    }
+    if (!wanted) {
+      job.mapping[column] = null;
+      continue;
+    }
+
+    const name = String(wanted).trim().toLowerCase();
+    const field = fields.find((candidate) => candidate.name.toLowerCase() === name)
+      || fields.find((candidate) => candidate.label.toLowerCase() === name);
+    if (!field) {
+      errors.push(`"${wanted}" is not a ${job.objectType} field that can be imported`);
+      continue;
+    }
+
+    // A field can only be filled from one column
+    for (const other of job.headers) {
+      if (job.mapping[other] === field.name) job.mapping[other] = null;
+    }
+    job.mapping[column] = field.name;
+  }
+
+  return errors;
+}
+
+/**
+ * Build and validate the record for every row. Returns one
+ * { row, record, errors } per row, numbered from 2 (the header is row 1).
+ */
+function validateRows(rows, mapping, describe) {
+  const required = requiredFields(describe);
+
+  return rows.map((row, index) => {
+    const requested = {};
+    for (const [header, fieldName] of Object.entries(mapping)) {
+      if (fieldName && row[header] !== undefined && row[header] !== '') {
+        requested[fieldName] = row[header];
+      }
+    }
+
+    const { changes, errors } = salesforceUpdates.resolveChanges(describe, requested, 'createable');
+    for (const field of required) {
+      if (changes[field.name] === undefined || changes[field.name] === null) {
+        errors.push(`${field.label} is required`);
+      }
+    }
+
+    return { row: index + 2, record: changes, errors };
+  });
+}
+
+/** Escape a value for a CSV cell */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Result file: the original columns plus the outcome of every row */
+function buildResultCsv(job, outcomes) {
+  const headers = [...job.headers, 'Import Status', 'Salesforce Id', 'Error'];
+  const lines = [headers.map(csvCell).join(',')];
+
+  job.rows.forEach((row, index) => {
+    const outcome = outcomes[index];
+    lines.push([
+      ...job.headers.map((header) => csvCell(row[header])),
+      csvCell(outcome.success ? 'Created' : 'Failed'),
+      csvCell(outcome.id),
+      csvCell(outcome.error),
+    ].join(','));
+  });
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Create the valid rows and collect an outcome for every row (invalid rows fail
+ * with their validation errors). Resolves with { outcomes, created, failed }.
+ */
+async function runImport(job, salesforceClient) {
+  const validations = validateRows(job.rows, job.mapping, job.describe);
+  const valid = validations.filter((validation) => validation.errors.length === 0);
+  const results = await salesforceClient.createRecords(job.objectType, valid.map((validation) => validation.record));
+
+  const resultsByRow = new Map(valid.map((validation, index) => [validation.row, results[index]]));
+  const outcomes = validations.map((validation) => resultsByRow.get(validation.row) || {
+    success: false,
+    id: null,
+    error: validation.errors.join('; '),
+  });
+
+  const created = outcomes.filter((outcome) => outcome.success).length;
+  logger.info('CSV import finished:', { objectType: job.objectType, created, failed: outcomes.length - created });
+  return { outcomes, created, failed: outcomes.length - created };
+}
+
+/**
+ * Prepare an import from a shared CSV: download, parse, map and validate it, and
+ * store it as the conversation's pending import. Resolves with the saved job.
+ */
+async function prepareImport(client, file, objectType, describe, context) {
+  if (!IMPORTABLE_OBJECTS.includes(objectType)) {
+    throw new Error(`Importing ${objectType} records is not supported`);
+  }
+
+  const { headers, rows } = parseCsv(await downloadFile(client, file));
+  if (rows.length === 0) {
+    throw new Error(`${file.name} has no data rows`);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`${file.name} has ${rows.length} rows; imports are limited to ${MAX_IMPORT_ROWS}`);
+  }
+
+  const mapping = await proposeMapping(headers, rows, describe, { teamId: context.teamId });
+
+  // Keep only what validation needs from the describe result
+  const compactDescribe = {
+    name: describe.name,
+    fields: describe.fields.map((field) => ({
+      name: field.name,
+      label: field.label,
+      type: field.type,
+      length: field.length,
+      createable: field.createable,
+      updateable: field.updateable,
+      nillable: field.nillable,
+      defaultedOnCreate: field.defaultedOnCreate,
+      picklistValues: field.type === 'picklist' ? field.picklistValues : undefined,
+    })),
+  };
+
+  return saveImport({
+    objectType,
+    fileId: file.id,
+    fileName: file.name,
+    headers,
+    rows,
+    mapping,
+    describe: compactDescribe,
+    teamId: context.teamId,
+    channelId: context.channel,
+    threadTs: context.threadTs || null,
+    userId: context.userId,
+  });
+}
+
+// ============================================================================
+// UI COMPONENTS - IMPORT PREVIEW
+// ============================================================================
+
+/**
+ * Preview card: the proposed mapping, sample rows and per-row validation errors
+ */
+function previewBlocks(job) {
+  const validations = validateRows(job.rows, job.mapping, job.describe);
+  const invalid = validations.filter((validation) => validation.errors.length > 0);
+  const validCount = validations.length - invalid.length;
+  const labels = Object.fromEntries(job.describe.fields.map((field) => [field.name, field.label]));
+
+  const mappingLines = job.headers.map((header) => (job.mapping[header]
+    ? `• ${header} → *${labels[job.mapping[header]] || job.mapping[header]}*`
+    : `• ${header} → _not imported_`));
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📄 *Import ${job.rows.length} ${job.objectType} rows from ${job.fileName}*\n${validCount} ready to import, ${invalid.length} with errors. Nothing is created until you confirm.`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Column mapping*\n${mappingLines.join('\n')}`.substring(0, 3000),
+      },
+    },
+  ];
+
+  const sample = validations.filter((validation) => validation.errors.length === 0).slice(0, 3);
+  if (sample.length > 0) {
+    const sampleLines = sample.map((validation) => `• Row ${validation.row}: ${Object.entries(validation.record)
+      .map(([name, value]) => `${labels[name] || name}: ${value}`)
+      .join(', ')}`);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Preview*\n${sampleLines.join('\n')}`.substring(0, 3000),
+      },
+    });
+  }
+
+  if (invalid.length > 0) {
+    const errorLines = invalid.slice(0, 10).map((validation) => `• Row ${validation.row}: ${validation.errors.join('; ')}`);
+    if (invalid.length > 10) errorLines.push(`…and ${invalid.length - 10} more rows`);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Rows with errors* (skipped)\n${errorLines.join('\n')}`.substring(0, 3000),
+      },
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: '💡 To change the mapping, tell me e.g. "map Badge Company to Company" and I\'ll refresh this preview.',
+      },
+    ],
+  });
+
+  const elements = [];
+  if (validCount > 0) {
+    elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: `✅ Import ${validCount} rows` },
+      style: 'primary',
+      action_id: 'csv_import_confirm',
+      value: importRef(job),
+    });
+  }
+  elements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: 'Cancel' },
+    style: 'danger',
+    action_id: 'csv_import_cancel',
+    value: importRef(job),
+  });
+  blocks.push({ type: 'actions', block_id: 'csv_import_actions', elements });
+
+  return blocks;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  IMPORTABLE_OBJECTS,
+  getImport,
+  saveImport,
+  deleteImport,
+  newImportId,
+  findCsvFile,
+  parseCsv,
+  applyMappingOverrides,
+  validateRows,
+  prepareImport,
+  runImport,
+  buildResultCsv,
+
+  // UI Components
+  previewBlocks,
+};
@@ -0,0 +1,214 @@
+const llmService = require('./llmService');
+
+// Field schemas for the Salesforce objects the assistant can create.
+// `required` fields must come from the user; `default` is only used for
+// process fields (stage, status, priority) where Salesforce needs a value.
+const SOBJECT_SCHEMAS = {
+  Lead: {
+    FirstName: { type: 'string', label: 'First Name', maxLength: 40 },
+    LastName: { type: 'string', label: 'Last Name', required: true, maxLength: 80 },
+    Company: { type: 'string', label: 'Company', required: true, maxLength: 255 },
+    Email: { type: 'email', label: 'Email' },
+    Phone: { type: 'phone', label: 'Phone' },
+    Title: { type: 'string', label: 'Title', maxLength: 128 },
+    Status: { type: 'string', label: 'Status', default: 'Open - Not Contacted' }
+  },
+  Contact: {
+    FirstName: { type: 'string', label: 'First Name', maxLength: 40 },
+    LastName: { type: 'string', label: 'Last Name', required: true, maxLength: 80 },
+    Email: { type: 'email', label: 'Email' },
+    Phone: { type: 'phone', label: 'Phone' },
+    Title: { type: 'string', label: 'Title', maxLength: 128 },
+    Department: { type: 'string', label: 'Department', maxLength: 80 }
+  },
+  Opportunity: {
+    Name: { type: 'string', label: 'Opportunity Name', required: true, maxLength: 120 },
+    Amount: { type: 'currency', label: 'Amount' },
+    StageName: { type: 'string', label: 'Stage', default: 'Prospecting' },
+    CloseDate: { type: 'date', label: 'Close Date', required: true },
+    Description: { type: 'string', label: 'Description', maxLength: 32000 }
+  },
+  Account: {
+    Name: { type: 'string', label: 'Account Name', required: true, maxLength: 255 },
+    Type: { type: 'string', label: 'Type' },
+    Industry: { type: 'string', label: 'Industry' },
+    Phone: { type: 'phone', label: 'Phone' },
+    Website: { type: 'string', label: 'Website', maxLength: 255 }
+  },
+  Case: {
+    Subject: { type: 'string', label: 'Subject', required: true, maxLength: 255 },
+    Description: { type: 'string', label: 'Description', maxLength: 32000 },
+    Status: { type: 'string', label: 'Status', default: 'New' },
+    Priority: { type: 'picklist', label: 'Priority', options: ['High', 'Medium', 'Low'], default: 'Medium' }
+  },
+  Task: {
+    Subject: { type: 'string', label: 'Subject', required: true, maxLength: 255 },
+    ActivityDate: { type: 'date', label: 'Due Date' },
+    Description: { type: 'string', label: 'Comments', maxLength: 32000 },
+    Status: { type: 'string', label: 'Status', default: 'Not Started' },
+    Priority: { type: 'picklist', label: 'Priority', options: ['High', 'Normal', 'Low'], default: 'Normal' }
+  }
+};
+
+class EntityExtractor {
+  // Get the field schema for an sObject type
+  getSchema(objectType) {
+    return SOBJECT_SCHEMAS[objectType] || null;
+  }
+
+  // Get the sObject types the extractor knows about
+  getSupportedObjects() {
+    return Object.keys(SOBJECT_SCHEMAS);
+  }
+
+  // Ask the model for the record's fields as JSON, then validate them against the schema.
+  // options.existingFields (e.g. from an earlier turn) are kept unless the model finds a new value.
+  // Resolves with { data, missing: [{ name, label }], errors: [string] }.
+  async extract(objectType, conversationText, options = {}) {
+    const schema = this.getSchema(objectType);
+    if (!schema) {
+      throw new Error(`No extraction schema for ${objectType}`);
+    }
+
+    const fieldList = Object.entries(schema)
+      .map(([name, field]) => {
+        let line = `- ${name} (${field.label}): ${field.type}`;
+        if (field.options) line += `, one of ${field.options.join(' | ')}`;
+        if (field.required) line += ', required';
+        return line;
+      })
+      .join('\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You extract Salesforce ${objectType} fields from a Slack conversation. ` +
+          `Respond with a single JSON object and nothing else, using exactly these keys:\n${fieldList}\n\n` +
+          'Use null for any field the user did not explicitly state. Never invent names, companies, emails or amounts. ' +
+          'Amounts are plain numbers (e.g. "50k" is 50000). Dates are YYYY-MM-DD; ' +
+          `resolve relative dates against today, ${new Date().toISOString().split('T')[0]}.`
+      },
+      {
+        role: 'user',
+        content: conversationText
+      }
+    ];
+
+    const completion = await llmService.createCompletion(messages, {
+      teamId: options.teamId,
+      temperature: 0
+    });
+
+    const raw = this.parseJson(completion.content);
+    const found = Object.fromEntries(
+      Object.entries(raw).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+    return this.validate(objectType, { ...options.existingFields, ...found });
+  }
+
+  // Pull the first JSON object out of a model reply (tolerates code fences and chatter)
+  parseJson(text) {
+    const match = (text || '').match(/\{[\s\S]*\}/);
+    if (!match) {
+      console.warn('Entity extraction returned no JSON:', text);
+      return {};
+    }
+    try {
+      return JSON.parse(match[0]);
+    } catch (error) {
+      console.warn('Entity extraction returned invalid JSON:', match[0]);
+      return {};
+    }
+  }
+
+  // Normalize values to Salesforce types, apply defaults and report missing required fields
+  validate(objectType, raw) {
+    const schema = this.getSchema(objectType);
+    const data = {};
+    const errors = [];
+
+    for (const [name, field] of Object.entries(schema)) {
+      const value = raw?.[name];
+      if (value === null || value === undefined || value === '') continue;
+
+      const result = this.normalizeValue(field, value);
+      if (result.error) {
+        errors.push(`${field.label}: ${result.error}`);
+      } else {
+        data[name] = result.value;
+      }
+    }
+
+    for (const [name, field] of Object.entries(schema)) {
+      if (data[name] === undefined && field.default !== undefined) {
+        data[name] = field.default;
+      }
+    }
+
+    const missing = Object.entries(schema)
+      .filter(([name, field]) => field.required && data[name] === undefined)
+      .map(([name, field]) => ({ name, label: field.label }));
+
+    return { data, missing, errors };
+  }
+
+  normalizeValue(field, value) {
+    switch (field.type) {
+      case 'email': {
+        const email = String(value).trim();
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)
+          ? { value: email }
+          : { error: `"${email}" is not a valid email address` };
+      }
+      case 'phone': {
+        const phone = String(value).trim();
+        return phone.replace(/\D/g, '').length >= 7
+          ? { value: phone }
+          : { error: `"${phone}" is not a valid phone number` };
+      }
+      case 'currency': {
+        const amount = this.parseAmount(value);
+        return amount === null
+          ? { error: `"${value}" is not a valid amount` }
+          : { value: amount };
+      }
+      case 'date': {
+        const date = String(value).trim();
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date))
+          ? { value: date }
+          : { error: `"${date}" is not a valid date (YYYY-MM-DD)` };
+      }
+      case 'picklist': {
+        const option = field.options.find(opt => opt.toLowerCase() === String(value).trim().toLowerCase());
+        return option
+          ? { value: option }
+          : { error: `"${value}" must be one of ${field.options.join(', ')}` };
+      }
+      default: {
+        const text = String(value).trim();
+        if (field.maxLength && text.length > field.maxLength) {
+          return { value: text.substring(0, field.maxLength) };
+        }
+        return { value: text };
+      }
+    }
+  }
+
+  // Parse amounts like 120000, "$120,000", "120k" or "1.5M". The multiplier
+  // suffix must directly follow the number.
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+
+    const match = String(value).trim().match(/^\$?\s*([0-9][0-9,]*(?:\.[0-9]+)?)\s*(k|thousand|m|mm|million|b|billion)?$/i);
+    if (!match) return null;
+
+    const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+    const amount = parseFloat(match[1].replace(/,/g, ''));
+    const multiplier = match[2] ? multipliers[match[2].toLowerCase()] : 1;
+    return amount * multiplier;
+  }
+}
+
+module.exports = new EntityExtractor();
@@ -31,6 +31,36 @@ class IntegrationService {
         return await this.getJiraTicket(baseUrl, username, apiToken, params);
       case 'search_tickets':
         return await this.searchJiraTickets(baseUrl, username, apiToken, params);
+      case 'get_jql_reference':
+        return await this.getJiraJqlReference(baseUrl, username, apiToken, params);
+      case 'get_project_statuses':
+        return await this.getJiraProjectStatuses(baseUrl, username, apiToken, params);
+      case 'search_projects':
+        return await this.searchJiraProjects(baseUrl, username, apiToken, params);
+      case 'get_issue_types':
+        return await this.getJiraIssueTypes(baseUrl, username, apiToken, params);
+      case 'get_create_fields':
+        return await this.getJiraCreateFields(baseUrl, username, apiToken, params);
+      case 'suggest_labels':
+        return await this.suggestJiraLabels(baseUrl, username, apiToken, params);
+      case 'get_transitions':
+        return await this.getJiraTransitions(baseUrl, username, apiToken, params);
+      case 'transition_ticket':
+        return await this.transitionJiraTicket(baseUrl, username, apiToken, params);
+      case 'find_user':
+        return await this.findJiraUser(baseUrl, username, apiToken, params);
+      case 'assign_ticket':
+        return await this.assignJiraTicket(baseUrl, username, apiToken, params);
+      case 'add_comment':
+        return await this.addJiraComment(baseUrl, username, apiToken, params);
+      case 'get_edit_fields':
+        return await this.getJiraEditFields(baseUrl, username, apiToken, params);
+      case 'update_fields':
+        return await this.updateJiraFields(baseUrl, username, apiToken, params);
+      case 'get_link_types':
+        return await this.getJiraLinkTypes(baseUrl, username, apiToken, params);
+      case 'link_issues':
+        return await this.linkJiraIssues(baseUrl, username, apiToken, params);
       default:
         throw new Error(`Unknown Jira action: ${action}`);
     }
@@ -38,7 +68,7 @@ class IntegrationService {
 
   async createJiraTicket(baseUrl, username, apiToken, params) {
     try {
-      const { project, summary, description, issueType = 'Task' } = params;
+      const { project, summary, description, issueType = 'Task', issueTypeId, labels } = params;
       
       // Use the project from params, or fall back to default project from credentials
       const projectKey = project || params.defaultProject || 'TASK';
@@ -52,16 +82,21 @@ class IntegrationService {
         issueType
       });
       
+      const fields = {
+        project: { key: projectKey },
+        summary: summary,
+        description: description,
+        issuetype: issueTypeId ? { id: issueTypeId } : { name: issueType },
+        // Any other fields from the create screen, already in Jira's format
+        ...params.fields
+      };
+      if (labels && labels.length > 0) {
+        fields.labels = labels;
+      }
+
       const response = await axios.post(
         `${baseUrl}/rest/api/2/issue`,
-        {
-          fields: {
-            project: { key: projectKey },
-            summary: summary,
-            description: description,
-            issuetype: { name: issueType }
-          }
-        },
+        { fields },
         {
           auth: {
             username: username,
@@ -125,6 +160,10 @@ class IntegrationService {
           description: issue.fields.description,
           status: issue.fields.status.name,
           assignee: issue.fields.assignee?.displayName || 'Unassigned',
+          priority: issue.fields.priority?.name || 'None',
+          issueType: issue.fields.issuetype?.name || null,
+          labels: issue.fields.labels || [],
+          dueDate: issue.fields.duedate || null,
           url: `${baseUrl}/browse/${issue.key}`
         }
       };
@@ -136,14 +175,15 @@ class IntegrationService {
 
   async searchJiraTickets(baseUrl, username, apiToken, params) {
     try {
-      const { jql, maxResults = 10 } = params;
+      const { jql, maxResults = 10, startAt = 0 } = params;
       
       const response = await axios.post(
         `${baseUrl}/rest/api/3/search`,
         {
           jql: jql,
+          startAt: startAt,
           maxResults: maxResults,
-          fields: ['key', 'summary', 'status', 'assignee']
+          fields: ['key', 'summary', 'status', 'assignee', 'priority', 'issuetype']
         },
         {
           auth: {
@@ -161,13 +201,16 @@ class IntegrationService {
         summary: issue.fields.summary,
         status: issue.fields.status.name,
         assignee: issue.fields.assignee?.displayName || 'Unassigned',
+        priority: issue.fields.priority?.name || 'None',
+        issueType: issue.fields.issuetype?.name || null,
         url: `${baseUrl}/browse/${issue.key}`
       }));
 
       return {
         success: true,
         tickets: tickets,
-        total: response.data.total
+        total: response.data.total,
+        startAt: response.data.startAt || startAt
       };
     } catch (error) {
       console.error('Error searching Jira tickets:', error.response?.data || error.message);
@@ -175,6 +218,467 @@ class IntegrationService {
     }
   }
 
+  // Fields, operators and functions JQL accepts on this site, for writing queries
+  async getJiraJqlReference(baseUrl, username, apiToken, params) {
+    try {
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/jql/autocompletedata`,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        fields: (response.data.visibleFieldNames || []).map(field => ({
+          name: field.value,
+          displayName: field.displayName,
+          operators: field.operators || [],
+          types: field.types || []
+        })),
+        functions: (response.data.visibleFunctionNames || []).map(fn => ({
+          name: fn.value,
+          displayName: fn.displayName
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira JQL reference:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira JQL reference: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Issue types of a project and the statuses their workflows use
+  async getJiraProjectStatuses(baseUrl, username, apiToken, params) {
+    try {
+      const { project } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/project/${encodeURIComponent(project)}/statuses`,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      const statuses = new Set();
+      response.data.forEach(issueType => (issueType.statuses || []).forEach(status => statuses.add(status.name)));
+      return {
+        success: true,
+        issueTypes: response.data.map(issueType => issueType.name),
+        statuses: [...statuses]
+      };
+    } catch (error) {
+      console.error('Error getting Jira project statuses:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira project statuses: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  async searchJiraProjects(baseUrl, username, apiToken, params) {
+    try {
+      const { query = '', maxResults = 50 } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/project/search`,
+        {
+          params: { query, maxResults, orderBy: 'name' },
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        projects: response.data.values.map(project => ({
+          id: project.id,
+          key: project.key,
+          name: project.name
+        }))
+      };
+    } catch (error) {
+      console.error('Error searching Jira projects:', error.response?.data || error.message);
+      throw new Error(`Failed to search Jira projects: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Issue types the user can create in a project, from createmeta
+  async getJiraIssueTypes(baseUrl, username, apiToken, params) {
+    try {
+      const { project } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/issue/createmeta/${encodeURIComponent(project)}/issuetypes`,
+        {
+          params: { maxResults: 100 },
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      // Jira Cloud returns issueTypes, Data Center returns values
+      const issueTypes = response.data.issueTypes || response.data.values || [];
+      return {
+        success: true,
+        issueTypes: issueTypes
+          .filter(issueType => !issueType.subtask)
+          .map(issueType => ({ id: issueType.id, name: issueType.name }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira issue types:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira issue types: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Fields on a project's create screen for one issue type, from createmeta
+  async getJiraCreateFields(baseUrl, username, apiToken, params) {
+    try {
+      const { project, issueTypeId } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/issue/createmeta/${encodeURIComponent(project)}/issuetypes/${encodeURIComponent(issueTypeId)}`,
+        {
+          params: { maxResults: 200 },
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      // Jira Cloud returns fields, Data Center returns values
+      const fields = response.data.fields || response.data.values || [];
+      return {
+        success: true,
+        fields: fields.map(field => ({
+          fieldId: field.fieldId || field.key,
+          name: field.name,
+          required: field.required,
+          hasDefaultValue: field.hasDefaultValue || false,
+          schema: field.schema || {},
+          allowedValues: (field.allowedValues || []).map(value => ({
+            id: value.id,
+            name: value.name || value.value || value.id
+          }))
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira create fields:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira create fields: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  async suggestJiraLabels(baseUrl, username, apiToken, params) {
+    try {
+      const { query = '' } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/jql/autocompletedata/suggestions`,
+        {
+          params: { fieldName: 'labels', fieldValue: query },
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        labels: (response.data.results || []).map(result => result.value)
+      };
+    } catch (error) {
+      console.error('Error suggesting Jira labels:', error.response?.data || error.message);
+      throw new Error(`Failed to suggest Jira labels: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Transitions the issue can take from its current status
+  async getJiraTransitions(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}/transitions`,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        transitions: response.data.transitions.map(transition => ({
+          id: transition.id,
+          name: transition.name,
+          to: transition.to?.name || transition.name
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira transitions:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira transitions: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  async transitionJiraTicket(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey, transitionId } = params;
+
+      await axios.post(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}/transitions`,
+        { transition: { id: transitionId } },
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        message: `Transitioned ${ticketKey}`
+      };
+    } catch (error) {
+      console.error('Error transitioning Jira ticket:', error.response?.data || error.message);
+      throw new Error(`Failed to transition Jira ticket: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Find the Jira user with an email address or name. Jira Cloud searches by query;
+  // Jira Server and Data Center by username.
+  async findJiraUser(baseUrl, username, apiToken, params) {
+    try {
+      const { query } = params;
+      const isCloud = /\.atlassian\.net$/i.test(new URL(baseUrl).hostname);
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/user/search`,
+        {
+          params: isCloud ? { query } : { username: query },
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      const wanted = query.toLowerCase();
+      const user = response.data.find(candidate => candidate.emailAddress?.toLowerCase() === wanted || candidate.displayName?.toLowerCase() === wanted) ||
+        (response.data.length === 1 ? response.data[0] : null);
+      return {
+        success: true,
+        user: user ? { accountId: user.accountId || null, name: user.name || null, displayName: user.displayName } : null
+      };
+    } catch (error) {
+      console.error('Error finding Jira user:', error.response?.data || error.message);
+      throw new Error(`Failed to find Jira user: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Assign an issue to a user found with find_user, or unassign it when user is null
+  async assignJiraTicket(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey, user } = params;
+
+      let assignee = { accountId: null };
+      if (user) {
+        assignee = user.accountId ? { accountId: user.accountId } : { name: user.name };
+      }
+      await axios.put(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}/assignee`,
+        assignee,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        message: user ? `Assigned ${ticketKey} to ${user.displayName}` : `Unassigned ${ticketKey}`
+      };
+    } catch (error) {
+      console.error('Error assigning Jira ticket:', error.response?.data || error.message);
+      throw new Error(`Failed to assign Jira ticket: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  async addJiraComment(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey, body } = params;
+
+      const response = await axios.post(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}/comment`,
+        { body },
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        commentId: response.data.id,
+        message: `Commented on ${ticketKey}`
+      };
+    } catch (error) {
+      console.error('Error commenting on Jira ticket:', error.response?.data || error.message);
+      throw new Error(`Failed to comment on Jira ticket: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Fields that can be edited on an issue, with their allowed values, from editmeta
+  async getJiraEditFields(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey } = params;
+
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}/editmeta`,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        fields: Object.entries(response.data.fields || {}).map(([fieldId, field]) => ({
+          fieldId,
+          name: field.name,
+          schema: field.schema || {},
+          allowedValues: (field.allowedValues || []).map(value => ({
+            id: value.id,
+            name: value.name || value.value || value.id
+          }))
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira edit fields:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira edit fields: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Set fields on an issue; fields are in Jira's format, e.g. { priority: { name: 'High' } }
+  async updateJiraFields(baseUrl, username, apiToken, params) {
+    try {
+      const { ticketKey, fields } = params;
+
+      await axios.put(
+        `${baseUrl}/rest/api/2/issue/${encodeURIComponent(ticketKey)}`,
+        { fields },
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        message: `Updated ${Object.keys(fields).join(', ')} on ${ticketKey}`
+      };
+    } catch (error) {
+      console.error('Error updating Jira ticket:', error.response?.data || error.message);
+
+      let errorMessage = error.response?.data?.errorMessages?.join(', ') || error.message;
+      if (error.response?.data?.errors && Object.keys(error.response.data.errors).length > 0) {
+        errorMessage = Object.entries(error.response.data.errors)
+          .map(([field, msg]) => `${field}: ${msg}`)
+          .join(', ');
+      }
+      throw new Error(`Failed to update Jira ticket: ${errorMessage}`);
+    }
+  }
+
+  async getJiraLinkTypes(baseUrl, username, apiToken, params) {
+    try {
+      const response = await axios.get(
+        `${baseUrl}/rest/api/2/issueLinkType`,
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          }
+        }
+      );
+
+      return {
+        success: true,
+        linkTypes: response.data.issueLinkTypes.map(linkType => ({
+          id: linkType.id,
+          name: linkType.name,
+          inward: linkType.inward,
+          outward: linkType.outward
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting Jira link types:', error.response?.data || error.message);
+      throw new Error(`Failed to get Jira link types: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  // Link two issues so that fromKey <outward description> toKey, e.g. PROJ-1 blocks PROJ-2
+  async linkJiraIssues(baseUrl, username, apiToken, params) {
+    try {
+      const { linkType, fromKey, toKey } = params;
+
+      await axios.post(
+        `${baseUrl}/rest/api/2/issueLink`,
+        {
+          type: { name: linkType },
+          inwardIssue: { key: fromKey },
+          outwardIssue: { key: toKey }
+        },
+        {
+          auth: {
+            username: username,
+            password: apiToken
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        message: `Linked ${fromKey} to ${toKey} (${linkType})`
+      };
+    } catch (error) {
+      console.error('Error linking Jira issues:', error.response?.data || error.message);
+      throw new Error(`Failed to link Jira issues: ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
   // GitHub Integration (placeholder)
   githubIntegration = async (action, params, teamId) => {
     const credentials = await redisService.getCredentials(teamId, 'github');
@@ -0,0 +1,188 @@
+const integrationService = require('./integrationService');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Assignee values that clear the assignee
+const UNASSIGNED = ['unassigned', 'unassign', 'none', 'nobody'];
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+/** How a transition is listed: its name, with the status it leads to when that differs */
+function transitionLabel(transition) {
+  return transition.name === transition.to ? transition.name : `${transition.name} (→ ${transition.to})`;
+}
+
+/** Match a transition by its name or by the status it leads to */
+function findTransition(transitions, wanted) {
+  const target = normalize(wanted);
+  return transitions.find((transition) => normalize(transition.name) === target) ||
+    transitions.find((transition) => normalize(transition.to) === target) ||
+    null;
+}
+
+/**
+ * Move an issue by transition name or target status. When nothing matches, resolves
+ * with the transitions the issue can take so the user can pick one.
+ */
+async function transitionTicket(teamId, ticketKey, transition) {
+  const { transitions } = await integrationService.handleIntegration('jira', 'get_transitions', { ticketKey }, teamId);
+  const match = transition ? findTransition(transitions, transition) : null;
+  if (!match) {
+    return {
+      success: false,
+      error: transition
+        ? `${ticketKey} can't be moved to "${transition}" from its current status`
+        : `Choose a transition for ${ticketKey}`,
+      availableTransitions: transitions.map(transitionLabel),
+    };
+  }
+
+  await integrationService.handleIntegration('jira', 'transition_ticket', { ticketKey, transitionId: match.id }, teamId);
+  logger.info('Transitioned Jira issue:', { ticketKey, transition: match.name });
+  return { success: true, message: `Moved ${ticketKey} to ${match.to}` };
+}
+
+/** Find a Slack user's Jira account by their Slack email address */
+async function jiraUserForSlackUser(slackClient, teamId, userId) {
+  const info = await slackClient.users.info({ user: userId });
+  const email = info.user?.profile?.email;
+  if (!email) {
+    throw new Error('The Slack profile has no email address to match to a Jira account');
+  }
+
+  const { user } = await integrationService.handleIntegration('jira', 'find_user', { query: email }, teamId);
+  if (!user) {
+    throw new Error(`No Jira account was found for ${email}`);
+  }
+  return user;
+}
+
+/**
+ * The Jira user for an assignee as written in Slack: "me", a Slack mention, an email
+ * address or a name. Resolves with null for "unassigned".
+ */
+async function resolveAssignee(slackClient, teamId, assignee, slackUserId) {
+  const wanted = normalize(assignee);
+  if (UNASSIGNED.includes(wanted)) return null;
+  if (wanted === 'me' || wanted === 'myself') {
+    return await jiraUserForSlackUser(slackClient, teamId, slackUserId);
+  }
+
+  const mention = String(assignee).match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/i);
+  if (mention) {
+    return await jiraUserForSlackUser(slackClient, teamId, mention[1]);
+  }
+
+  const { user } = await integrationService.handleIntegration('jira', 'find_user', { query: String(assignee).trim() }, teamId);
+  if (!user) {
+    throw new Error(`No single Jira user matches "${assignee}"`);
+  }
+  return user;
+}
+
+/** Assign an issue to "me", a Slack mention, an email address or a name, or unassign it */
+async function assignTicket(slackClient, teamId, ticketKey, assignee, slackUserId) {
+  const user = await resolveAssignee(slackClient, teamId, assignee, slackUserId);
+  return await integrationService.handleIntegration('jira', 'assign_ticket', { ticketKey, user }, teamId);
+}
+
+/** Comment on an issue for a Slack user. Comments are posted by the Jira integration account, so they name the author. */
+async function commentAsSlackUser(slackClient, teamId, ticketKey, userId, text) {
+  const info = await slackClient.users.info({ user: userId });
+  // Underscores would end the italic footer early, so they're dropped from the name
+  const authorName = String(info.user?.real_name || info.user?.name || userId).replace(/[_\n]+/g, ' ').trim();
+  return await integrationService.handleIntegration('jira', 'add_comment', {
+    ticketKey,
+    body: `${text}\n\n_Posted from Slack by ${authorName}_`,
+  }, teamId);
+}
+
+/**
+ * Whether a comment body was posted from Slack by commentAsSlackUser. Only the start of
+ * the footer is matched, so any author name (and the italics dropped from ADF bodies) fits.
+ */
+function isSlackComment(body) {
+  return /(?:^|\n)_?Posted from Slack by [^\n]+$/.test(String(body || '').trimEnd());
+}
+
+/**
+ * Jira fields for simple changes: { summary, description, priority (name), labels,
+ * dueDate (YYYY-MM-DD or null to clear) }. Unset changes are left alone.
+ */
+function fieldChanges(changes) {
+  const fields = {};
+  if (changes.summary) fields.summary = changes.summary;
+  if (changes.description !== undefined && changes.description !== null) fields.description = changes.description;
+  if (changes.priority) fields.priority = { name: changes.priority };
+  if (Array.isArray(changes.labels)) fields.labels = changes.labels.map((label) => String(label).trim().replace(/\s+/g, '-')).filter(Boolean);
+  if (changes.dueDate !== undefined) fields.duedate = changes.dueDate || null;
+  return fields;
+}
+
+/** Update an issue's summary, description, priority, labels or due date */
+async function updateFields(teamId, ticketKey, changes) {
+  const fields = fieldChanges(changes);
+  if (Object.keys(fields).length === 0) {
+    return { success: false, error: 'Nothing to update. Give a summary, description, priority, labels or due date.' };
+  }
+  return await integrationService.handleIntegration('jira', 'update_fields', { ticketKey, fields }, teamId);
+}
+
+/** The relationships issues can have, e.g. "blocks" and "is blocked by", from the site's link types */
+async function linkRelationships(teamId) {
+  const { linkTypes } = await integrationService.handleIntegration('jira', 'get_link_types', {}, teamId);
+  const relationships = [];
+  for (const linkType of linkTypes) {
+    relationships.push({ phrase: linkType.outward, linkType: linkType.name, outward: true });
+    if (normalize(linkType.inward) !== normalize(linkType.outward)) {
+      relationships.push({ phrase: linkType.inward, linkType: linkType.name, outward: false });
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Link an issue to another so that "ticketKey <relationship> otherKey" holds, e.g.
+ * PROJ-1 blocks PROJ-2. The relationship is a link type's outward or inward phrase,
+ * or its name. When nothing matches, resolves with the relationships available.
+ */
+async function linkIssues(teamId, ticketKey, relationship, otherKey) {
+  const relationships = await linkRelationships(teamId);
+  const wanted = normalize(relationship);
+  const match = relationships.find((candidate) => normalize(candidate.phrase) === wanted) ||
+    relationships.find((candidate) => candidate.outward && normalize(candidate.linkType) === wanted);
+  if (!match) {
+    return {
+      success: false,
+      error: `"${relationship}" is not a link type on this Jira site`,
+      availableRelationships: relationships.map((candidate) => candidate.phrase),
+    };
+  }
+
+  await integrationService.handleIntegration('jira', 'link_issues', {
+    linkType: match.linkType,
+    fromKey: match.outward ? ticketKey : otherKey,
+    toKey: match.outward ? otherKey : ticketKey,
+  }, teamId);
+  logger.info('Linked Jira issues:', { ticketKey, relationship: match.phrase, otherKey });
+  return { success: true, message: `${ticketKey} ${match.phrase} ${otherKey}` };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  transitionTicket,
+  jiraUserForSlackUser,
+  assignTicket,
+  commentAsSlackUser,
+  isSlackComment,
+  updateFields,
+  linkRelationships,
+  linkIssues,
+};
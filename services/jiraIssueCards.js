@@ -0,0 +1,350 @@
+const redisService = require('./redisService');
+const integrationService = require('./integrationService');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Issue links in one message that are unfurled; Slack sends at most this many anyway
+const MAX_UNFURLS = 5;
+
+// Slack allows 100 options in a static_select
+const MAX_TRANSITIONS = 100;
+
+/**
+ * The issue key in a link to the team's Jira site, e.g. .../browse/KEY-123, or null
+ * for links elsewhere, which the saved credentials can't read.
+ */
+function issueKeyFromLink(url, baseUrl) {
+  try {
+    const link = new URL(url);
+    if (link.hostname.toLowerCase() !== new URL(baseUrl).hostname.toLowerCase()) return null;
+    const match = link.pathname.match(/\/browse\/([A-Z][A-Z0-9_]*-\d+)\/?$/i);
+    return match ? match[1].toUpperCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** An issue and the transitions it can take, as shown on its card */
+async function loadIssue(teamId, ticketKey) {
+  const [{ ticket }, { transitions }] = await Promise.all([
+    integrationService.handleIntegration('jira', 'get_ticket', { ticketKey }, teamId),
+    integrationService.handleIntegration('jira', 'get_transitions', { ticketKey }, teamId),
+  ]);
+  return { ...ticket, transitions };
+}
+
+/**
+ * Unfurls for the Jira issue links shared in a message, keyed by URL as
+ * chat.unfurl expects. Links that aren't issues on the team's Jira site are skipped.
+ */
+async function unfurlLinks(teamId, links) {
+  const credentials = await redisService.getCredentials(teamId, 'jira');
+  if (!credentials) return {};
+
+  const unfurls = {};
+  const issueLinks = links
+    .map((link) => ({ url: link.url, ticketKey: issueKeyFromLink(link.url, credentials.baseUrl) }))
+    .filter((link) => link.ticketKey)
+    .slice(0, MAX_UNFURLS);
+
+  await Promise.all(issueLinks.map(async (link) => {
+    try {
+      unfurls[link.url] = { blocks: issueCardBlocks(await loadIssue(teamId, link.ticketKey)) };
+    } catch (error) {
+      // Leave the link as is; one unreadable issue shouldn't block the others
+      logger.error(`Error unfurling ${link.ticketKey}:`, error.message);
+    }
+  }));
+  return unfurls;
+}
+
+// ============================================================================
+// UI COMPONENTS - ISSUE CARD
+// ============================================================================
+
+/**
+ * Issue card: summary, status, assignee, priority and type, with a transition
+ * menu, "Assign to me" and "Comment" buttons, and edit and link actions
+ */
+function issueCardBlocks(issue) {
+  const actions = [];
+  if (issue.transitions.length > 0) {
+    actions.push({
+      type: 'static_select',
+      action_id: 'jira_issue_transition',
+      placeholder: { type: 'plain_text', text: 'Move to...' },
+      options: issue.transitions.slice(0, MAX_TRANSITIONS).map((transition) => ({
+        text: { type: 'plain_text', text: (transition.name === transition.to ? transition.name : `${transition.name} → ${transition.to}`).substring(0, 75) },
+        value: JSON.stringify({ key: issue.key, transitionId: transition.id }),
+      })),
+    });
+  }
+  actions.push(
+    {
+      type: 'button',
+      text: { type: 'plain_text', text: '🙋 Assign to me' },
+      action_id: 'jira_issue_assign_me',
+      value: issue.key,
+    },
+    {
+      type: 'button',
+      text: { type: 'plain_text', text: '💬 Comment' },
+      action_id: 'jira_issue_comment',
+      value: issue.key,
+    },
+    {
+      type: 'overflow',
+      action_id: 'jira_issue_more',
+      options: [
+        {
+          text: { type: 'plain_text', text: '✏️ Edit fields' },
+          value: JSON.stringify({ key: issue.key, action: 'edit' }),
+        },
+        {
+          text: { type: 'plain_text', text: '🔗 Link issue' },
+          value: JSON.stringify({ key: issue.key, action: 'link' }),
+        },
+      ],
+    }
+  );
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🎫 *<${issue.url}|${issue.key}>* ${issue.summary}`,
+      },
+      fields: [
+        { type: 'mrkdwn', text: `*Status:*\n${issue.status}` },
+        { type: 'mrkdwn', text: `*Assignee:*\n${issue.assignee}` },
+        { type: 'mrkdwn', text: `*Priority:*\n${issue.priority}` },
+        { type: 'mrkdwn', text: `*Type:*\n${issue.issueType || 'Issue'}` },
+      ],
+    },
+    {
+      type: 'actions',
+      block_id: `jira_issue_actions:${issue.key}`,
+      elements: actions,
+    },
+  ];
+}
+
+/**
+ * Comment on Jira Issue Modal
+ */
+function commentModal(metadata) {
+  return {
+    type: 'modal',
+    callback_id: 'jira_issue_comment',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Comment on Issue' },
+    submit: { type: 'plain_text', text: 'Comment' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'jira_comment',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'comment_input',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: `Add a comment to ${metadata.ticketKey}` },
+        },
+        label: { type: 'plain_text', text: 'Comment' },
+      },
+    ],
+  };
+}
+
+/**
+ * Edit Jira Issue Modal. Only fields the issue's edit screen has are shown.
+ */
+function editIssueModal(issue, editFields, metadata) {
+  const editable = new Map(editFields.map((field) => [field.fieldId, field]));
+  const blocks = [];
+
+  if (editable.has('summary')) {
+    blocks.push({
+      type: 'input',
+      block_id: 'jira_edit_summary',
+      element: {
+        type: 'plain_text_input',
+        action_id: 'summary_input',
+        max_length: 250,
+        initial_value: issue.summary.substring(0, 250),
+      },
+      label: { type: 'plain_text', text: 'Summary' },
+    });
+  }
+
+  const priorities = editable.get('priority')?.allowedValues || [];
+  if (priorities.length > 0) {
+    const priorityOption = (priority) => ({ text: { type: 'plain_text', text: priority.name.substring(0, 75) }, value: priority.name.substring(0, 150) });
+    const current = priorities.find((priority) => priority.name === issue.priority);
+    blocks.push({
+      type: 'input',
+      block_id: 'jira_edit_priority',
+      optional: true,
+      element: {
+        type: 'static_select',
+        action_id: 'priority_input',
+        options: priorities.slice(0, 100).map(priorityOption),
+        ...(current ? { initial_option: priorityOption(current) } : {}),
+      },
+      label: { type: 'plain_text', text: 'Priority' },
+    });
+  }
+
+  if (editable.has('labels')) {
+    blocks.push({
+      type: 'input',
+      block_id: 'jira_edit_labels',
+      optional: true,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'labels_input',
+        placeholder: { type: 'plain_text', text: 'Comma-separated, e.g. backend, customer-reported' },
+        ...(issue.labels.length > 0 ? { initial_value: issue.labels.join(', ') } : {}),
+      },
+      label: { type: 'plain_text', text: 'Labels' },
+    });
+  }
+
+  if (editable.has('duedate')) {
+    blocks.push({
+      type: 'input',
+      block_id: 'jira_edit_due',
+      optional: true,
+      element: {
+        type: 'datepicker',
+        action_id: 'due_input',
+        ...(issue.dueDate ? { initial_date: issue.dueDate } : {}),
+      },
+      label: { type: 'plain_text', text: 'Due Date' },
+    });
+  }
+
+  if (blocks.length === 0) {
+    return issueActionStatusModal('Edit Issue', `You can't edit the summary, priority, labels or due date of ${issue.key}.`);
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'jira_issue_edit',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Edit Issue' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*<${issue.url}|${issue.key}>* ${issue.summary}` },
+      },
+      ...blocks,
+    ],
+  };
+}
+
+/** Changes from a submitted Edit Issue modal, as taken by jiraActions.updateFields */
+function readEditForm(view) {
+  const values = view.state.values;
+  const changes = {};
+  if (values.jira_edit_summary) changes.summary = values.jira_edit_summary.summary_input.value;
+  if (values.jira_edit_priority?.priority_input.selected_option) {
+    changes.priority = values.jira_edit_priority.priority_input.selected_option.value;
+  }
+  if (values.jira_edit_labels) {
+    changes.labels = (values.jira_edit_labels.labels_input.value || '').split(',');
+  }
+  if (values.jira_edit_due) changes.dueDate = values.jira_edit_due.due_input.selected_date || null;
+  return changes;
+}
+
+/**
+ * Link Jira Issue Modal
+ */
+function linkIssueModal(relationships, metadata) {
+  const seen = new Set();
+  const options = relationships
+    .filter((relationship) => !seen.has(relationship.phrase) && seen.add(relationship.phrase))
+    .slice(0, 100)
+    .map((relationship) => ({
+      text: { type: 'plain_text', text: relationship.phrase.substring(0, 75) },
+      value: relationship.phrase.substring(0, 150),
+    }));
+
+  return {
+    type: 'modal',
+    callback_id: 'jira_issue_link',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Link Issue' },
+    submit: { type: 'plain_text', text: 'Link' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'jira_link_relationship',
+        element: {
+          type: 'static_select',
+          action_id: 'relationship_input',
+          placeholder: { type: 'plain_text', text: `${metadata.ticketKey}...` },
+          options,
+        },
+        label: { type: 'plain_text', text: `${metadata.ticketKey}` },
+      },
+      {
+        type: 'input',
+        block_id: 'jira_link_other',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'other_input',
+          placeholder: { type: 'plain_text', text: 'Issue key, e.g. PROJ-123' },
+        },
+        label: { type: 'plain_text', text: 'Issue' },
+      },
+    ],
+  };
+}
+
+/** Relationship and other issue key from a submitted Link Issue modal */
+function readLinkForm(view) {
+  const values = view.state.values;
+  return {
+    relationship: values.jira_link_relationship.relationship_input.selected_option.value,
+    otherKey: (values.jira_link_other.other_input.value || '').trim().toUpperCase(),
+  };
+}
+
+/**
+ * Simple modal with a message, shown while an action on an issue runs and after
+ */
+function issueActionStatusModal(title, text) {
+  return {
+    type: 'modal',
+    callback_id: 'jira_issue_action_status',
+    title: { type: 'plain_text', text: title },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }],
+  };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  loadIssue,
+  unfurlLinks,
+  readEditForm,
+  readLinkForm,
+
+  // UI Components
+  issueCardBlocks,
+  commentModal,
+  editIssueModal,
+  linkIssueModal,
+  issueActionStatusModal,
+};
@@ -0,0 +1,511 @@
+const redisService = require('./redisService');
+const integrationService = require('./integrationService');
+const llmService = require('./llmService');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// createmeta is re-read from Jira at most this often per project and issue type
+const CREATEMETA_TTL_SECONDS = 10 * 60;
+
+// Slack shows at most 100 options per external_select response
+const MAX_OPTIONS = 100;
+
+// Fields the form always has, or that Jira fills in itself
+const BUILT_IN_FIELDS = ['project', 'issuetype', 'summary', 'description', 'reporter', 'attachment', 'issuelinks'];
+
+// Optional fields offered whenever the create screen has them, in this order
+const OPTIONAL_FIELDS = ['priority', 'components', 'labels'];
+
+// Issue type picked for a new form when the project has it
+const DEFAULT_ISSUE_TYPE = 'Task';
+
+// Jira rejects summaries over 255 characters
+const MAX_SUMMARY_LENGTH = 250;
+
+function createmetaKey(teamId, project, issueTypeId) {
+  return `jira_createmeta:${teamId}:${project}:${issueTypeId}`;
+}
+
+/** createmeta fields for a project and issue type, cached for a few minutes */
+async function getCreateFields(teamId, project, issueTypeId) {
+  const key = createmetaKey(teamId, project, issueTypeId);
+  try {
+    const cached = await redisService.get(key);
+    if (cached) return JSON.parse(cached);
+  } catch (error) {
+    logger.error('Error reading cached Jira createmeta:', error.message);
+  }
+
+  const result = await integrationService.handleIntegration('jira', 'get_create_fields', { project, issueTypeId }, teamId);
+  try {
+    await redisService.set(key, JSON.stringify(result.fields), CREATEMETA_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Error caching Jira createmeta:', error.message);
+  }
+  return result.fields;
+}
+
+/** How a createmeta field is entered in the modal, or null when the form can't set it */
+function fieldKind(field) {
+  if (field.fieldId === 'labels') return 'labels';
+  if (field.allowedValues.length > 0) {
+    return field.schema.type === 'array' ? 'multi_option' : 'option';
+  }
+
+  switch (field.schema.type) {
+    case 'string':
+      return /:textarea$/.test(field.schema.custom || '') ? 'textarea' : 'text';
+    case 'number':
+      return 'number';
+    case 'date':
+      return 'date';
+    case 'datetime':
+      return 'datetime';
+    default:
+      return null;
+  }
+}
+
+/**
+ * The fields to show for an issue type: priority, components and labels when the
+ * create screen has them, then every other required field without a default.
+ * unsupported lists required fields the form has no input for.
+ */
+function formFields(createFields) {
+  const fields = [];
+  const unsupported = [];
+
+  for (const field of createFields) {
+    if (BUILT_IN_FIELDS.includes(field.fieldId)) continue;
+    const required = field.required && !field.hasDefaultValue;
+    if (!required && !OPTIONAL_FIELDS.includes(field.fieldId)) continue;
+
+    const kind = fieldKind(field);
+    if (!kind) {
+      if (required) unsupported.push(field.name);
+      continue;
+    }
+    fields.push({ fieldId: field.fieldId, name: field.name, kind, required });
+  }
+
+  const order = (field) => (OPTIONAL_FIELDS.includes(field.fieldId) ? OPTIONAL_FIELDS.indexOf(field.fieldId) : OPTIONAL_FIELDS.length);
+  fields.sort((a, b) => order(a) - order(b));
+  return { fields, unsupported };
+}
+
+/** First line of the message, as a fallback summary */
+function fallbackSummary(text) {
+  return text.split('\n')[0].trim().substring(0, 120) || 'Issue from Slack';
+}
+
+/**
+ * Ask the model for an issue summary and description of the source message. Falls
+ * back to the message itself when the model can't be reached.
+ */
+async function draftIssue(text, options = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You draft Jira issues from Slack messages. Respond with a single JSON object {"summary": "...", "description": "..."}. ' +
+        'The summary is one line under 120 characters naming the problem or request. The description restates the details ' +
+        'someone working the issue needs, in plain text. Only use facts from the message.'
+    },
+    {
+      role: 'user',
+      content: text
+    }
+  ];
+
+  try {
+    const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0.2 });
+    const match = (completion.content || '').match(/\{[\s\S]*\}/);
+    const draft = match ? JSON.parse(match[0]) : {};
+    if (draft.summary) {
+      return { summary: String(draft.summary), description: String(draft.description || '') };
+    }
+  } catch (error) {
+    logger.error('Error drafting Jira issue, using the message as is:', error.message);
+  }
+
+  return { summary: fallbackSummary(text), description: text };
+}
+
+/**
+ * Pick an issue type for the form and load its fields. Resolves with the updated
+ * metadata; form values for fields the new issue type doesn't have are dropped.
+ */
+async function selectIssueType(metadata, issueTypeOption) {
+  const createFields = await getCreateFields(metadata.teamId, metadata.project, issueTypeOption.value);
+  const { fields, unsupported } = formFields(createFields);
+  return { ...metadata, issueType: issueTypeOption, fields, unsupported };
+}
+
+/** Pick a project for the form. The issue type has to be chosen again. */
+function selectProject(metadata, projectOption) {
+  return { ...metadata, project: projectOption.value, projectOption, issueType: null, fields: [], unsupported: [] };
+}
+
+/**
+ * Prepare a new form for a Slack message: the drafted summary and description,
+ * and the workspace's default project with its Task issue type when Jira has them.
+ * Resolves with { metadata, form }.
+ */
+async function initialForm(teamId, source) {
+  let metadata = {
+    teamId,
+    channelId: source.channelId,
+    threadTs: source.threadTs,
+    project: null,
+    projectOption: null,
+    issueType: null,
+    fields: [],
+    unsupported: [],
+  };
+
+  const draft = await draftIssue(source.text, { teamId });
+  const form = { summary: draft.summary.substring(0, MAX_SUMMARY_LENGTH), description: draft.description, fieldValues: {} };
+
+  const credentials = await redisService.getCredentials(teamId, 'jira');
+  if (credentials?.defaultProject) {
+    metadata = selectProject(metadata, { text: { type: 'plain_text', text: credentials.defaultProject }, value: credentials.defaultProject });
+    try {
+      const { issueTypes } = await integrationService.handleIntegration('jira', 'get_issue_types', { project: metadata.project }, teamId);
+      const issueType = issueTypes.find((type) => type.name === DEFAULT_ISSUE_TYPE);
+      if (issueType) {
+        metadata = await selectIssueType(metadata, issueTypeOptions([issueType])[0]);
+      }
+    } catch (error) {
+      // The user can still pick the project and issue type themselves
+      logger.error('Error preselecting Jira issue type:', error.message);
+    }
+  }
+
+  return { metadata, form };
+}
+
+/** Block id of an issue type or field input. Includes the selection so a new project or issue type starts empty. */
+function issueTypeBlockId(metadata) {
+  return `jira_issue_type:${metadata.project || ''}`;
+}
+
+function fieldBlockId(metadata, fieldId) {
+  return `jira_field:${metadata.project || ''}:${metadata.issueType?.value || ''}:${fieldId}`;
+}
+
+/** Read the modal's current inputs */
+function readForm(view, metadata) {
+  const values = view.state?.values || {};
+  const form = {
+    summary: values.jira_issue_summary?.summary_input?.value || '',
+    description: values.jira_issue_description?.description_input?.value || '',
+    fieldValues: {},
+  };
+
+  for (const field of metadata.fields) {
+    const state = Object.values(values[fieldBlockId(metadata, field.fieldId)] || {})[0];
+    if (state) form.fieldValues[field.fieldId] = state;
+  }
+  return form;
+}
+
+/** Validation errors for a submitted form, keyed by block id, or null */
+function formErrors(metadata) {
+  if (!metadata.issueType) {
+    return { [issueTypeBlockId(metadata)]: 'Choose an issue type' };
+  }
+  return null;
+}
+
+/** A field's input state as the value Jira expects, or undefined when empty */
+function jiraValue(field, state) {
+  switch (field.kind) {
+    case 'option':
+      return state.selected_option ? { id: state.selected_option.value } : undefined;
+    case 'multi_option':
+      return state.selected_options?.length ? state.selected_options.map((option) => ({ id: option.value })) : undefined;
+    case 'labels':
+      return state.selected_options?.length ? state.selected_options.map((option) => option.value) : undefined;
+    case 'number':
+      return state.value ? Number(state.value) : undefined;
+    case 'date':
+      return state.selected_date || undefined;
+    case 'datetime':
+      return state.selected_date_time
+        ? new Date(state.selected_date_time * 1000).toISOString().replace('Z', '+0000')
+        : undefined;
+    default:
+      return state.value || undefined;
+  }
+}
+
+/** Fields for the create request from the form, in Jira's format */
+function issueFields(metadata, form) {
+  const fields = {};
+  for (const field of metadata.fields) {
+    const state = form.fieldValues[field.fieldId];
+    const value = state ? jiraValue(field, state) : undefined;
+    if (value !== undefined) fields[field.fieldId] = value;
+  }
+  return fields;
+}
+
+/** Create the issue from a submitted form. Resolves with the create_ticket result. */
+async function createIssue(metadata, form) {
+  return await integrationService.handleIntegration('jira', 'create_ticket', {
+    project: metadata.project,
+    issueTypeId: metadata.issueType.value,
+    summary: form.summary,
+    description: form.description,
+    fields: issueFields(metadata, form)
+  }, metadata.teamId);
+}
+
+// ============================================================================
+// UI COMPONENTS - CREATE ISSUE MODAL
+// ============================================================================
+
+function option(text, value) {
+  return { text: { type: 'plain_text', text: text.substring(0, 75) }, value: String(value).substring(0, 150) };
+}
+
+function matches(text, query) {
+  return text.toLowerCase().includes((query || '').trim().toLowerCase());
+}
+
+/** Options for the project picker */
+function projectOptions(projects) {
+  return projects.slice(0, MAX_OPTIONS).map((project) => option(`${project.name} (${project.key})`, project.key));
+}
+
+/** Options for the issue type picker, filtered by what the user typed */
+function issueTypeOptions(issueTypes, query) {
+  return issueTypes
+    .filter((issueType) => matches(issueType.name, query))
+    .slice(0, MAX_OPTIONS)
+    .map((issueType) => option(issueType.name, issueType.id));
+}
+
+/** Options for the field input in blockId that has allowed values, like priority or components */
+async function fieldOptions(metadata, blockId, query) {
+  const formField = metadata.fields.find((candidate) => fieldBlockId(metadata, candidate.fieldId) === blockId);
+  if (!formField) return [];
+
+  const createFields = await getCreateFields(metadata.teamId, metadata.project, metadata.issueType.value);
+  const field = createFields.find((candidate) => candidate.fieldId === formField.fieldId);
+  if (!field) return [];
+  return field.allowedValues
+    .filter((value) => matches(value.name, query))
+    .slice(0, MAX_OPTIONS)
+    .map((value) => option(value.name, value.id));
+}
+
+/** Label suggestions, with what the user typed first so new labels can be added */
+function labelOptions(labels, query) {
+  const typed = (query || '').trim().replace(/\s+/g, '-');
+  return Array.from(new Set([typed, ...labels].filter(Boolean)))
+    .slice(0, MAX_OPTIONS)
+    .map((label) => option(label, label));
+}
+
+/** The input element for a field, holding the value the user already entered */
+function fieldElement(field, state) {
+  const placeholder = { type: 'plain_text', text: `Choose ${field.name.toLowerCase()}`.substring(0, 150) };
+  switch (field.kind) {
+    case 'option':
+      return {
+        type: 'external_select',
+        action_id: 'jira_field_options',
+        min_query_length: 0,
+        placeholder,
+        ...(state?.selected_option ? { initial_option: state.selected_option } : {}),
+      };
+    case 'multi_option':
+    case 'labels':
+      return {
+        type: 'multi_external_select',
+        action_id: field.kind === 'labels' ? 'jira_labels_search' : 'jira_field_options',
+        min_query_length: field.kind === 'labels' ? 1 : 0,
+        placeholder,
+        ...(state?.selected_options?.length ? { initial_options: state.selected_options } : {}),
+      };
+    case 'number':
+      return {
+        type: 'number_input',
+        action_id: 'jira_field_input',
+        is_decimal_allowed: true,
+        ...(state?.value ? { initial_value: state.value } : {}),
+      };
+    case 'date':
+      return {
+        type: 'datepicker',
+        action_id: 'jira_field_input',
+        ...(state?.selected_date ? { initial_date: state.selected_date } : {}),
+      };
+    case 'datetime':
+      return {
+        type: 'datetimepicker',
+        action_id: 'jira_field_input',
+        ...(state?.selected_date_time ? { initial_date_time: state.selected_date_time } : {}),
+      };
+    default:
+      return {
+        type: 'plain_text_input',
+        action_id: 'jira_field_input',
+        multiline: field.kind === 'textarea',
+        ...(state?.value ? { initial_value: state.value } : {}),
+      };
+  }
+}
+
+/**
+ * Create Jira Issue Modal. Project and issue type reload the modal when picked so
+ * the issue type's fields from createmeta can be shown.
+ */
+function createIssueModal(metadata, form, error = null) {
+  const blocks = [];
+
+  if (error) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `❌ ${error}` }],
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'input',
+      block_id: 'jira_issue_project',
+      dispatch_action: true,
+      element: {
+        type: 'external_select',
+        action_id: 'jira_issue_project_search',
+        min_query_length: 0,
+        placeholder: { type: 'plain_text', text: 'Search projects' },
+        ...(metadata.projectOption ? { initial_option: metadata.projectOption } : {}),
+      },
+      label: { type: 'plain_text', text: 'Project' },
+    },
+    {
+      type: 'input',
+      block_id: issueTypeBlockId(metadata),
+      dispatch_action: true,
+      element: {
+        type: 'external_select',
+        action_id: 'jira_issue_type_search',
+        min_query_length: 0,
+        placeholder: { type: 'plain_text', text: metadata.project ? 'Select an issue type' : 'Choose a project first' },
+        ...(metadata.issueType ? { initial_option: metadata.issueType } : {}),
+      },
+      label: { type: 'plain_text', text: 'Issue Type' },
+    },
+    {
+      type: 'input',
+      block_id: 'jira_issue_summary',
+      element: {
+        type: 'plain_text_input',
+        action_id: 'summary_input',
+        max_length: MAX_SUMMARY_LENGTH,
+        ...(form.summary ? { initial_value: form.summary } : {}),
+      },
+      label: { type: 'plain_text', text: 'Summary' },
+    },
+    {
+      type: 'input',
+      block_id: 'jira_issue_description',
+      optional: true,
+      element: {
+        type: 'plain_text_input',
+        action_id: 'description_input',
+        multiline: true,
+        ...(form.description ? { initial_value: form.description.substring(0, 3000) } : {}),
+      },
+      label: { type: 'plain_text', text: 'Description' },
+    }
+  );
+
+  metadata.fields.forEach((field) => {
+    blocks.push({
+      type: 'input',
+      block_id: fieldBlockId(metadata, field.fieldId),
+      optional: !field.required,
+      element: fieldElement(field, form.fieldValues[field.fieldId]),
+      label: { type: 'plain_text', text: field.name.substring(0, 2000) },
+    });
+  });
+
+  if (metadata.unsupported.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `⚠️ This issue type also requires ${metadata.unsupported.join(', ')}, which can't be set here. Jira may reject the issue.`,
+        },
+      ],
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'jira_create_issue',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Create Jira Issue' },
+    submit: { type: 'plain_text', text: 'Create' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks,
+  };
+}
+
+/**
+ * Simple modal with a message, shown while the issue is drafted or created and after
+ */
+function issueStatusModal(text) {
+  return {
+    type: 'modal',
+    callback_id: 'jira_issue_status',
+    title: { type: 'plain_text', text: 'Create Jira Issue' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }],
+  };
+}
+
+/**
+ * "Create Jira issue" button added under the bot's replies
+ */
+function createIssueButtonBlock() {
+  return {
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '🎫 Create Jira issue' },
+        action_id: 'create_jira_issue_from_reply',
+        value: 'reply',
+      },
+    ],
+  };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  initialForm,
+  selectProject,
+  selectIssueType,
+  readForm,
+  formErrors,
+  createIssue,
+
+  // UI Components
+  projectOptions,
+  issueTypeOptions,
+  fieldOptions,
+  labelOptions,
+  createIssueModal,
+  issueStatusModal,
+  createIssueButtonBlock,
+};
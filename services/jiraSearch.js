@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const integrationService = require('./integrationService');
+const llmService = require('./llmService');
+const jiraActions = require('./jiraActions');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Issues shown per page in Slack; each page is fetched from Jira when it's shown
+const RESULTS_PAGE_SIZE = 10;
+
+// Searches stay pageable, and refinable from the thread, for an hour
+const SEARCH_TTL_SECONDS = 3600;
+
+// The site's JQL fields and the default project's statuses rarely change
+const GROUNDING_TTL_SECONDS = 60 * 60;
+
+// Fields listed for the model; sites with many custom fields have hundreds
+const MAX_PROMPT_FIELDS = 200;
+
+// Questions about the asker's own issues, which need their Jira account
+const REFERS_TO_ASKER = /\b(me|my|mine|myself|i)\b/i;
+
+function groundingKey(teamId, project) {
+  return `jira_jql_grounding:${teamId}:${project || '-'}`;
+}
+
+/**
+ * What the model needs to write JQL for this site: the default project, the fields
+ * and functions JQL accepts, and the default project's issue types and statuses.
+ * Cached per team; cache errors are tolerated.
+ */
+async function loadGrounding(teamId) {
+  const credentials = await redisService.getCredentials(teamId, 'jira');
+  if (!credentials) {
+    throw new Error('Jira credentials not configured. Please set up Jira integration first.');
+  }
+
+  const project = credentials.defaultProject || null;
+  const key = groundingKey(teamId, project);
+  try {
+    const cached = await redisService.get(key);
+    if (cached) return JSON.parse(cached);
+  } catch (error) {
+    logger.error('Error reading cached JQL grounding:', error.message);
+  }
+
+  const { fields, functions } = await integrationService.handleIntegration('jira', 'get_jql_reference', {}, teamId);
+  const grounding = { project, fields, functions, issueTypes: [], statuses: [] };
+  if (project) {
+    try {
+      const { issueTypes, statuses } = await integrationService.handleIntegration('jira', 'get_project_statuses', { project }, teamId);
+      grounding.issueTypes = issueTypes;
+      grounding.statuses = statuses;
+    } catch (error) {
+      // The field list is enough to write queries; statuses only sharpen them
+      logger.error('Error getting default project statuses:', error.message);
+    }
+  }
+
+  try {
+    await redisService.set(key, JSON.stringify(grounding), GROUNDING_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Error caching JQL grounding:', error.message);
+  }
+  return grounding;
+}
+
+/** Summarize the site's JQL fields and functions for the model */
+function groundingForPrompt(grounding) {
+  const fields = grounding.fields
+    .slice(0, MAX_PROMPT_FIELDS)
+    .map((field) => {
+      const label = field.displayName && field.displayName !== field.name ? ` (${field.displayName})` : '';
+      return `- ${field.name}${label}: ${field.operators.join(' ')}`;
+    })
+    .join('\n');
+
+  let text = `JQL fields on this site:\n${fields}\n\nJQL functions: ${grounding.functions.map((fn) => fn.name).join(', ')}`;
+  if (grounding.project) {
+    text += `\n\nDefault project: ${grounding.project}`;
+    if (grounding.issueTypes.length > 0) text += `\nIssue types in ${grounding.project}: ${grounding.issueTypes.join(', ')}`;
+    if (grounding.statuses.length > 0) text += `\nStatuses in ${grounding.project}: ${grounding.statuses.join(', ')}`;
+  }
+  return text;
+}
+
+/**
+ * How the asker is referred to in JQL. The saved credentials belong to the
+ * integration account, so currentUser() would mean that account, not the asker.
+ */
+async function askerForJql(slackClient, teamId, userId) {
+  if (!slackClient || !userId) return null;
+  try {
+    const user = await jiraActions.jiraUserForSlackUser(slackClient, teamId, userId);
+    return user.accountId || user.name;
+  } catch (error) {
+    logger.error('Error matching the Slack user to a Jira account:', error.message);
+    return null;
+  }
+}
+
+/** Tidy the model's JQL: code fences, a "JQL:" prefix and a trailing semicolon */
+function cleanJql(jql) {
+  const query = String(jql || '')
+    .replace(/```(?:jql|sql)?/gi, '')
+    .trim()
+    .replace(/^jql:\s*/i, '')
+    .replace(/;\s*$/, '')
+    .trim();
+  if (!query) {
+    throw new Error('Could not turn the question into a Jira search');
+  }
+  return query;
+}
+
+/**
+ * Ask the model to turn a question into JQL, grounded in the site's fields. With a
+ * previous search, the question is a follow-up that changes that search.
+ */
+async function generateJql(question, grounding, options = {}) {
+  let rules = 'Rules: write one JQL query using only the fields and functions listed. ' +
+    (grounding.project ? `Search only the ${grounding.project} project unless the question names other projects. ` : '') +
+    'Use the listed statuses and issue types as written. "Open" means statusCategory != Done. ' +
+    '"Current sprint" means sprint in openSprints(). Prefer relative dates such as -7d or startOfWeek(). ' +
+    'End with an ORDER BY clause that suits the question, defaulting to ORDER BY updated DESC. ' +
+    `Today is ${new Date().toISOString().split('T')[0]}.`;
+  rules += options.asker
+    ? ` "Me", "my" and "mine" mean the user "${options.asker}", e.g. assignee = "${options.asker}"; never use currentUser().`
+    : ' The asker\'s Jira account is unknown: leave out any condition about "me", "my" or "mine", and never use currentUser().';
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You translate questions about Jira issues into a single JQL query. ' +
+        'Respond with only the JQL query, no explanation or code fences.\n\n' +
+        `${groundingForPrompt(grounding)}\n\n${rules}`
+    }
+  ];
+
+  if (options.previous) {
+    messages.push(
+      { role: 'user', content: options.previous.question },
+      { role: 'assistant', content: options.previous.jql },
+      { role: 'user', content: `Change the previous query: ${question}` }
+    );
+  } else {
+    messages.push({ role: 'user', content: question });
+  }
+
+  const completion = await llmService.createCompletion(messages, {
+    teamId: options.teamId,
+    temperature: 0
+  });
+  return cleanJql(completion.content);
+}
+
+/** Fetch one page of a search's issues, keeping its total up to date */
+async function loadPage(searchState, page) {
+  const result = await integrationService.handleIntegration('jira', 'search_tickets', {
+    jql: searchState.jql,
+    startAt: page * RESULTS_PAGE_SIZE,
+    maxResults: RESULTS_PAGE_SIZE
+  }, searchState.teamId);
+  searchState.total = result.total;
+  return result.tickets;
+}
+
+/**
+ * Answer a question with a Jira search. Generates JQL, runs it and stores the search
+ * so it can be paged through and refined from the same conversation. With refine,
+ * the question changes the conversation's last search instead of starting over.
+ * Resolves with { searchState, tickets } for the first page.
+ */
+async function runQuestion(question, context, options = {}) {
+  const previous = options.refine ? await getLastSearch(context.teamId, context.channel, context.threadTs) : null;
+  const grounding = await loadGrounding(context.teamId);
+  const asker = await askerForJql(context.client, context.teamId, context.userId);
+
+  const jql = await generateJql(question, grounding, { teamId: context.teamId, asker, previous });
+  logger.info('Generated JQL:', jql);
+
+  const searchState = {
+    searchId: crypto.randomBytes(8).toString('hex'),
+    teamId: context.teamId,
+    userId: context.userId,
+    question: previous ? `${previous.question} → ${question}` : question,
+    jql,
+    total: 0,
+    // "Me" was left out of the search because the asker has no matching Jira account
+    askerUnmatched: !asker && (Boolean(previous?.askerUnmatched) || REFERS_TO_ASKER.test(question)),
+  };
+
+  let tickets;
+  try {
+    tickets = await loadPage(searchState, 0);
+  } catch (error) {
+    throw new Error(`${error.message}. The generated JQL was: ${jql}`);
+  }
+
+  await saveSearchState(searchState);
+  await saveLastSearch(context.teamId, context.channel, context.threadTs, searchState.searchId);
+  return { searchState, tickets };
+}
+
+/** Generate storage key for a stored search */
+function searchKey(searchId) {
+  return `jira_search:${searchId}`;
+}
+
+/** Generate storage key for the last search in a conversation */
+function lastSearchKey(teamId, channelId, threadTs) {
+  return `jira_search_last:${teamId}:${channelId}:${threadTs || 'main'}`;
+}
+
+async function saveSearchState(searchState) {
+  try {
+    await redisService.set(searchKey(searchState.searchId), JSON.stringify(searchState), SEARCH_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Error saving Jira search:', error);
+  }
+}
+
+async function getSearchState(searchId) {
+  try {
+    const data = await redisService.get(searchKey(searchId));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting Jira search:', error);
+    return null;
+  }
+}
+
+async function saveLastSearch(teamId, channelId, threadTs, searchId) {
+  try {
+    await redisService.set(lastSearchKey(teamId, channelId, threadTs), searchId, SEARCH_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Error saving last Jira search:', error);
+  }
+}
+
+/** The conversation's last search, or null when there is none or it has expired */
+async function getLastSearch(teamId, channelId, threadTs) {
+  try {
+    const searchId = await redisService.get(lastSearchKey(teamId, channelId, threadTs));
+    return searchId ? await getSearchState(searchId) : null;
+  } catch (error) {
+    logger.error('Error getting last Jira search:', error);
+    return null;
+  }
+}
+
+// ============================================================================
+// UI COMPONENTS - SEARCH RESULTS
+// ============================================================================
+
+/**
+ * Results list for a page of a search: the question and its JQL, one row per
+ * issue, and paging buttons
+ */
+function searchResultsBlocks(searchState, tickets, page = 0) {
+  const total = searchState.total;
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔎 *${total} Jira issue${total === 1 ? '' : 's'}* for _${searchState.question.substring(0, 2800)}_`,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `\`${searchState.jql.substring(0, 2900)}\``,
+        },
+      ],
+    },
+  ];
+
+  if (tickets.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'No matching issues.',
+      },
+    });
+  } else {
+    blocks.push({ type: 'divider' });
+    tickets.forEach((ticket) => {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*<${ticket.url}|${ticket.key}>* ${ticket.summary.substring(0, 250)}\n` +
+            `${ticket.status} · ${ticket.assignee} · ${ticket.priority}${ticket.issueType ? ` · ${ticket.issueType}` : ''}`,
+        },
+      });
+    });
+  }
+
+  const start = page * RESULTS_PAGE_SIZE;
+  const navigation = [];
+  if (page > 0) {
+    navigation.push({
+      type: 'button',
+      text: { type: 'plain_text', text: '◀ Previous' },
+      action_id: 'jira_search_prev',
+      value: JSON.stringify({ searchId: searchState.searchId, page: page - 1 }),
+    });
+  }
+  if (start + RESULTS_PAGE_SIZE < total) {
+    navigation.push({
+      type: 'button',
+      text: { type: 'plain_text', text: 'Next ▶' },
+      action_id: 'jira_search_next',
+      value: JSON.stringify({ searchId: searchState.searchId, page: page + 1 }),
+    });
+  }
+
+  if (searchState.askerUnmatched) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `⚠️ <@${searchState.userId}> couldn't be matched to a Jira account by their Slack email address, so "me" was left out of this search.`,
+        },
+      ],
+    });
+  }
+
+  const showing = tickets.length > 0 ? `Showing ${start + 1}–${start + tickets.length} of ${total}. ` : '';
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `${showing}Reply in this thread to refine the search, e.g. "only high priority" or "just the bugs".`,
+      },
+    ],
+  });
+  if (navigation.length > 0) {
+    blocks.push({ type: 'actions', block_id: 'jira_search_navigation', elements: navigation });
+  }
+
+  return blocks;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  runQuestion,
+  loadPage,
+  getSearchState,
+
+  // UI Components
+  searchResultsBlocks,
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const jiraActions = require('./jiraActions');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Section text is limited to 3000 characters
+const MAX_POSTED_COMMENT_LENGTH = 2800;
+
+/** Generate storage key for the issue a thread is synced with */
+function threadKey(teamId, channelId, threadTs) {
+  return `jira_thread:${teamId}:${channelId}:${threadTs}`;
+}
+
+/** Generate storage key for the thread an issue is synced with */
+function issueKey(teamId, ticketKey) {
+  return `jira_issue_thread:${teamId}:${ticketKey}`;
+}
+
+/**
+ * Sync a thread with the issue created from it: later replies become comments on
+ * the issue, and the issue's status changes and comments are posted to the thread.
+ * Direct messages stay private and aren't synced.
+ */
+async function linkThread(teamId, channelId, threadTs, ticketKey) {
+  if (!channelId || !threadTs || !ticketKey || channelId.startsWith('D')) return false;
+
+  try {
+    await redisService.set(threadKey(teamId, channelId, threadTs), ticketKey);
+    await redisService.set(issueKey(teamId, ticketKey), JSON.stringify({ channelId, threadTs }));
+    logger.info('Linked thread to Jira issue:', { teamId, channelId, threadTs, ticketKey });
+    return true;
+  } catch (error) {
+    logger.error('Error linking thread to Jira issue:', error);
+    return false;
+  }
+}
+
+/** The key of the issue a thread is synced with, or null */
+async function getThreadIssue(teamId, channelId, threadTs) {
+  try {
+    return await redisService.get(threadKey(teamId, channelId, threadTs));
+  } catch (error) {
+    logger.error('Error getting thread Jira issue:', error);
+    return null;
+  }
+}
+
+/** The { channelId, threadTs } an issue is synced with, or null */
+async function getIssueThread(teamId, ticketKey) {
+  try {
+    const data = await redisService.get(issueKey(teamId, ticketKey));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting Jira issue thread:', error);
+    return null;
+  }
+}
+
+/** Slack message text as plain text for Jira: mentions become names, links keep their URL */
+async function slackTextForJira(slackClient, text) {
+  const names = new Map();
+  for (const [, userId] of String(text).matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+    if (names.has(userId)) continue;
+    try {
+      const info = await slackClient.users.info({ user: userId });
+      names.set(userId, info.user?.real_name || info.user?.name || userId);
+    } catch (error) {
+      names.set(userId, userId);
+    }
+  }
+
+  return String(text)
+    .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (match, userId) => `@${names.get(userId)}`)
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+    .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+    .replace(/<(https?:[^>]+)>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Mirror a thread reply to the thread's issue as a comment with the author's name.
+ * Resolves with the issue key, or null when the thread isn't synced.
+ */
+async function mirrorReply(slackClient, teamId, event) {
+  if (!event.thread_ts || event.thread_ts === event.ts || !event.user || !event.text) return null;
+
+  const ticketKey = await getThreadIssue(teamId, event.channel, event.thread_ts);
+  if (!ticketKey) return null;
+
+  const text = await slackTextForJira(slackClient, event.text);
+  await jiraActions.commentAsSlackUser(slackClient, teamId, ticketKey, event.user, text);
+  logger.info('Mirrored thread reply to Jira issue:', { teamId, ticketKey, ts: event.ts });
+  return ticketKey;
+}
+
+// ============================================================================
+// JIRA WEBHOOK
+// ============================================================================
+
+/** Get the team's webhook token, creating it on first use */
+async function getWebhookToken(teamId) {
+  const key = `jira_webhook_token:${teamId}`;
+  let token = await redisService.get(key);
+  if (!token) {
+    token = crypto.randomBytes(24).toString('hex');
+    await redisService.set(key, token);
+  }
+  return token;
+}
+
+/** URL the Jira webhook posts to, or null without APP_BASE_URL */
+async function getWebhookUrl(teamId) {
+  if (!process.env.APP_BASE_URL) return null;
+  const token = await getWebhookToken(teamId);
+  return `${process.env.APP_BASE_URL.replace(/\/+$/, '')}/jira/webhook/${teamId}/${token}`;
+}
+
+/** Check a webhook token in constant time */
+async function verifyWebhookToken(teamId, token) {
+  const expected = await redisService.get(`jira_webhook_token:${teamId}`);
+  if (!expected || !token || expected.length !== token.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+/** Plain text of a comment body: wiki markup as is, or the text nodes of an ADF document */
+function commentText(body) {
+  if (typeof body === 'string') return body;
+  if (!body || typeof body !== 'object') return '';
+  if (body.type === 'text') return body.text || '';
+  const separator = ['doc', 'bulletList', 'orderedList'].includes(body.type) ? '\n' : '';
+  return (body.content || []).map(commentText).join(separator);
+}
+
+/**
+ * Slack message for a Jira webhook event: a status change or a new comment.
+ * Comments posted from Slack are skipped so replies don't echo back into the thread.
+ */
+function webhookMessage(payload, issueUrl) {
+  const ticketKey = payload.issue.key;
+  const link = `<${issueUrl}|${ticketKey}>`;
+
+  if (payload.webhookEvent === 'comment_created' && payload.comment) {
+    const body = commentText(payload.comment.body);
+    if (!body.trim() || jiraActions.isSlackComment(body)) return null;
+
+    const author = payload.comment.author?.displayName || 'Someone';
+    const quoted = body.substring(0, MAX_POSTED_COMMENT_LENGTH).split('\n').map((line) => `> ${line}`).join('\n');
+    return `💬 *${author}* commented on ${link}:\n${quoted}`;
+  }
+
+  if (payload.webhookEvent === 'jira:issue_updated') {
+    const statusChange = (payload.changelog?.items || []).find((item) => item.field === 'status');
+    if (!statusChange) return null;
+
+    const actor = payload.user?.displayName;
+    return `🔄 ${link} moved from *${statusChange.fromString}* to *${statusChange.toString}*${actor ? ` by ${actor}` : ''}`;
+  }
+
+  return null;
+}
+
+/**
+ * Post a Jira webhook event to the thread its issue is synced with. Events for
+ * issues without a thread, and other kinds of event, are ignored.
+ */
+async function handleWebhook(slackClient, teamId, payload) {
+  const ticketKey = payload?.issue?.key;
+  if (!ticketKey) return;
+
+  const thread = await getIssueThread(teamId, ticketKey);
+  if (!thread) return;
+
+  const credentials = await redisService.getCredentials(teamId, 'jira');
+  const issueUrl = credentials ? `${credentials.baseUrl.replace(/\/+$/, '')}/browse/${ticketKey}` : payload.issue.self;
+  const text = webhookMessage(payload, issueUrl);
+  if (!text) return;
+
+  await slackClient.chat.postMessage({
+    channel: thread.channelId,
+    thread_ts: thread.threadTs,
+    text,
+    unfurl_links: false,
+  });
+  logger.info('Posted Jira event to thread:', { teamId, ticketKey, event: payload.webhookEvent });
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  linkThread,
+  getThreadIssue,
+  mirrorReply,
+  getWebhookUrl,
+  verifyWebhookToken,
+  handleWebhook,
+};
@@ -0,0 +1,376 @@
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const redisService = require('./redisService');
+
+// Defaults for each supported provider. Anything here can be overridden by
+// LLM_* environment variables or by a team's saved model configuration.
+const PROVIDER_DEFAULTS = {
+  xai: {
+    baseUrl: 'https://api.x.ai/v1',
+    model: 'grok-2',
+    apiKeyEnv: 'XAI_API_KEY'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY'
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-sonnet-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY'
+  }
+};
+
+class LLMService {
+  constructor() {
+    // xAI speaks the OpenAI chat completions protocol, so it shares that adapter
+    this.providers = {
+      xai: this.openAICompatibleProvider,
+      openai: this.openAICompatibleProvider,
+      anthropic: this.anthropicProvider
+    };
+  }
+
+  // Get the names of the supported providers
+  getAvailableProviders() {
+    return Object.keys(this.providers);
+  }
+
+  // Resolve provider, model and parameters: built-in defaults < env < team config
+  async getConfig(teamId = null) {
+    let teamConfig = null;
+    if (teamId) {
+      teamConfig = await redisService.getLLMConfig(teamId);
+    }
+
+    const provider = teamConfig?.provider || process.env.LLM_PROVIDER || 'xai';
+    const defaults = PROVIDER_DEFAULTS[provider];
+    if (!defaults) {
+      throw new Error(`LLM provider '${provider}' not supported`);
+    }
+
+    // Env overrides only apply when the team hasn't picked a different provider
+    const useEnv = !teamConfig?.provider || teamConfig.provider === (process.env.LLM_PROVIDER || 'xai');
+    const env = useEnv ? process.env : {};
+
+    // A team's own endpoint only ever gets the team's own key, never the server's
+    const serverApiKey = teamConfig?.baseUrl ? null : (env.LLM_API_KEY || process.env[defaults.apiKeyEnv]);
+
+    return {
+      provider,
+      baseUrl: (teamConfig?.baseUrl || env.LLM_BASE_URL || defaults.baseUrl).replace(/\/+$/, ''),
+      model: teamConfig?.model || env.LLM_MODEL || defaults.model,
+      apiKey: teamConfig?.apiKey || serverApiKey || null,
+      maxTokens: parseInt(teamConfig?.maxTokens || env.LLM_MAX_TOKENS || 1000, 10),
+      temperature: parseFloat(teamConfig?.temperature ?? env.LLM_TEMPERATURE ?? 0.7),
+      timeout: parseInt(process.env.LLM_TIMEOUT_MS || 60000, 10)
+    };
+  }
+
+  // OpenAI-compatible chat completions (xAI, OpenAI, local stand-in servers)
+  openAICompatibleProvider = {
+    buildRequest: (config, messages, options) => ({
+      url: `${config.baseUrl}/chat/completions`,
+      headers: {
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model: config.model,
+        messages: this.toOpenAIMessages(messages),
+        max_tokens: options.maxTokens ?? config.maxTokens,
+        temperature: options.temperature ?? config.temperature,
+        ...(options.tools?.length ? {
+          tools: options.tools.map(tool => ({
+            type: 'function',
+            function: {
+              name: tool.name,
+              description: tool.description,
+              parameters: tool.parameters
+            }
+          })),
+          tool_choice: options.toolChoice || 'auto'
+        } : {})
+      }
+    }),
+
+    parseResponse: (data) => {
+      const message = data.choices?.[0]?.message || {};
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: this.parseToolArguments(call.function?.arguments)
+        }))
+      };
+    },
+
+    // Each SSE event carries a delta; the stream ends with "data: [DONE]"
+    parseStreamEvent: (event) => {
+      const delta = event.choices?.[0]?.delta || {};
+      return {
+        text: delta.content || '',
+        toolCallDeltas: (delta.tool_calls || []).map(call => ({
+          index: call.index,
+          id: call.id,
+          name: call.function?.name,
+          argumentsDelta: call.function?.arguments || ''
+        })),
+        done: false
+      };
+    }
+  }
+
+  // Anthropic Messages API
+  anthropicProvider = {
+    buildRequest: (config, messages, options) => {
+      const system = messages
+        .filter(msg => msg.role === 'system')
+        .map(msg => msg.content)
+        .join('\n\n');
+
+      return {
+        url: `${config.baseUrl}/messages`,
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          model: config.model,
+          ...(system ? { system } : {}),
+          messages: this.toAnthropicMessages(messages),
+          max_tokens: options.maxTokens ?? config.maxTokens,
+          temperature: options.temperature ?? config.temperature,
+          ...(options.tools?.length ? {
+            tools: options.tools.map(tool => ({
+              name: tool.name,
+              description: tool.description,
+              input_schema: tool.parameters
+            })),
+            tool_choice: { type: options.toolChoice || 'auto' }
+          } : {})
+        }
+      };
+    },
+
+    parseResponse: (data) => {
+      const blocks = data.content || [];
+      return {
+        content: blocks
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: block.input || {}
+          }))
+      };
+    },
+
+    parseStreamEvent: (event) => {
+      const toolCallDeltas = [];
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolCallDeltas.push({
+          index: event.index,
+          id: event.content_block.id,
+          name: event.content_block.name,
+          argumentsDelta: ''
+        });
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        toolCallDeltas.push({ index: event.index, argumentsDelta: event.delta.partial_json || '' });
+      }
+
+      return {
+        text: event.type === 'content_block_delta' && event.delta?.type === 'text_delta' ? event.delta.text : '',
+        toolCallDeltas,
+        done: event.type === 'message_stop'
+      };
+    }
+  }
+
+  // Tool call arguments arrive as a JSON string; tolerate empty or malformed payloads
+  parseToolArguments(raw) {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('Could not parse tool call arguments:', raw);
+      return {};
+    }
+  }
+
+  // Convert our message format (with toolCalls / role 'tool') to OpenAI's wire format
+  toOpenAIMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+      if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: JSON.stringify(call.arguments || {})
+            }
+          }))
+        };
+      }
+      return { role: msg.role, content: msg.content };
+    });
+  }
+
+  // Anthropic requires alternating user/assistant turns that start with the user,
+  // and carries tool calls and results as content blocks
+  toAnthropicMessages(messages) {
+    const turns = [];
+    for (const msg of messages) {
+      if (msg.role === 'system') continue;
+
+      let role = msg.role;
+      const blocks = [];
+      if (msg.role === 'tool') {
+        role = 'user';
+        blocks.push({ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content });
+      } else {
+        if (msg.content) {
+          blocks.push({ type: 'text', text: msg.content });
+        }
+        for (const call of msg.toolCalls || []) {
+          blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+        }
+      }
+      if (blocks.length === 0) continue;
+
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        turns.push({ role, content: blocks });
+      }
+    }
+
+    while (turns.length > 0 && turns[0].role !== 'user') {
+      turns.shift();
+    }
+    return turns;
+  }
+
+  // Run a chat completion against the configured provider.
+  // Resolves with { content, toolCalls } where toolCalls is [{ id, name, arguments }].
+  async createCompletion(messages, options = {}) {
+    const config = await this.getConfig(options.teamId);
+    const provider = this.providers[config.provider];
+
+    const request = provider.buildRequest(config, messages, options);
+    // Prompts carry conversation and CRM data, so only their size is logged
+    console.log(`LLM request (${config.provider}/${config.model}):`, messages.length, 'messages,', options.tools?.length || 0, 'tools');
+
+    try {
+      const response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: config.timeout
+      });
+
+      const completion = provider.parseResponse(response.data);
+      console.log('LLM response complete:', (completion.content || '').length, 'chars,', (completion.toolCalls || []).length, 'tool calls');
+      return completion;
+    } catch (error) {
+      console.error(`LLM API Error (${config.provider}):`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Run a streaming chat completion, calling onProgress with the text received so far
+  async streamCompletion(messages, options = {}, onProgress = () => {}) {
+    const config = await this.getConfig(options.teamId);
+    const provider = this.providers[config.provider];
+
+    const request = provider.buildRequest(config, messages, options);
+    request.body.stream = true;
+    console.log(`LLM streaming request (${config.provider}/${config.model})`);
+
+    let response;
+    try {
+      response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: config.timeout,
+        responseType: 'stream'
+      });
+    } catch (error) {
+      console.error(`LLM streaming API Error (${config.provider}):`, error.response?.status || error.message);
+      throw error;
+    }
+
+    let content = '';
+    let buffer = '';
+    let done = false;
+    // Keeps a multibyte character split across network chunks whole
+    const decoder = new StringDecoder('utf8');
+    const toolCallParts = new Map();
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        done = true;
+        return;
+      }
+
+      try {
+        const event = provider.parseStreamEvent(JSON.parse(payload));
+        if (event.text) {
+          content += event.text;
+          onProgress(content);
+        }
+        for (const delta of event.toolCallDeltas || []) {
+          const part = toolCallParts.get(delta.index) || { id: null, name: null, arguments: '' };
+          part.id = delta.id || part.id;
+          part.name = delta.name || part.name;
+          part.arguments += delta.argumentsDelta || '';
+          toolCallParts.set(delta.index, part);
+        }
+        if (event.done) {
+          done = true;
+        }
+      } catch (parseError) {
+        console.warn('Skipping unparseable stream event:', payload.substring(0, 200));
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+      if (done) break;
+    }
+    buffer += decoder.end();
+    if (buffer) {
+      handleLine(buffer);
+    }
+
+    const toolCalls = Array.from(toolCallParts.values()).map(part => ({
+      id: part.id,
+      name: part.name,
+      arguments: this.parseToolArguments(part.arguments)
+    }));
+
+    console.log('LLM streaming response complete:', content.length, 'chars,', toolCalls.length, 'tool calls');
+    return { content, toolCalls };
+  }
+}
+
+module.exports = new LLMService();
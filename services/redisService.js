@@ -1,5 +1,8 @@
 const Redis = require('ioredis');
 
+// Reserved user id for the workspace-wide Salesforce connection (Slack user ids start with U or W)
+const WORKSPACE_SALESFORCE_USER = 'workspace';
+
 class RedisService {
   constructor() {
     this.client = null;
@@ -535,6 +538,60 @@ class RedisService {
     }
   }
 
+  // Team LLM Configuration Management
+  async saveLLMConfig(teamId, configData) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot save LLM config.');
+      return false;
+    }
+    try {
+      const key = `llm_config:${teamId}`;
+
+      const configWithMetadata = {
+        ...configData,
+        teamId: teamId,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.client.set(key, JSON.stringify(configWithMetadata), 'EX', 86400 * 365); // 1 year TTL
+      console.log(`Saved LLM config for team: ${teamId}`);
+      return true;
+    } catch (error) {
+      console.error('Error saving LLM config:', error);
+      return false;
+    }
+  }
+
+  async getLLMConfig(teamId) {
+    if (!this.isConnected) {
+      return null;
+    }
+    try {
+      const key = `llm_config:${teamId}`;
+      const data = await this.client.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error getting LLM config:', error);
+      return null;
+    }
+  }
+
+  async deleteLLMConfig(teamId) {
+    if (!this.isConnected) {
+      console.warn('Redis not connected, cannot delete LLM config.');
+      return false;
+    }
+    try {
+      const key = `llm_config:${teamId}`;
+      await this.client.del(key);
+      console.log(`Deleted LLM config for team: ${teamId}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting LLM config:', error);
+      return false;
+    }
+  }
+
   // Salesforce Integration Management
   async saveSalesforceTokens(teamId, userId, tokenData) {
     if (!this.isConnected) {
@@ -592,6 +649,20 @@ class RedisService {
     }
   }
 
+  // Workspace Salesforce connection (an integration user set up by an admin). Stored
+  // like a user's tokens under a reserved id, so token refresh saves it back the same way.
+  async saveWorkspaceSalesforceTokens(teamId, tokenData) {
+    return this.saveSalesforceTokens(teamId, WORKSPACE_SALESFORCE_USER, tokenData);
+  }
+
+  async getWorkspaceSalesforceTokens(teamId) {
+    return this.getSalesforceTokens(teamId, WORKSPACE_SALESFORCE_USER);
+  }
+
+  async deleteWorkspaceSalesforceTokens(teamId) {
+    return this.deleteSalesforceTokens(teamId, WORKSPACE_SALESFORCE_USER);
+  }
+
   // Health check
   async healthCheck() {
     if (this.isMock) return true;
@@ -624,6 +695,25 @@ class RedisService {
     }
   }
 
+  // Set a key only if it doesn't exist (SET NX), with an optional TTL set in the same
+  // command. Resolves true when this call created the key, so it can serve as a claim or lock.
+  async setIfAbsent(key, value, ttl) {
+    if (this.isMock) {
+      console.log(`Mock Redis - setIfAbsent key: ${key}`);
+      return Promise.resolve(true);
+    }
+    
+    try {
+      const result = ttl
+        ? await this.client.set(key, value, 'EX', ttl, 'NX')
+        : await this.client.set(key, value, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.error('Error setting key if absent:', error);
+      throw error;
+    }
+  }
+
   async get(key) {
     if (this.isMock) {
       console.log(`Mock Redis - get key: ${key}`);
@@ -638,6 +728,20 @@ class RedisService {
     }
   }
 
+  async del(key) {
+    if (this.isMock) {
+      console.log(`Mock Redis - del key: ${key}`);
+      return Promise.resolve(1);
+    }
+    
+    try {
+      return await this.client.del(key);
+    } catch (error) {
+      console.error('Error deleting key:', error);
+      throw error;
+    }
+  }
+
   async incr(key) {
     if (this.isMock) {
       console.log(`Mock Redis - incr key: ${key}`);
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const entityExtractor = require('./entityExtractor');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Drafts expire if nobody confirms them within a day
+const DRAFT_TTL_SECONDS = 24 * 3600;
+
+/** Generate storage key for a pending Salesforce record draft in a conversation */
+function draftKey(teamId, channelId, threadTs) {
+  return `salesforce_draft:${teamId}:${channelId}:${threadTs || 'main'}`;
+}
+
+/** Get the pending draft for a conversation */
+async function getDraft(teamId, channelId, threadTs) {
+  try {
+    const data = await redisService.get(draftKey(teamId, channelId, threadTs));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting Salesforce draft:', error);
+    return null;
+  }
+}
+
+/** A new id for a draft's contents; cards carry it so a stale card can't act on a newer draft */
+function newDraftId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Save a draft; status is 'collecting' while required fields are missing, then 'confirming'.
+ * A draft keeps its id across saves; pass a new one when the fields shown on its card change.
+ */
+async function saveDraft(draft) {
+  try {
+    const missing = entityExtractor.validate(draft.objectType, draft.fields).missing;
+    const savedDraft = {
+      ...draft,
+      draftId: draft.draftId || newDraftId(),
+      missing: missing,
+      status: missing.length > 0 || draft.errors?.length > 0 ? 'collecting' : 'confirming',
+      updatedAt: new Date().toISOString(),
+    };
+
+    const key = draftKey(draft.teamId, draft.channelId, draft.threadTs);
+    await redisService.set(key, JSON.stringify(savedDraft), DRAFT_TTL_SECONDS);
+
+    logger.info('Saved Salesforce draft:', { key, status: savedDraft.status });
+    return savedDraft;
+  } catch (error) {
+    logger.error('Error saving Salesforce draft:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete the draft for a conversation. Resolves with true only for the caller that
+ * actually removed it, so it doubles as an atomic claim.
+ */
+async function deleteDraft(teamId, channelId, threadTs) {
+  try {
+    const removed = await redisService.del(draftKey(teamId, channelId, threadTs));
+    return removed > 0;
+  } catch (error) {
+    logger.error('Error deleting Salesforce draft:', error);
+    return false;
+  }
+}
+
+/** Reference to a draft that fits in a button value or modal metadata */
+function draftRef(draft) {
+  return JSON.stringify({
+    teamId: draft.teamId,
+    channelId: draft.channelId,
+    threadTs: draft.threadTs || null,
+    draftId: draft.draftId,
+  });
+}
+
+// ============================================================================
+// UI COMPONENTS - CONFIRMATION CARD AND EDIT MODAL
+// ============================================================================
+
+/** Format a field value for display */
+function formatFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return '_not set_';
+  if (field.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  return String(value);
+}
+
+/**
+ * Confirmation card shown before a record is written to Salesforce
+ */
+function confirmationCardBlocks(draft) {
+  const schema = entityExtractor.getSchema(draft.objectType);
+  const fields = Object.entries(schema).map(([name, field]) => ({
+    type: 'mrkdwn',
+    text: `*${field.label}*${field.required ? ' (required)' : ''}\n${formatFieldValue(field, draft.fields[name])}`,
+  }));
+  if (draft.account) {
+    fields.push({ type: 'mrkdwn', text: `*Account*\n${draft.account.Name}` });
+  }
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📝 *Ready to create this ${draft.objectType} in Salesforce*\nNothing is saved until you confirm.`,
+      },
+    },
+  ];
+
+  // Section blocks allow at most 10 fields
+  for (let i = 0; i < fields.length; i += 10) {
+    blocks.push({ type: 'section', fields: fields.slice(i, i + 10) });
+  }
+
+  blocks.push({
+    type: 'actions',
+    block_id: 'salesforce_draft_actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Confirm' },
+        style: 'primary',
+        action_id: 'salesforce_draft_confirm',
+        value: draftRef(draft),
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '✏️ Edit' },
+        action_id: 'salesforce_draft_edit',
+        value: draftRef(draft),
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Cancel' },
+        style: 'danger',
+        action_id: 'salesforce_draft_cancel',
+        value: draftRef(draft),
+      },
+    ],
+  });
+
+  return blocks;
+}
+
+/**
+ * Card shown instead of the confirmation card when the person may already exist
+ */
+function duplicateCardBlocks(draft) {
+  const newPerson = [
+    [draft.fields.FirstName, draft.fields.LastName].filter(Boolean).join(' '),
+    draft.fields.Email,
+    draft.fields.Phone,
+    draft.fields.Company,
+  ].filter(Boolean).join(' · ');
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `⚠️ *This ${draft.objectType} may already exist in Salesforce*\nFound ${draft.duplicates.length} similar record${draft.duplicates.length === 1 ? '' : 's'}. Use one of them, or create the new ${draft.objectType} anyway.`,
+      },
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `*New:* ${newPerson}` }],
+    },
+    { type: 'divider' },
+  ];
+
+  draft.duplicates.forEach((match) => {
+    const details = [match.email, match.phone, match.company].filter(Boolean).join(' · ');
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${match.url}|${match.name}>* (${match.objectType})${details ? `\n${details}` : ''}\n_${match.reasons.join(', ')}_`,
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Use existing' },
+        action_id: 'salesforce_duplicate_use',
+        value: JSON.stringify({ ...JSON.parse(draftRef(draft)), recordId: match.Id }),
+      },
+    });
+  });
+
+  blocks.push({
+    type: 'actions',
+    block_id: 'salesforce_draft_actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Create anyway' },
+        action_id: 'salesforce_duplicate_create',
+        value: draftRef(draft),
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Cancel' },
+        style: 'danger',
+        action_id: 'salesforce_draft_cancel',
+        value: draftRef(draft),
+      },
+    ],
+  });
+
+  return blocks;
+}
+
+/**
+ * Card shown in place of the confirmation card once it has been handled
+ */
+function resolvedCardBlocks(text) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: text,
+      },
+    },
+  ];
+}
+
+/**
+ * Edit Draft Modal, prefilled with the draft's current values
+ */
+function editDraftModal(draft) {
+  const schema = entityExtractor.getSchema(draft.objectType);
+
+  const blocks = Object.entries(schema).map(([name, field]) => {
+    const value = draft.fields[name];
+    let element;
+
+    if (field.type === 'picklist') {
+      const options = field.options.map((option) => ({
+        text: { type: 'plain_text', text: option },
+        value: option,
+      }));
+      element = {
+        type: 'static_select',
+        action_id: 'value',
+        options: options,
+        ...(value ? { initial_option: options.find((option) => option.value === value) } : {}),
+      };
+    } else if (field.type === 'date') {
+      element = {
+        type: 'datepicker',
+        action_id: 'value',
+        ...(value ? { initial_date: value } : {}),
+      };
+    } else {
+      element = {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: name === 'Description',
+        initial_value: value !== undefined && value !== null ? String(value) : '',
+      };
+    }
+
+    return {
+      type: 'input',
+      block_id: `field_${name}`,
+      optional: !field.required,
+      element: element,
+      label: {
+        type: 'plain_text',
+        text: field.label,
+      },
+    };
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'salesforce_draft_edit',
+    private_metadata: draftRef(draft),
+    title: {
+      type: 'plain_text',
+      text: `Edit ${draft.objectType}`,
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Update',
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel',
+    },
+    blocks: blocks,
+  };
+}
+
+/** Read the raw field values out of a submitted edit modal */
+function readEditDraftValues(objectType, values) {
+  const schema = entityExtractor.getSchema(objectType);
+  const raw = {};
+
+  for (const name of Object.keys(schema)) {
+    const input = values[`field_${name}`]?.value;
+    if (!input) continue;
+    raw[name] = input.selected_option?.value ?? input.selected_date ?? input.value ?? null;
+  }
+
+  return raw;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  newDraftId,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  readEditDraftValues,
+
+  // UI Components
+  confirmationCardBlocks,
+  duplicateCardBlocks,
+  resolvedCardBlocks,
+  editDraftModal,
+};
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const redisService = require('./redisService');
+
+// Standard Salesforce login hosts; orgs with My Domain log in on their own host
+const LOGIN_HOSTS = {
+  production: 'https://login.salesforce.com',
+  sandbox: 'https://test.salesforce.com'
+};
+
+// e.g. https://acme.my.salesforce.com or https://acme--uat.sandbox.my.salesforce.com
+const MY_DOMAIN_PATTERN = /^https:\/\/[a-z0-9-]+(\.[a-z0-9-]+)*\.my\.salesforce\.com$/i;
+
+// How long a user has to finish logging in before the authorization link expires
+const STATE_TTL_SECONDS = 600;
+
+class SalesforceOAuthService {
+  // Check the server has a connected app configured
+  isConfigured() {
+    return !!(process.env.SALESFORCE_CLIENT_ID && this.getRedirectUri());
+  }
+
+  getRedirectUri() {
+    if (process.env.SALESFORCE_REDIRECT_URI) {
+      return process.env.SALESFORCE_REDIRECT_URI;
+    }
+    if (process.env.APP_BASE_URL) {
+      return `${process.env.APP_BASE_URL.replace(/\/+$/, '')}/salesforce/oauth/callback`;
+    }
+    return null;
+  }
+
+  // Resolve the login host for an environment ('production', 'sandbox' or 'custom' + My Domain URL)
+  resolveLoginHost(environment, myDomainUrl = null) {
+    if (environment === 'custom') {
+      let host = (myDomainUrl || '').trim().replace(/\/+$/, '');
+      if (host && !host.startsWith('https://')) {
+        host = `https://${host.replace(/^http:\/\//, '')}`;
+      }
+      if (!MY_DOMAIN_PATTERN.test(host)) {
+        throw new Error('Enter your My Domain URL, e.g. https://yourcompany.my.salesforce.com');
+      }
+      return host.toLowerCase();
+    }
+
+    const host = LOGIN_HOSTS[environment];
+    if (!host) {
+      throw new Error(`Unknown Salesforce environment: ${environment}`);
+    }
+    return host;
+  }
+
+  // Work out which environment option a saved login host corresponds to
+  describeLoginHost(loginHost) {
+    const environment = Object.keys(LOGIN_HOSTS).find(key => LOGIN_HOSTS[key] === loginHost);
+    return environment
+      ? { environment, myDomainUrl: null }
+      : { environment: loginHost ? 'custom' : 'production', myDomainUrl: loginHost || null };
+  }
+
+  base64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Build the authorize URL for a user, storing the PKCE verifier under a one-time state.
+  // options.workspace connects the workspace integration user instead of the user's own account.
+  async createAuthorizationUrl(teamId, userId, loginHost, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Salesforce OAuth is not configured. Set SALESFORCE_CLIENT_ID and SALESFORCE_REDIRECT_URI (or APP_BASE_URL).');
+    }
+
+    const state = crypto.randomBytes(24).toString('hex');
+    const codeVerifier = this.base64Url(crypto.randomBytes(32));
+    const codeChallenge = this.base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await redisService.set(
+      `salesforce_oauth_state:${state}`,
+      JSON.stringify({ teamId, userId, loginHost, codeVerifier, workspace: !!options.workspace }),
+      STATE_TTL_SECONDS
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.SALESFORCE_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: 'api refresh_token',
+      state: state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${loginHost}/services/oauth2/authorize?${params.toString()}`;
+  }
+
+  // Exchange the authorization code from the callback and save the user's (or the
+  // workspace's) tokens. Resolves with { teamId, userId, instanceUrl, username, workspace }.
+  async handleCallback({ code, state }) {
+    if (!code || !state) {
+      throw new Error('Missing authorization code or state');
+    }
+
+    const stateKey = `salesforce_oauth_state:${state}`;
+    const stored = await redisService.get(stateKey);
+    if (!stored) {
+      throw new Error('This Salesforce login link has expired. Please start again from Slack.');
+    }
+    // States are single-use: only the callback that deletes the state may use it
+    if (!((await redisService.del(stateKey)) > 0)) {
+      throw new Error('This Salesforce login link was already used. Please start again from Slack.');
+    }
+
+    const { teamId, userId, loginHost, codeVerifier, workspace } = JSON.parse(stored);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: code,
+      client_id: process.env.SALESFORCE_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      code_verifier: codeVerifier
+    });
+    if (process.env.SALESFORCE_CLIENT_SECRET) {
+      body.append('client_secret', process.env.SALESFORCE_CLIENT_SECRET);
+    }
+
+    let tokenResponse;
+    try {
+      tokenResponse = await axios.post(`${loginHost}/services/oauth2/token`, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+    } catch (error) {
+      console.error('Error exchanging Salesforce authorization code:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.error_description || 'Failed to exchange the Salesforce authorization code');
+    }
+
+    const tokens = tokenResponse.data;
+    const tokenData = {
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token || null,
+      instance_url: tokens.instance_url,
+      login_url: loginHost,
+      id: tokens.id,
+      username: await this.fetchUsername(tokens)
+    };
+
+    const saved = workspace
+      ? await redisService.saveWorkspaceSalesforceTokens(teamId, { ...tokenData, connectedBy: userId })
+      : await redisService.saveSalesforceTokens(teamId, userId, tokenData);
+    if (!saved) {
+      throw new Error('Failed to save Salesforce credentials');
+    }
+
+    return { teamId, userId, instanceUrl: tokens.instance_url, username: tokenData.username, workspace: !!workspace };
+  }
+
+  // Salesforce username of the connected user, shown in Slack so people know which identity is used
+  async fetchUsername(tokens) {
+    if (!tokens.id) return null;
+    try {
+      const response = await axios.get(tokens.id, {
+        headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+      });
+      return response.data.username || null;
+    } catch (error) {
+      console.error('Error fetching Salesforce identity:', error.response?.data || error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new SalesforceOAuthService();
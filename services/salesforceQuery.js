@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const llmService = require('./llmService');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Objects natural-language queries may read from
+const QUERYABLE_OBJECTS = Object.keys(soqlBuilder.ALLOWED_FIELDS);
+
+// Records fetched from Salesforce per request, and shown per page in Slack
+const QUERY_BATCH_SIZE = 200;
+const RESULTS_PAGE_SIZE = 10;
+const MAX_QUERY_LIMIT = 2000;
+
+// Results stay pageable for an hour
+const QUERY_TTL_SECONDS = 3600;
+
+// Describe results rarely change; cache them per org and object
+const DESCRIBE_CACHE_MS = 60 * 60 * 1000;
+const describeCache = new Map();
+
+/** Get an object's describe result for the client's org, cached in memory */
+async function describeObject(salesforceClient, objectType) {
+  const cacheKey = `${salesforceClient.instanceUrl}:${objectType}`;
+  const cached = describeCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < DESCRIBE_CACHE_MS) {
+    return cached.describe;
+  }
+
+  const describe = await salesforceClient.getObjectMetadata(objectType);
+  if (!describe.success) {
+    throw new Error(`Could not describe ${objectType}: ${describe.error}`);
+  }
+
+  describeCache.set(cacheKey, { describe, fetchedAt: Date.now() });
+  return describe;
+}
+
+/** Summarize describe fields for the model: name, type, label and picklist values */
+function describeFieldsForPrompt(describe) {
+  return describe.fields
+    .slice(0, 250)
+    .map((field) => {
+      let line = `- ${field.name} (${field.label}): ${field.type}`;
+      if (field.type === 'reference' && field.relationshipName) {
+        line += `, relationship ${field.relationshipName} → ${field.referenceTo.join('/')}`;
+      }
+      if (field.type === 'picklist' && field.picklistValues?.length) {
+        line += `, values: ${field.picklistValues.filter((value) => value.active).slice(0, 20).map((value) => value.value).join(' | ')}`;
+      }
+      return line;
+    })
+    .join('\n');
+}
+
+/** Replace quoted string literals so keyword checks only look at query syntax */
+function stripStringLiterals(soql) {
+  return soql.replace(/'(?:\\.|[^'\\])*'/g, "''");
+}
+
+/**
+ * Check generated SOQL is a plain read-only SELECT on the expected object,
+ * selecting fields that exist. Returns { soql, fields } with Id selected and a LIMIT applied.
+ */
+function validateSoql(soql, objectType, describe) {
+  let query = (soql || '').trim().replace(/;\s*$/, '');
+  const syntax = stripStringLiterals(query);
+
+  if (!/^SELECT\s/i.test(syntax)) {
+    throw new Error('Only SELECT queries are allowed');
+  }
+  if (syntax.includes(';')) {
+    throw new Error('Only a single query is allowed');
+  }
+  if (/\(\s*SELECT\b/i.test(syntax)) {
+    throw new Error('Subqueries are not supported');
+  }
+  if (/\bFOR\s+(UPDATE|VIEW|REFERENCE)\b|\bUPDATE\s+(TRACKING|VIEWSTAT)\b/i.test(syntax)) {
+    throw new Error('Only read-only queries are allowed');
+  }
+  if (/\bGROUP\s+BY\b|\b(COUNT|SUM|AVG|MIN|MAX|COUNT_DISTINCT)\s*\(/i.test(syntax)) {
+    throw new Error('Aggregate queries are not supported; list records instead');
+  }
+
+  const fromMatches = [...syntax.matchAll(/\bFROM\s+(\w+)/gi)];
+  if (fromMatches.length !== 1) {
+    throw new Error('The query must read from exactly one object');
+  }
+  const fromObject = fromMatches[0][1];
+  if (!QUERYABLE_OBJECTS.includes(fromObject) || fromObject.toLowerCase() !== objectType.toLowerCase()) {
+    throw new Error(`Querying ${fromObject} is not allowed`);
+  }
+
+  // Every selected field must exist on the object; relationship paths must start with a real relationship
+  const fieldNames = new Set(describe.fields.map((field) => field.name.toLowerCase()));
+  const relationshipNames = new Set(describe.fields.filter((field) => field.relationshipName).map((field) => field.relationshipName.toLowerCase()));
+  const selectList = syntax.match(/^SELECT\s+([\s\S]+?)\s+FROM\s/i)[1];
+  const fields = selectList.split(',').map((field) => field.trim());
+
+  for (const field of fields) {
+    if (!/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(field)) {
+      throw new Error(`Unsupported select expression: ${field}`);
+    }
+    const [first, ...rest] = field.split('.');
+    const known = rest.length === 0 ? fieldNames.has(first.toLowerCase()) : relationshipNames.has(first.toLowerCase());
+    if (!known) {
+      throw new Error(`${field} is not a field on ${objectType}`);
+    }
+  }
+
+  // Record links need the Id
+  if (!fields.some((field) => field.toLowerCase() === 'id')) {
+    fields.unshift('Id');
+    query = query.replace(/^SELECT\s+/i, 'SELECT Id, ');
+  }
+
+  const limitMatch = syntax.match(/\bLIMIT\s+(\d+)\s*(OFFSET\s+\d+\s*)?$/i);
+  if (!limitMatch) {
+    query += ` LIMIT ${MAX_QUERY_LIMIT}`;
+  } else if (parseInt(limitMatch[1], 10) > MAX_QUERY_LIMIT) {
+    query = query.replace(/\bLIMIT\s+\d+/i, `LIMIT ${MAX_QUERY_LIMIT}`);
+  }
+
+  return { soql: query, fields };
+}
+
+/** Ask the model to turn a question into SOQL for one object, grounded in its describe result */
+async function generateSoql(question, objectType, describe, options = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You translate questions about Salesforce data into a single SOQL query on the ${objectType} object. ` +
+        `Respond with only the SOQL query, no explanation or code fences.\n\n` +
+        `Fields on ${objectType}:\n${describeFieldsForPrompt(describe)}\n\n` +
+        'Rules: SELECT plain fields or relationship fields (e.g. Account.Name) only, no subqueries or aggregates. ' +
+        'Select the handful of fields that answer the question, always including a name-like field. ' +
+        'Prefer SOQL date literals such as THIS_QUARTER or LAST_N_DAYS:30. ' +
+        `Today is ${new Date().toISOString().split('T')[0]}.` +
+        (options.salesforceUserId ? ` "My" or "mine" means OwnerId = '${options.salesforceUserId}'.` : '')
+    },
+    {
+      role: 'user',
+      content: question
+    }
+  ];
+
+  const completion = await llmService.createCompletion(messages, {
+    teamId: options.teamId,
+    temperature: 0
+  });
+
+  return (completion.content || '').replace(/```(?:sql|soql)?/gi, '').trim();
+}
+
+/** Read a possibly nested field path (e.g. Account.Name) from a record */
+function readField(record, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), record);
+}
+
+/** Drop the Salesforce `attributes` noise from records before storing them */
+function compactRecord(record, fields) {
+  return Object.fromEntries(fields.map((field) => [field, readField(record, field) ?? null]));
+}
+
+/**
+ * Answer a question with a read-only query. Generates and validates SOQL, runs it
+ * and stores the results so they can be paged through in Slack.
+ */
+async function runQuestion(question, objectType, salesforceClient, context) {
+  if (!QUERYABLE_OBJECTS.includes(objectType)) {
+    throw new Error(`Querying ${objectType} is not allowed`);
+  }
+
+  const describe = await describeObject(salesforceClient, objectType);
+  const generated = await generateSoql(question, objectType, describe, {
+    teamId: context.teamId,
+    salesforceUserId: salesforceClient.salesforceUserId,
+  });
+  logger.info('Generated SOQL:', generated);
+
+  const { soql, fields } = validateSoql(generated, objectType, describe);
+  const result = await salesforceClient.queryRecords(soql, { batchSize: QUERY_BATCH_SIZE });
+  if (!result.success) {
+    throw new Error(`Salesforce rejected the query: ${result.error}`);
+  }
+
+  const labels = Object.fromEntries(describe.fields.map((field) => [field.name, { label: field.label, type: field.type }]));
+  const columns = fields.map((path) => ({
+    path,
+    label: labels[path]?.label || path.replace('.', ' '),
+    type: labels[path]?.type || 'string',
+  }));
+
+  const queryState = {
+    queryId: crypto.randomBytes(8).toString('hex'),
+    teamId: context.teamId,
+    userId: context.userId,
+    objectType,
+    question,
+    soql,
+    columns,
+    instanceUrl: salesforceClient.instanceUrl,
+    records: result.records.map((record) => compactRecord(record, fields)),
+    totalSize: result.totalSize,
+    nextRecordsUrl: result.nextRecordsUrl,
+  };
+  await saveQueryState(queryState);
+
+  return queryState;
+}
+
+/** Make sure the records for a page are loaded, fetching further batches if needed */
+async function loadPage(queryState, page, salesforceClient) {
+  const needed = (page + 1) * RESULTS_PAGE_SIZE;
+  const fields = queryState.columns.map((column) => column.path);
+
+  while (queryState.records.length < needed && queryState.nextRecordsUrl) {
+    const more = await salesforceClient.queryMore(queryState.nextRecordsUrl, { batchSize: QUERY_BATCH_SIZE });
+    if (!more.success) {
+      throw new Error(`Could not load more results: ${more.error}`);
+    }
+    queryState.records.push(...more.records.map((record) => compactRecord(record, fields)));
+    queryState.nextRecordsUrl = more.nextRecordsUrl;
+    await saveQueryState(queryState);
+  }
+
+  return queryState;
+}
+
+/** Generate storage key for stored query results */
+function queryKey(queryId) {
+  return `salesforce_query:${queryId}`;
+}
+
+async function saveQueryState(queryState) {
+  try {
+    await redisService.set(queryKey(queryState.queryId), JSON.stringify(queryState), QUERY_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Error saving Salesforce query results:', error);
+  }
+}
+
+async function getQueryState(queryId) {
+  try {
+    const data = await redisService.get(queryKey(queryId));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting Salesforce query results:', error);
+    return null;
+  }
+}
+
+// ============================================================================
+// UI COMPONENTS - RESULTS TABLE
+// ============================================================================
+
+/** Format a cell value for display */
+function formatCell(column, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (column.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  if (column.type === 'boolean') return value ? '✓' : '✗';
+  if (column.type === 'percent') return `${value}%`;
+  return String(value).substring(0, 200);
+}
+
+/** Field used as the linked title of each row */
+function titleColumn(columns) {
+  const preferred = ['Name', 'CaseNumber', 'Subject'];
+  return columns.find((column) => preferred.includes(column.path)) || columns.find((column) => column.path !== 'Id');
+}
+
+/**
+ * Results table for a page of query results: one row per record with a link to it
+ */
+function queryResultsBlocks(queryState, page = 0) {
+  const start = page * RESULTS_PAGE_SIZE;
+  const rows = queryState.records.slice(start, start + RESULTS_PAGE_SIZE);
+  const title = titleColumn(queryState.columns);
+  const otherColumns = queryState.columns.filter((column) => column.path !== 'Id' && column !== title).slice(0, 10);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔎 *${queryState.totalSize} ${queryState.objectType} record${queryState.totalSize === 1 ? '' : 's'}* for _${queryState.question}_`,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `\`${queryState.soql.substring(0, 2900)}\``,
+        },
+      ],
+    },
+  ];
+
+  if (rows.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'No matching records.',
+      },
+    });
+    return blocks;
+  }
+
+  blocks.push({ type: 'divider' });
+  rows.forEach((record) => {
+    const url = `${queryState.instanceUrl}/lightning/r/${queryState.objectType}/${record.Id}/view`;
+    const name = title ? formatCell(title, record[title.path]) : record.Id;
+    const row = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${url}|${name}>*`,
+      },
+    };
+    if (otherColumns.length > 0) {
+      row.fields = otherColumns.map((column) => ({
+        type: 'mrkdwn',
+        text: `*${column.label}*\n${formatCell(column, record[column.path])}`,
+      }));
+    }
+    blocks.push(row);
+  });
+
+  const shown = Math.min(start + rows.length, queryState.totalSize);
+  const hasMore = start + RESULTS_PAGE_SIZE < queryState.records.length || !!queryState.nextRecordsUrl;
+  const navigation = [];
+  if (page > 0) {
+    navigation.push({
+      type: 'button',
+      text: { type: 'plain_text', text: '◀ Previous' },
+      action_id: 'salesforce_query_prev',
+      value: JSON.stringify({ queryId: queryState.queryId, page: page - 1 }),
+    });
+  }
+  if (hasMore) {
+    navigation.push({
+      type: 'button',
+      text: { type: 'plain_text', text: 'Next ▶' },
+      action_id: 'salesforce_query_next',
+      value: JSON.stringify({ queryId: queryState.queryId, page: page + 1 }),
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `Showing ${start + 1}–${shown} of ${queryState.totalSize}`,
+      },
+    ],
+  });
+  if (navigation.length > 0) {
+    blocks.push({ type: 'actions', block_id: 'salesforce_query_navigation', elements: navigation });
+  }
+
+  return blocks;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  QUERYABLE_OBJECTS,
+  describeObject,
+  describeFieldsForPrompt,
+  validateSoql,
+  runQuestion,
+  loadPage,
+  getQueryState,
+
+  // UI Components
+  queryResultsBlocks,
+};
@@ -0,0 +1,281 @@
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Fields of the Report object used to find a report by name
+const REPORT_FIELDS = ['Id', 'Name', 'DeveloperName', 'FolderName', 'Format', 'LastRunDate'];
+
+// Reports offered when several match the name
+const MAX_CANDIDATES = 10;
+
+// Slack table blocks allow 100 rows (including the header) and 20 columns.
+// Larger results are uploaded as a CSV file instead.
+const MAX_TABLE_ROWS = 50;
+const MAX_TABLE_COLUMNS = 20;
+
+/**
+ * Find the report to run. Resolves with { report } for a single or exact match,
+ * or { candidates } when the name is ambiguous.
+ */
+async function findReport(salesforceClient, name) {
+  const soql = soqlBuilder.from('Report', REPORT_FIELDS)
+    .select(REPORT_FIELDS)
+    .where('Name', 'LIKE', name)
+    .orderBy('Name')
+    .limit(MAX_CANDIDATES)
+    .build();
+  const result = await salesforceClient.queryRecords(soql);
+  if (!result.success) {
+    throw new Error(`Could not search reports: ${result.error}`);
+  }
+
+  const reports = result.records;
+  const exact = reports.find((report) => report.Name.toLowerCase() === name.trim().toLowerCase());
+  if (exact || reports.length === 1) {
+    return { report: exact || reports[0] };
+  }
+  return {
+    candidates: reports.map((report) => (report.FolderName ? `${report.Name} (${report.FolderName})` : report.Name)),
+  };
+}
+
+/** Every grouping of a grouping tree, parents first, each with the labels of its path */
+function groupingRows(groupings, path = []) {
+  const rows = [];
+  for (const grouping of groupings || []) {
+    const labels = [...path, grouping.label];
+    // Emit each level so the subtotals of outer groupings are shown too
+    rows.push({ key: grouping.key, labels });
+    rows.push(...groupingRows(grouping.groupings, labels));
+  }
+  return rows;
+}
+
+/** Number of grouping levels in a grouping tree */
+function groupingDepth(groupings) {
+  if (!groupings || groupings.length === 0) return 0;
+  return 1 + Math.max(...groupings.map((grouping) => groupingDepth(grouping.groupings)));
+}
+
+function aggregateLabels(report) {
+  const info = report.reportExtendedMetadata.aggregateColumnInfo || {};
+  return (report.reportMetadata.aggregates || []).map((name) => info[name]?.label || name);
+}
+
+function groupingLabels(report, groupings) {
+  const info = report.reportExtendedMetadata.groupingColumnInfo || {};
+  return (groupings || []).map((grouping) => info[grouping.name]?.label || grouping.name);
+}
+
+function cellLabel(cell) {
+  return cell ? String(cell.label ?? cell.value ?? '') : '';
+}
+
+/**
+ * Turn an Analytics API report result into a plain table:
+ * { columns, numeric (per column), rows, totals }. Tabular reports list their
+ * detail rows; summary reports list each grouping with its aggregates; matrix
+ * reports cross the row groupings with the column groupings for the first aggregate.
+ */
+function toTable(report) {
+  const metadata = report.reportMetadata;
+  const factMap = report.factMap || {};
+  const grandTotal = factMap['T!T'];
+
+  if (metadata.reportFormat === 'MATRIX') {
+    const downDepth = groupingDepth(report.groupingsDown?.groupings);
+    const across = groupingRows(report.groupingsAcross?.groupings)
+      .filter((column) => column.labels.length === groupingDepth(report.groupingsAcross?.groupings));
+    const aggregate = aggregateLabels(report)[0] || 'Value';
+    const columns = [
+      ...groupingLabels(report, metadata.groupingsDown),
+      ...across.map((column) => column.labels.join(' / ')),
+      `Total ${aggregate}`,
+    ];
+    const rows = groupingRows(report.groupingsDown?.groupings).map((row) => [
+      ...Array.from({ length: downDepth }, (value, index) => (index === row.labels.length - 1 ? row.labels[index] : '')),
+      ...across.map((column) => cellLabel(factMap[`${row.key}!${column.key}`]?.aggregates?.[0])),
+      cellLabel(factMap[`${row.key}!T`]?.aggregates?.[0]),
+    ]);
+    const totals = [
+      'Total',
+      ...Array(Math.max(downDepth - 1, 0)).fill(''),
+      ...across.map((column) => cellLabel(factMap[`T!${column.key}`]?.aggregates?.[0])),
+      cellLabel(grandTotal?.aggregates?.[0]),
+    ];
+    return { columns, numeric: columns.map((column, index) => index >= downDepth), rows, totals, aggregate };
+  }
+
+  if (metadata.reportFormat === 'SUMMARY') {
+    const depth = groupingDepth(report.groupingsDown?.groupings);
+    const aggregates = aggregateLabels(report);
+    const columns = [...groupingLabels(report, metadata.groupingsDown), ...aggregates];
+    const rows = groupingRows(report.groupingsDown?.groupings).map((row) => [
+      ...Array.from({ length: depth }, (value, index) => (index === row.labels.length - 1 ? row.labels[index] : '')),
+      ...aggregates.map((label, index) => cellLabel(factMap[`${row.key}!T`]?.aggregates?.[index])),
+    ]);
+    const totals = [
+      'Total',
+      ...Array(Math.max(depth - 1, 0)).fill(''),
+      ...aggregates.map((label, index) => cellLabel(grandTotal?.aggregates?.[index])),
+    ];
+    return { columns, numeric: columns.map((column, index) => index >= depth), rows, totals };
+  }
+
+  // Tabular: detail rows, with the grand total aggregates as a footer
+  const info = report.reportExtendedMetadata.detailColumnInfo || {};
+  const detailColumns = metadata.detailColumns || [];
+  const columns = detailColumns.map((name) => info[name]?.label || name);
+  const numericTypes = ['currency', 'double', 'int', 'percent'];
+  const rows = (grandTotal?.rows || []).map((row) => row.dataCells.map(cellLabel));
+  const totals = aggregateLabels(report)
+    .map((label, index) => `${label}: ${cellLabel(grandTotal?.aggregates?.[index])}`);
+  return {
+    columns,
+    numeric: detailColumns.map((name) => numericTypes.includes(info[name]?.dataType)),
+    rows,
+    totals: totals.length > 0 ? totals : null,
+    tabular: true,
+  };
+}
+
+/**
+ * Run a report by name. Resolves with { result } or { candidates } when several
+ * reports match. result holds the report, its table, and whether it fits in a message.
+ */
+async function runReportByName(salesforceClient, name) {
+  const { report, candidates } = await findReport(salesforceClient, name);
+  if (!report) {
+    return { candidates: candidates || [] };
+  }
+
+  const run = await salesforceClient.runReport(report.Id);
+  if (!run.success) {
+    throw new Error(`Could not run ${report.Name}: ${run.error}`);
+  }
+
+  const table = toTable(run.report);
+  const result = {
+    report,
+    url: salesforceClient.recordUrl('Report', report.Id),
+    format: run.report.reportMetadata.reportFormat,
+    table,
+    complete: run.report.allData !== false,
+    fitsInMessage: table.rows.length <= MAX_TABLE_ROWS && table.columns.length <= MAX_TABLE_COLUMNS,
+  };
+
+  logger.info('Ran Salesforce report:', { report: report.Name, format: result.format, rows: table.rows.length });
+  return { result };
+}
+
+/** Escape a value for a CSV cell */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The report table as CSV, totals last */
+function tableCsv(table) {
+  const lines = [table.columns, ...table.rows].map((row) => row.map(csvCell).join(','));
+  if (table.totals) {
+    lines.push((table.tabular ? [table.totals.join('; ')] : table.totals).map(csvCell).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+/** File name for a report's CSV upload */
+function csvFileName(result) {
+  return `${(result.report.DeveloperName || result.report.Name).replace(/[^\w-]+/g, '_')}.csv`;
+}
+
+// ============================================================================
+// UI COMPONENTS - REPORT TABLE
+// ============================================================================
+
+function tableRow(cells) {
+  return cells.map((text) => ({ type: 'raw_text', text: String(text || ' ') }));
+}
+
+/** Header line: report link, format and row count */
+function reportHeader(result) {
+  const rowCount = `${result.table.rows.length} ${result.table.tabular ? 'rows' : 'groupings'}`;
+  const aggregate = result.table.aggregate ? ` · ${result.table.aggregate}` : '';
+  const incomplete = result.complete ? '' : '\n⚠️ Salesforce returned only the first 2,000 rows of this report.';
+  return `📊 *<${result.url}|${result.report.Name}>*\n${result.format.toLowerCase()} report · ${rowCount}${aggregate}${incomplete}`;
+}
+
+/**
+ * Report result as a table block, with totals as the last row
+ */
+function reportBlocks(result) {
+  const { table } = result;
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: reportHeader(result),
+      },
+    },
+  ];
+
+  if (table.rows.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: '_The report returned no rows._' },
+    });
+    return blocks;
+  }
+
+  const rows = [table.columns, ...table.rows];
+  if (table.totals && !table.tabular) {
+    rows.push(table.totals);
+  }
+
+  blocks.push({
+    type: 'table',
+    column_settings: table.numeric.map((numeric) => (numeric ? { align: 'right' } : { is_wrapped: true })),
+    rows: rows.map(tableRow),
+  });
+
+  if (table.totals && table.tabular) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `*Totals:* ${table.totals.join(' · ')}` }],
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Message posted when the report is too large for a table and is uploaded as CSV
+ */
+function reportFileComment(result) {
+  const { table } = result;
+  let totals = table.totals;
+  if (totals && !table.tabular) {
+    totals = table.columns
+      .map((column, index) => (table.numeric[index] ? `${column}: ${table.totals[index]}` : null))
+      .filter(Boolean);
+  }
+  const totalsLine = totals && totals.length > 0 ? `\n*Totals:* ${totals.join(' · ')}` : '';
+  return `${reportHeader(result)}\nThe result is too large to show here, so it is attached as a CSV.${totalsLine}`;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  runReportByName,
+  toTable,
+  tableCsv,
+  csvFileName,
+
+  // UI Components
+  reportBlocks,
+  reportFileComment,
+};
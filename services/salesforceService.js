@@ -1,46 +1,43 @@
 const axios = require('axios');
+const redisService = require('./redisService');
 
-class SalesforceService {
-  constructor() {
-    this.baseUrl = null;
+const DEFAULT_API_VERSION = '58.0';
+
+// A Salesforce API client bound to one user's tokens and org
+class SalesforceClient {
+  constructor(service, tokens, apiVersion) {
+    this.service = service;
+    this.tokens = tokens;
+    this.apiVersion = apiVersion;
   }
 
-  // Set the Salesforce instance URL
-  setInstanceUrl(instanceUrl) {
-    this.baseUrl = instanceUrl;
+  // Read from the tokens so a refresh that moves the instance is picked up
+  get instanceUrl() {
+    return this.tokens.instance_url;
   }
 
-  // Refresh access token if needed
-  async refreshToken(refreshToken, clientId, clientSecret) {
-    try {
-      const response = await axios.post('https://login.salesforce.com/services/oauth2/token', {
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken,
-        client_id: clientId,
-        client_secret: clientSecret
-      });
+  // The connected user's Salesforce user Id, from the identity URL returned with the tokens
+  get salesforceUserId() {
+    return this.tokens.id ? this.tokens.id.split('/').pop() : null;
+  }
 
-      return {
-        access_token: response.data.access_token,
-        instance_url: response.data.instance_url,
-        refresh_token: response.data.refresh_token || refreshToken
-      };
-    } catch (error) {
-      console.error('Error refreshing Salesforce token:', error.response?.data || error.message);
-      throw new Error('Failed to refresh Salesforce token');
-    }
+  // Lightning URL for a record in this client's org
+  recordUrl(objectType, recordId) {
+    return `${this.instanceUrl}/lightning/r/${objectType}/${recordId}/view`;
   }
 
-  // Make authenticated API call to Salesforce
-  async makeApiCall(endpoint, method = 'GET', data = null, accessToken) {
-    try {
-      const url = `${this.baseUrl}/services/data/v58.0${endpoint}`;
+  // Make authenticated API call to Salesforce. An expired access token is
+  // refreshed once and the call retried.
+  async makeApiCall(endpoint, method = 'GET', data = null, headers = {}) {
+    const tokens = this.tokens;
+    const request = (accessToken) => {
       const config = {
         method,
-        url,
+        url: `${this.instanceUrl}/services/data/v${this.apiVersion}${endpoint}`,
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...headers
         }
       };
 
@@ -48,22 +45,46 @@ class SalesforceService {
         config.data = data;
       }
 
-      const response = await axios(config);
+      return axios(config);
+    };
+
+    try {
+      const response = await request(tokens.access_token);
+      return response.data;
+    } catch (error) {
+      if (!this.service.isSessionExpired(error) || !tokens.refresh_token || !tokens.teamId || !tokens.userId) {
+        console.error('Salesforce API Error:', error.response?.data || error.message);
+        throw error;
+      }
+    }
+
+    let refreshedTokens;
+    try {
+      refreshedTokens = await this.service.refreshUserTokens(tokens);
+    } catch (refreshError) {
+      console.error('Salesforce token refresh failed:', refreshError.message);
+      throw new Error('Your Salesforce session expired and could not be refreshed. Please reconnect Salesforce from the App Home.');
+    }
+    // Later calls on this client use the new token too
+    Object.assign(tokens, refreshedTokens);
+
+    try {
+      const response = await request(tokens.access_token);
       return response.data;
     } catch (error) {
-      console.error('Salesforce API Error:', error.response?.data || error.message);
+      console.error('Salesforce API Error after token refresh:', error.response?.data || error.message);
       throw error;
     }
   }
 
   // Create a Lead
-  async createLead(leadData, accessToken) {
+  async createLead(leadData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Lead/', 'POST', leadData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Lead/', 'POST', leadData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Lead/${result.id}/view`
+        url: this.recordUrl('Lead', result.id)
       };
     } catch (error) {
       return {
@@ -74,13 +95,13 @@ class SalesforceService {
   }
 
   // Create an Opportunity
-  async createOpportunity(opportunityData, accessToken) {
+  async createOpportunity(opportunityData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Opportunity/', 'POST', opportunityData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Opportunity/', 'POST', opportunityData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Opportunity/${result.id}/view`
+        url: this.recordUrl('Opportunity', result.id)
       };
     } catch (error) {
       return {
@@ -91,13 +112,13 @@ class SalesforceService {
   }
 
   // Create an Account
-  async createAccount(accountData, accessToken) {
+  async createAccount(accountData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Account/', 'POST', accountData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Account/', 'POST', accountData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Account/${result.id}/view`
+        url: this.recordUrl('Account', result.id)
       };
     } catch (error) {
       return {
@@ -108,13 +129,13 @@ class SalesforceService {
   }
 
   // Create a Case
-  async createCase(caseData, accessToken) {
+  async createCase(caseData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Case/', 'POST', caseData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Case/', 'POST', caseData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Case/${result.id}/view`
+        url: this.recordUrl('Case', result.id)
       };
     } catch (error) {
       return {
@@ -125,13 +146,13 @@ class SalesforceService {
   }
 
   // Create a Contact
-  async createContact(contactData, accessToken) {
+  async createContact(contactData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Contact/', 'POST', contactData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Contact/', 'POST', contactData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Contact/${result.id}/view`
+        url: this.recordUrl('Contact', result.id)
       };
     } catch (error) {
       return {
@@ -142,13 +163,13 @@ class SalesforceService {
   }
 
   // Create a Task
-  async createTask(taskData, accessToken) {
+  async createTask(taskData) {
     try {
-      const result = await this.makeApiCall('/sobjects/Task/', 'POST', taskData, accessToken);
+      const result = await this.makeApiCall('/sobjects/Task/', 'POST', taskData);
       return {
         success: true,
         id: result.id,
-        url: `${this.baseUrl}/lightning/r/Task/${result.id}/view`
+        url: this.recordUrl('Task', result.id)
       };
     } catch (error) {
       return {
@@ -158,15 +179,67 @@ class SalesforceService {
     }
   }
 
-  // Query Salesforce records
-  async queryRecords(soql, accessToken) {
+  // Create many records of one type through the sObject Collections API, 200 per request.
+  // Resolves with one { success, id, url, error } per record, in the same order.
+  async createRecords(objectType, records) {
+    const results = [];
+
+    for (let i = 0; i < records.length; i += 200) {
+      const batch = records.slice(i, i + 200);
+      try {
+        const response = await this.makeApiCall('/composite/sobjects', 'POST', {
+          allOrNone: false,
+          records: batch.map(record => ({ attributes: { type: objectType }, ...record }))
+        });
+        response.forEach(result => results.push({
+          success: result.success,
+          id: result.id || null,
+          url: result.id ? this.recordUrl(objectType, result.id) : null,
+          error: result.success ? null : (result.errors || []).map(error => error.message).join('; ')
+        }));
+      } catch (error) {
+        const message = error.response?.data?.[0]?.message || error.message;
+        batch.forEach(() => results.push({ success: false, id: null, url: null, error: message }));
+      }
+    }
+
+    return results;
+  }
+
+  // Query Salesforce records. options.batchSize (200-2000) limits how many records come
+  // back per page; follow nextRecordsUrl with queryMore() for the rest.
+  async queryRecords(soql, options = {}) {
     try {
       const encodedQuery = encodeURIComponent(soql);
-      const result = await this.makeApiCall(`/query/?q=${encodedQuery}`, 'GET', null, accessToken);
+      const headers = options.batchSize ? { 'Sforce-Query-Options': `batchSize=${options.batchSize}` } : {};
+      const result = await this.makeApiCall(`/query/?q=${encodedQuery}`, 'GET', null, headers);
+      return {
+        success: true,
+        records: result.records,
+        totalSize: result.totalSize,
+        done: result.done,
+        nextRecordsUrl: result.nextRecordsUrl || null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.[0]?.message || error.message
+      };
+    }
+  }
+
+  // Fetch the next page of a query from its nextRecordsUrl
+  async queryMore(nextRecordsUrl, options = {}) {
+    try {
+      const endpoint = nextRecordsUrl.replace(/^\/services\/data\/v[\d.]+/, '');
+      const headers = options.batchSize ? { 'Sforce-Query-Options': `batchSize=${options.batchSize}` } : {};
+      const result = await this.makeApiCall(endpoint, 'GET', null, headers);
       return {
         success: true,
         records: result.records,
-        totalSize: result.totalSize
+        totalSize: result.totalSize,
+        done: result.done,
+        nextRecordsUrl: result.nextRecordsUrl || null
       };
     } catch (error) {
       return {
@@ -177,13 +250,31 @@ class SalesforceService {
   }
 
   // Update a record
-  async updateRecord(objectType, recordId, updateData, accessToken) {
+  async updateRecord(objectType, recordId, updateData) {
     try {
-      const result = await this.makeApiCall(`/sobjects/${objectType}/${recordId}`, 'PATCH', updateData, accessToken);
+      const result = await this.makeApiCall(`/sobjects/${objectType}/${recordId}`, 'PATCH', updateData);
       return {
         success: true,
         id: recordId,
-        url: `${this.baseUrl}/lightning/r/${objectType}/${recordId}/view`
+        url: this.recordUrl(objectType, recordId)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.[0]?.message || error.message
+      };
+    }
+  }
+
+  // Run a report synchronously through the Analytics API. Salesforce returns at
+  // most 2,000 detail rows; allData is false when the result was cut off.
+  async runReport(reportId, options = {}) {
+    try {
+      const includeDetails = options.includeDetails !== false;
+      const result = await this.makeApiCall(`/analytics/reports/${encodeURIComponent(reportId)}?includeDetails=${includeDetails}`, 'GET', null);
+      return {
+        success: true,
+        report: result
       };
     } catch (error) {
       return {
@@ -194,9 +285,9 @@ class SalesforceService {
   }
 
   // Get object metadata
-  async getObjectMetadata(objectType, accessToken) {
+  async getObjectMetadata(objectType) {
     try {
-      const result = await this.makeApiCall(`/sobjects/${objectType}/describe`, 'GET', null, accessToken);
+      const result = await this.makeApiCall(`/sobjects/${objectType}/describe`, 'GET', null);
       return {
         success: true,
         fields: result.fields,
@@ -212,4 +303,112 @@ class SalesforceService {
   }
 }
 
+class SalesforceService {
+  constructor() {
+    // In-flight token refreshes keyed by team:user, so concurrent calls share one refresh
+    this.refreshLocks = new Map();
+  }
+
+  // Create a client for one user's org. Each request gets its own client so
+  // concurrent users never share an instance URL or token.
+  createClient(tokens, options = {}) {
+    return new SalesforceClient(this, tokens, options.apiVersion || process.env.SALESFORCE_API_VERSION || DEFAULT_API_VERSION);
+  }
+
+  // Pick the Salesforce connection for a user. Reads use the user's own connection when
+  // they have one and the workspace connection otherwise; writes (options.write) always
+  // need the user's own, so records get the right owner. Resolves with
+  // { client, identity: 'personal' | 'workspace', tokens } or null.
+  async getConnection(teamId, userId, options = {}) {
+    const personalTokens = userId ? await redisService.getSalesforceTokens(teamId, userId) : null;
+    if (personalTokens) {
+      return { client: this.createClient(personalTokens), identity: 'personal', tokens: personalTokens };
+    }
+    if (options.write) {
+      return null;
+    }
+
+    const workspaceTokens = await redisService.getWorkspaceSalesforceTokens(teamId);
+    return workspaceTokens
+      ? { client: this.createClient(workspaceTokens), identity: 'workspace', tokens: workspaceTokens }
+      : null;
+  }
+
+  // Refresh access token if needed. Tokens must be refreshed on the host that issued them.
+  async refreshToken(refreshToken, clientId, clientSecret, loginUrl = 'https://login.salesforce.com') {
+    try {
+      const body = new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: clientId
+      });
+      if (clientSecret) {
+        body.append('client_secret', clientSecret);
+      }
+
+      const response = await axios.post(`${loginUrl}/services/oauth2/token`, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      return {
+        access_token: response.data.access_token,
+        instance_url: response.data.instance_url,
+        refresh_token: response.data.refresh_token || refreshToken
+      };
+    } catch (error) {
+      console.error('Error refreshing Salesforce token:', error.response?.data || error.message);
+      throw new Error('Failed to refresh Salesforce token');
+    }
+  }
+
+  // Check whether a failed call was rejected because the access token expired
+  isSessionExpired(error) {
+    const data = error.response?.data;
+    const errorCode = Array.isArray(data) ? data[0]?.errorCode : data?.errorCode;
+    return error.response?.status === 401 || errorCode === 'INVALID_SESSION_ID';
+  }
+
+  // Refresh a user's tokens and persist them. Only one refresh runs per user at a time;
+  // callers that hit an expired token while it runs wait for the same result.
+  async refreshUserTokens(tokens) {
+    const lockKey = `${tokens.teamId}:${tokens.userId}`;
+    if (this.refreshLocks.has(lockKey)) {
+      return this.refreshLocks.get(lockKey);
+    }
+
+    const refresh = (async () => {
+      // Another request may already have refreshed and saved newer tokens
+      const latest = await redisService.getSalesforceTokens(tokens.teamId, tokens.userId);
+      if (latest?.access_token && latest.access_token !== tokens.access_token) {
+        return latest;
+      }
+
+      console.log(`Salesforce access token expired for user ${tokens.userId}, refreshing...`);
+      const refreshed = await this.refreshToken(
+        tokens.refresh_token,
+        process.env.SALESFORCE_CLIENT_ID,
+        process.env.SALESFORCE_CLIENT_SECRET,
+        tokens.login_url
+      );
+
+      const updatedTokens = {
+        ...tokens,
+        access_token: refreshed.access_token,
+        refresh_token: refreshed.refresh_token,
+        instance_url: refreshed.instance_url || tokens.instance_url
+      };
+      await redisService.saveSalesforceTokens(tokens.teamId, tokens.userId, updatedTokens);
+      console.log(`Salesforce tokens refreshed and saved for user ${tokens.userId}`);
+      return updatedTokens;
+    })();
+
+    this.refreshLocks.set(lockKey, refresh);
+    try {
+      return await refresh;
+    } finally {
+      this.refreshLocks.delete(lockKey);
+    }
+  }
+}
+
 module.exports = new SalesforceService();
@@ -0,0 +1,767 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const salesforceService = require('./salesforceService');
+const llmService = require('./llmService');
+const salesforceQuery = require('./salesforceQuery');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Objects channels can subscribe to, and the fields shown on their notification cards
+const CARD_FIELDS = {
+  Opportunity: [
+    { path: 'Amount', label: 'Amount', type: 'currency' },
+    { path: 'StageName', label: 'Stage' },
+    { path: 'CloseDate', label: 'Close Date' },
+    { path: 'Account.Name', label: 'Account' },
+    { path: 'Owner.Name', label: 'Owner' },
+  ],
+  Case: [
+    { path: 'Status', label: 'Status' },
+    { path: 'Priority', label: 'Priority' },
+    { path: 'Account.Name', label: 'Account' },
+    { path: 'Owner.Name', label: 'Owner' },
+  ],
+  Lead: [
+    { path: 'Company', label: 'Company' },
+    { path: 'Status', label: 'Status' },
+    { path: 'LeadSource', label: 'Lead Source' },
+    { path: 'Owner.Name', label: 'Owner' },
+  ],
+  Account: [
+    { path: 'Industry', label: 'Industry' },
+    { path: 'Type', label: 'Type' },
+    { path: 'AnnualRevenue', label: 'Annual Revenue', type: 'currency' },
+    { path: 'Owner.Name', label: 'Owner' },
+  ],
+  Contact: [
+    { path: 'Title', label: 'Title' },
+    { path: 'Email', label: 'Email' },
+    { path: 'Account.Name', label: 'Account' },
+    { path: 'Owner.Name', label: 'Owner' },
+  ],
+};
+const SUBSCRIBABLE_OBJECTS = Object.keys(CARD_FIELDS);
+
+// Fields a record is referred to by on its card; the first is its title
+const TITLE_FIELDS = { Case: ['CaseNumber', 'Subject'] };
+
+// created: records created after the alert was added that match; changed: records that go
+// from not matching to matching (an edit to a record that already matched doesn't alert)
+const TRIGGERS = [
+  { value: 'changed', label: 'Records that change to match' },
+  { value: 'created', label: 'New records that match' },
+];
+
+const MAX_SUBSCRIPTIONS = 10;
+const SUBSCRIPTIONS_TTL_SECONDS = 365 * 24 * 3600;
+
+// Whether a record matched an alert when last seen; refreshed each time it is seen matching
+const SEEN_TTL_SECONDS = 365 * 24 * 3600;
+
+// Records posted per alert per poll, so a bulk data load can't flood a channel
+const MAX_MATCHES_PER_POLL = 20;
+
+// Changed records read per query while polling, and queries per alert per poll
+const POLL_PAGE_SIZE = 100;
+const MAX_POLL_PAGES = 10;
+
+// Records remembered as already matching when a "changed" alert is added
+const MAX_SEEDED_MATCHES = 2000;
+
+// Only one poller runs per team at a time, even with several app instances
+const POLL_LOCK_SECONDS = 55;
+
+/** Generate storage keys */
+function subscriptionsKey(teamId) {
+  return `salesforce_subscriptions:${teamId}`;
+}
+
+function cursorKey(teamId, subscriptionId) {
+  return `salesforce_subscription_cursor:${teamId}:${subscriptionId}`;
+}
+
+function seenKey(subscriptionId, recordId) {
+  return `salesforce_subscription_seen:${subscriptionId}:${recordId}`;
+}
+
+// Teams with at least one alert, so the poller knows where to look
+const TEAMS_KEY = 'salesforce_subscription_teams';
+
+/** Get all alerts for a team */
+async function getSubscriptions(teamId) {
+  try {
+    const data = await redisService.get(subscriptionsKey(teamId));
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    logger.error('Error getting Salesforce subscriptions:', error);
+    return [];
+  }
+}
+
+async function saveSubscriptions(teamId, subscriptions) {
+  await redisService.set(subscriptionsKey(teamId), JSON.stringify(subscriptions), SUBSCRIPTIONS_TTL_SECONDS);
+
+  const teams = JSON.parse((await redisService.get(TEAMS_KEY)) || '[]');
+  const listed = teams.includes(teamId);
+  if (subscriptions.length > 0 && !listed) {
+    await redisService.set(TEAMS_KEY, JSON.stringify([...teams, teamId]));
+  } else if (subscriptions.length === 0 && listed) {
+    await redisService.set(TEAMS_KEY, JSON.stringify(teams.filter((id) => id !== teamId)));
+  }
+}
+
+/** Add an alert that posts matching records to a channel */
+async function addSubscription(teamId, subscriptionData) {
+  try {
+    const subscriptions = await getSubscriptions(teamId);
+    if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+      return { success: false, error: `Maximum of ${MAX_SUBSCRIPTIONS} Salesforce alerts per workspace` };
+    }
+
+    const subscription = {
+      id: crypto.randomBytes(6).toString('hex'),
+      channelId: subscriptionData.channelId,
+      objectType: subscriptionData.objectType,
+      trigger: subscriptionData.trigger || 'changed',
+      criteria: subscriptionData.criteria,
+      filter: subscriptionData.filter,
+      enabled: true,
+      createdBy: subscriptionData.createdBy,
+      createdAt: new Date().toISOString(),
+    };
+
+    subscriptions.push(subscription);
+    await saveSubscriptions(teamId, subscriptions);
+
+    logger.info('Added Salesforce subscription:', { teamId, id: subscription.id, objectType: subscription.objectType });
+    return { success: true, subscription };
+  } catch (error) {
+    logger.error('Error adding Salesforce subscription:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/** Update an alert */
+async function updateSubscription(teamId, subscriptionId, updates) {
+  try {
+    const subscriptions = await getSubscriptions(teamId);
+    const index = subscriptions.findIndex((subscription) => subscription.id === subscriptionId);
+    if (index === -1) {
+      return { success: false, error: 'Alert not found' };
+    }
+
+    subscriptions[index] = { ...subscriptions[index], ...updates, updatedAt: new Date().toISOString() };
+    await saveSubscriptions(teamId, subscriptions);
+
+    logger.info('Updated Salesforce subscription:', { teamId, subscriptionId, updates });
+    return { success: true, subscription: subscriptions[index] };
+  } catch (error) {
+    logger.error('Error updating Salesforce subscription:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/** Remove an alert */
+async function removeSubscription(teamId, subscriptionId) {
+  try {
+    const subscriptions = await getSubscriptions(teamId);
+    const remaining = subscriptions.filter((subscription) => subscription.id !== subscriptionId);
+    if (remaining.length === subscriptions.length) {
+      return { success: false, error: 'Alert not found' };
+    }
+
+    await saveSubscriptions(teamId, remaining);
+    await redisService.del(cursorKey(teamId, subscriptionId));
+
+    logger.info('Removed Salesforce subscription:', { teamId, subscriptionId });
+    return { success: true };
+  } catch (error) {
+    logger.error('Error removing Salesforce subscription:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/** Get the team's webhook token, creating it on first use */
+async function getWebhookToken(teamId) {
+  const key = `salesforce_webhook_token:${teamId}`;
+  let token = await redisService.get(key);
+  if (!token) {
+    token = crypto.randomBytes(24).toString('hex');
+    await redisService.set(key, token);
+  }
+  return token;
+}
+
+/** URL Salesforce outbound messages or Flow callouts post to, or null without APP_BASE_URL */
+async function getWebhookUrl(teamId) {
+  if (!process.env.APP_BASE_URL) return null;
+  const token = await getWebhookToken(teamId);
+  return `${process.env.APP_BASE_URL.replace(/\/+$/, '')}/salesforce/notify/${teamId}/${token}`;
+}
+
+/** Check a webhook token in constant time */
+async function verifyWebhookToken(teamId, token) {
+  const expected = await redisService.get(`salesforce_webhook_token:${teamId}`);
+  if (!expected || !token || expected.length !== token.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/** Ask the model to turn the admin's description into a SOQL WHERE condition */
+async function generateFilter(objectType, criteria, describe, options = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You turn a description of which ${objectType} records a Slack channel should be alerted about into a SOQL WHERE condition. ` +
+        'Respond with only the condition (no WHERE keyword, SELECT, ORDER BY, LIMIT or explanation). ' +
+        'Describe the state a record is in when it should alert, e.g. "move to Closed Won" is StageName = \'Closed Won\'. ' +
+        `Respond with NONE if every record should alert.\n\nFields on ${objectType}:\n${salesforceQuery.describeFieldsForPrompt(describe)}`
+    },
+    {
+      role: 'user',
+      content: criteria
+    }
+  ];
+
+  const completion = await llmService.createCompletion(messages, { teamId: options.teamId, temperature: 0 });
+  const condition = (completion.content || '').replace(/```(?:sql|soql)?/gi, '').replace(/^\s*WHERE\s+/i, '').trim();
+  return /^NONE$/i.test(condition) ? '' : condition;
+}
+
+/**
+ * Build and check the filter for an alert. The condition must fit in a read-only
+ * query on the object and Salesforce must accept it. Resolves with the condition.
+ */
+async function buildFilter(salesforceClient, objectType, criteria, options = {}) {
+  if (!SUBSCRIBABLE_OBJECTS.includes(objectType)) {
+    throw new Error(`Alerts on ${objectType} are not supported`);
+  }
+
+  const describe = await salesforceQuery.describeObject(salesforceClient, objectType);
+  const filter = await generateFilter(objectType, criteria, describe, options);
+  logger.info('Generated alert filter:', filter);
+
+  if (/\b(ORDER\s+BY|GROUP\s+BY|LIMIT|OFFSET|FROM)\b/i.test(filter.replace(/'(?:\\.|[^'\\])*'/g, "''"))) {
+    throw new Error('The alert criteria must be a simple filter');
+  }
+  const { soql } = salesforceQuery.validateSoql(`SELECT Id FROM ${objectType}${filter ? ` WHERE ${filter}` : ''}`, objectType, describe);
+
+  const check = await salesforceClient.queryRecords(soql.replace(/\bLIMIT\s+\d+\s*$/i, 'LIMIT 1'));
+  if (!check.success) {
+    throw new Error(`Salesforce rejected the alert criteria: ${check.error}`);
+  }
+  return filter;
+}
+
+/** SOQL for which of `recordIds` match an alert now, with the fields its card shows */
+function matchingSoql(subscription, recordIds) {
+  const fields = Array.from(new Set([
+    'Id',
+    ...(TITLE_FIELDS[subscription.objectType] || ['Name']),
+    'LastModifiedDate',
+    ...CARD_FIELDS[subscription.objectType].map((field) => field.path),
+  ]));
+
+  const conditions = [`Id IN (${recordIds.map(soqlBuilder.formatValue).join(', ')})`];
+  if (subscription.filter) conditions.push(`(${subscription.filter})`);
+  if (subscription.trigger === 'created') conditions.push(`CreatedDate >= ${soqlBuilder.formatValue(new Date(subscription.createdAt))}`);
+
+  return `SELECT ${fields.join(', ')} FROM ${subscription.objectType} WHERE ${conditions.join(' AND ')} LIMIT ${recordIds.length}`;
+}
+
+/**
+ * SOQL for the next page of records changed after the cursor. Records sharing the
+ * cursor's timestamp are ordered by Id, so a bulk update that gives many records the
+ * same LastModifiedDate can't hide any of them past a page boundary.
+ */
+function changedSoql(subscription, cursor) {
+  const since = soqlBuilder.formatValue(new Date(cursor.date));
+  const conditions = [cursor.id
+    ? `(LastModifiedDate > ${since} OR (LastModifiedDate = ${since} AND Id > ${soqlBuilder.formatValue(cursor.id)}))`
+    : `LastModifiedDate >= ${since}`];
+  if (subscription.trigger === 'created') conditions.push(`CreatedDate >= ${soqlBuilder.formatValue(new Date(subscription.createdAt))}`);
+
+  return `SELECT Id, LastModifiedDate FROM ${subscription.objectType} WHERE ${conditions.join(' AND ')} ` +
+    `ORDER BY LastModifiedDate ASC, Id ASC LIMIT ${POLL_PAGE_SIZE}`;
+}
+
+/** Where polling left off: the last record handled, or when the alert was added */
+async function getCursor(teamId, subscription) {
+  const saved = await redisService.get(cursorKey(teamId, subscription.id));
+  if (!saved) return { date: subscription.createdAt, id: null };
+  try {
+    const cursor = JSON.parse(saved);
+    if (cursor?.date) return cursor;
+  } catch (error) {
+    // Cursors saved before records were tracked by Id hold just the timestamp
+  }
+  return { date: saved, id: null };
+}
+
+/**
+ * Records among `recordIds` (seen changing, in order) that newly match the alert.
+ * Whether each record matched when last seen is remembered, so a "changed" alert
+ * fires when a record starts matching, not on every edit of one that already did; a
+ * "created" alert fires once per record. Stops after `limit` matches and resolves
+ * with { matches, processed }, processed being how many of `recordIds` were handled.
+ */
+async function newMatches(subscription, recordIds, matchingRecords, limit = Infinity) {
+  const matching = new Map(matchingRecords.map((record) => [record.Id, record]));
+  const matches = [];
+  let processed = 0;
+
+  for (const recordId of recordIds) {
+    if (matches.length >= limit) break;
+    processed++;
+
+    // The state is claimed with SET NX, so a poll and a notification seeing the same
+    // record at once post it only once
+    const key = seenKey(subscription.id, recordId);
+    const record = matching.get(recordId);
+    if (record) {
+      if (await redisService.setIfAbsent(key, '1', SEEN_TTL_SECONDS)) {
+        matches.push(record);
+      } else {
+        await redisService.expire(key, SEEN_TTL_SECONDS);
+      }
+    } else if (subscription.trigger === 'changed') {
+      await redisService.del(key);
+    }
+  }
+  return { matches, processed };
+}
+
+/**
+ * Remember the records that already match a new "changed" alert, so only records that
+ * start matching afterwards are posted. Past the first MAX_SEEDED_MATCHES, records that
+ * already matched are posted on their next change. Resolves with the number remembered.
+ */
+async function rememberCurrentMatches(salesforceClient, subscription) {
+  if (subscription.trigger !== 'changed') return 0;
+
+  const soql = `SELECT Id FROM ${subscription.objectType}${subscription.filter ? ` WHERE ${subscription.filter}` : ''} ` +
+    `ORDER BY Id ASC LIMIT ${MAX_SEEDED_MATCHES}`;
+  const result = await salesforceClient.queryRecords(soql, { batchSize: MAX_SEEDED_MATCHES });
+  if (!result.success) {
+    logger.error('Error reading current matches for Salesforce alert:', { id: subscription.id, error: result.error });
+    return 0;
+  }
+
+  for (const record of result.records) {
+    await redisService.set(seenKey(subscription.id, record.Id), '1', SEEN_TTL_SECONDS);
+  }
+  return result.records.length;
+}
+
+/** Salesforce client for an alert: the admin who added it, or the workspace connection */
+async function clientFor(teamId, subscription) {
+  const connection = await salesforceService.getConnection(teamId, subscription.createdBy);
+  return connection ? connection.client : null;
+}
+
+/** Post a notification card for each record */
+async function postMatches(slackClient, subscription, salesforceClient, records) {
+  for (const record of records) {
+    await slackClient.chat.postMessage({
+      channel: subscription.channelId,
+      text: `Salesforce alert: ${subscription.objectType} ${recordTitle(subscription, record)}`,
+      blocks: notificationBlocks(subscription, record, salesforceClient.recordUrl(subscription.objectType, record.Id)),
+    });
+  }
+}
+
+// ============================================================================
+// POLLING AND WEBHOOKS
+// ============================================================================
+
+/**
+ * Check one alert for records modified since its cursor, post the new matches and
+ * move the cursor on, a page at a time until a page comes back short. The first poll
+ * starts from when the alert was added. At most MAX_MATCHES_PER_POLL cards are posted;
+ * the cursor stops at the last record handled, so the rest are posted next time.
+ */
+async function pollSubscription(slackClient, teamId, subscription) {
+  const salesforceClient = await clientFor(teamId, subscription);
+  if (!salesforceClient) {
+    logger.error('Skipping Salesforce alert without a connection:', { teamId, id: subscription.id });
+    return 0;
+  }
+
+  let cursor = await getCursor(teamId, subscription);
+  let posted = 0;
+  for (let page = 0; page < MAX_POLL_PAGES && posted < MAX_MATCHES_PER_POLL; page++) {
+    const changed = await salesforceClient.queryRecords(changedSoql(subscription, cursor));
+    if (!changed.success) {
+      logger.error('Error polling Salesforce alert:', { id: subscription.id, error: changed.error });
+      break;
+    }
+    if (changed.records.length === 0) break;
+
+    const recordIds = changed.records.map((record) => record.Id);
+    const matching = await salesforceClient.queryRecords(matchingSoql(subscription, recordIds));
+    if (!matching.success) {
+      logger.error('Error polling Salesforce alert:', { id: subscription.id, error: matching.error });
+      break;
+    }
+
+    const { matches, processed } = await newMatches(subscription, recordIds, matching.records, MAX_MATCHES_PER_POLL - posted);
+    await postMatches(slackClient, subscription, salesforceClient, matches);
+    posted += matches.length;
+
+    const last = changed.records[processed - 1];
+    cursor = { date: last.LastModifiedDate, id: last.Id };
+    await redisService.set(cursorKey(teamId, subscription.id), JSON.stringify(cursor), SUBSCRIPTIONS_TTL_SECONDS);
+
+    if (changed.records.length < POLL_PAGE_SIZE) break;
+  }
+  return posted;
+}
+
+/** Poll every enabled alert of every team. Errors are logged so one team can't stop the rest. */
+async function pollAll(slackClient) {
+  const teams = JSON.parse((await redisService.get(TEAMS_KEY)) || '[]');
+
+  for (const teamId of teams) {
+    try {
+      const lockKey = `salesforce_subscription_poll_lock:${teamId}`;
+      if (!(await redisService.setIfAbsent(lockKey, '1', POLL_LOCK_SECONDS))) continue;
+
+      const subscriptions = (await getSubscriptions(teamId)).filter((subscription) => subscription.enabled);
+      for (const subscription of subscriptions) {
+        const posted = await pollSubscription(slackClient, teamId, subscription);
+        if (posted > 0) {
+          logger.info('Posted Salesforce alerts:', { teamId, id: subscription.id, posted });
+        }
+      }
+    } catch (error) {
+      logger.error('Error polling Salesforce alerts:', { teamId, error: error.message });
+    }
+  }
+}
+
+/**
+ * Read an outbound message (SOAP XML) or a JSON callout ({ objectType, recordIds })
+ * into { objectType, recordIds }. Outbound messages only need to send the Id field.
+ */
+function parseNotification(body, contentType = '') {
+  if (/json/i.test(contentType)) {
+    const data = JSON.parse(body);
+    return {
+      objectType: data.objectType,
+      recordIds: (data.recordIds || (data.recordId ? [data.recordId] : [])).map(String),
+    };
+  }
+
+  const objectType = (body.match(/<sObject[^>]*xsi:type="(?:\w+:)?(\w+)"/) || [])[1];
+  const recordIds = [...body.matchAll(/<sObject[^>]*>[\s\S]*?<(?:\w+:)?Id>([a-zA-Z0-9]{15,18})<\/(?:\w+:)?Id>/g)]
+    .map((match) => match[1])
+    .filter((id, index, all) => all.indexOf(id) === index);
+  return { objectType, recordIds };
+}
+
+// Outbound messages are retried until Salesforce gets this acknowledgement
+const OUTBOUND_MESSAGE_ACK = '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"><soapenv:Body>' +
+  '<notificationsResponse xmlns="http://soap.sforce.com/2005/09/outbound"><Ack>true</Ack></notificationsResponse>' +
+  '</soapenv:Body></soapenv:Envelope>';
+
+/**
+ * Check records pushed by Salesforce against the team's alerts on that object and
+ * post the ones that match. Resolves with the number of cards posted.
+ */
+async function handleNotification(slackClient, teamId, { objectType, recordIds }) {
+  const ids = (recordIds || []).filter((id) => /^[a-zA-Z0-9]{15,18}$/.test(id)).slice(0, 100);
+  if (!SUBSCRIBABLE_OBJECTS.includes(objectType) || ids.length === 0) return 0;
+
+  const subscriptions = (await getSubscriptions(teamId))
+    .filter((subscription) => subscription.enabled && subscription.objectType === objectType);
+
+  let posted = 0;
+  for (const subscription of subscriptions) {
+    const salesforceClient = await clientFor(teamId, subscription);
+    if (!salesforceClient) continue;
+
+    const result = await salesforceClient.queryRecords(matchingSoql(subscription, ids));
+    if (!result.success) {
+      logger.error('Error checking Salesforce notification:', { id: subscription.id, error: result.error });
+      continue;
+    }
+
+    const { matches } = await newMatches(subscription, ids, result.records);
+    await postMatches(slackClient, subscription, salesforceClient, matches);
+    posted += matches.length;
+  }
+
+  logger.info('Handled Salesforce notification:', { teamId, objectType, records: ids.length, posted });
+  return posted;
+}
+
+// ============================================================================
+// UI COMPONENTS - ALERT CARDS AND MODALS
+// ============================================================================
+
+function recordTitle(subscription, record) {
+  const titleField = (TITLE_FIELDS[subscription.objectType] || ['Name'])[0];
+  return record[titleField] || record.Id;
+}
+
+function formatCardValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (field.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  return String(value);
+}
+
+/**
+ * Notification card for a record matching an alert
+ */
+function notificationBlocks(subscription, record, url) {
+  const fields = CARD_FIELDS[subscription.objectType]
+    .map((field) => ({ field, value: formatCardValue(field, field.path.split('.').reduce((value, key) => value?.[key], record)) }))
+    .filter(({ value }) => value !== null)
+    .map(({ field, value }) => ({ type: 'mrkdwn', text: `*${field.label}*\n${value}` }));
+
+  const title = subscription.objectType === 'Case' && record.Subject
+    ? `${recordTitle(subscription, record)}: ${record.Subject}`
+    : recordTitle(subscription, record);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔔 *${subscription.objectType} <${url}|${title}>*`,
+      },
+    },
+  ];
+  if (fields.length > 0) {
+    blocks.push({ type: 'section', fields: fields.slice(0, 10) });
+  }
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `Salesforce alert: ${subscription.criteria}` }],
+  });
+  return blocks;
+}
+
+/**
+ * Add Salesforce Alert Modal. values re-fills the form after a failed submission.
+ */
+function addSubscriptionModal(values = {}, error = null) {
+  const objectOption = (objectType) => ({ text: { type: 'plain_text', text: objectType }, value: objectType });
+  const triggerOption = (trigger) => ({ text: { type: 'plain_text', text: trigger.label }, value: trigger.value });
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Post a card to a channel when Salesforce records match a description, e.g. _Opportunities over $100k that move to Closed Won_ or _new P1 Cases_.',
+      },
+    },
+  ];
+
+  if (error) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `❌ ${error}` }],
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'input',
+      block_id: 'subscription_channel',
+      element: {
+        type: 'conversations_select',
+        action_id: 'subscription_channel_input',
+        ...(values.channelId ? { initial_conversation: values.channelId } : {}),
+        filter: { include: ['public', 'private'], exclude_bot_users: true },
+        placeholder: { type: 'plain_text', text: 'Select a channel' },
+      },
+      label: { type: 'plain_text', text: 'Channel' },
+    },
+    {
+      type: 'input',
+      block_id: 'subscription_object',
+      element: {
+        type: 'static_select',
+        action_id: 'subscription_object_input',
+        ...(values.objectType ? { initial_option: objectOption(values.objectType) } : {}),
+        placeholder: { type: 'plain_text', text: 'Select a record type' },
+        options: SUBSCRIBABLE_OBJECTS.map(objectOption),
+      },
+      label: { type: 'plain_text', text: 'Record Type' },
+    },
+    {
+      type: 'input',
+      block_id: 'subscription_trigger',
+      element: {
+        type: 'radio_buttons',
+        action_id: 'subscription_trigger_input',
+        initial_option: triggerOption(TRIGGERS.find((trigger) => trigger.value === values.trigger) || TRIGGERS[0]),
+        options: TRIGGERS.map(triggerOption),
+      },
+      label: { type: 'plain_text', text: 'Alert On' },
+    },
+    {
+      type: 'input',
+      block_id: 'subscription_criteria',
+      element: {
+        type: 'plain_text_input',
+        action_id: 'subscription_criteria_input',
+        multiline: true,
+        ...(values.criteria ? { initial_value: values.criteria } : {}),
+        placeholder: { type: 'plain_text', text: 'e.g. Amount over 100k and stage is Closed Won' },
+      },
+      label: { type: 'plain_text', text: 'Which Records' },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '💡 *Tip:* The bot must be a member of private channels. Each record is posted once per alert.',
+        },
+      ],
+    }
+  );
+
+  return {
+    type: 'modal',
+    callback_id: 'add_salesforce_subscription',
+    title: { type: 'plain_text', text: 'Add Salesforce Alert' },
+    submit: { type: 'plain_text', text: 'Add Alert' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks,
+  };
+}
+
+/**
+ * Simple modal with a message, shown while an alert is checked and after it is added
+ */
+function subscriptionStatusModal(text) {
+  return {
+    type: 'modal',
+    callback_id: 'salesforce_subscription_status',
+    title: { type: 'plain_text', text: 'Salesforce Alerts' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }],
+  };
+}
+
+/**
+ * Manage Salesforce Alerts Modal
+ */
+function manageSubscriptionsModal(subscriptions, webhookUrl) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Salesforce Alerts*\n\nChannels that get a card when Salesforce records match.',
+      },
+    },
+  ];
+
+  if (subscriptions.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'No alerts yet. Click "Add Alert" to get started.',
+      },
+    });
+  }
+
+  subscriptions.forEach((subscription) => {
+    const trigger = TRIGGERS.find((option) => option.value === subscription.trigger);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `${subscription.enabled ? '✅' : '❌'} *${subscription.objectType}* → <#${subscription.channelId}>\n` +
+          `${subscription.criteria}\n` +
+          `_${trigger ? trigger.label : subscription.trigger}_ · Filter: \`${subscription.filter || 'all records'}\``,
+      },
+      accessory: {
+        type: 'overflow',
+        action_id: 'salesforce_subscription_actions',
+        options: [
+          {
+            text: { type: 'plain_text', text: subscription.enabled ? 'Disable' : 'Enable' },
+            value: `toggle_${subscription.id}`,
+          },
+          {
+            text: { type: 'plain_text', text: 'Remove' },
+            value: `remove_${subscription.id}`,
+          },
+        ],
+      },
+    });
+  });
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: webhookUrl
+          ? `Changes are checked every few minutes. For instant alerts, send a Salesforce outbound message (with the Id field) or a Flow HTTP callout to:\n\`${webhookUrl}\``
+          : 'Changes are checked every few minutes. Set APP_BASE_URL to get a webhook URL for instant alerts.',
+      },
+    ],
+  });
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Add Alert' },
+        action_id: 'add_salesforce_subscription',
+        style: 'primary',
+      },
+    ],
+  });
+
+  return {
+    type: 'modal',
+    callback_id: 'manage_salesforce_subscriptions',
+    title: { type: 'plain_text', text: 'Salesforce Alerts' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks,
+  };
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  SUBSCRIBABLE_OBJECTS,
+  OUTBOUND_MESSAGE_ACK,
+  getSubscriptions,
+  addSubscription,
+  updateSubscription,
+  removeSubscription,
+  getWebhookUrl,
+  verifyWebhookToken,
+  buildFilter,
+  rememberCurrentMatches,
+  pollAll,
+  parseNotification,
+  handleNotification,
+
+  // UI Components
+  notificationBlocks,
+  addSubscriptionModal,
+  subscriptionStatusModal,
+  manageSubscriptionsModal,
+};
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const entityExtractor = require('./entityExtractor');
+const soqlBuilder = require('./soqlBuilder');
+
+// Simple logger for now
+const logger = {
+  info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
+  error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
+};
+
+// Objects that can be updated from chat, and the field users refer to them by
+const NAME_FIELDS = {
+  Opportunity: 'Name',
+  Account: 'Name',
+  Contact: 'Name',
+  Lead: 'Name',
+  Case: 'Subject',
+  Task: 'Subject',
+};
+
+// Pending updates expire if nobody confirms them within a day
+const UPDATE_TTL_SECONDS = 24 * 3600;
+
+// Candidates offered when several records match
+const MAX_CANDIDATES = 10;
+
+/** Generate storage key for a pending record update in a conversation */
+function updateKey(teamId, channelId, threadTs) {
+  return `salesforce_update:${teamId}:${channelId}:${threadTs || 'main'}`;
+}
+
+/** Get the pending update for a conversation */
+async function getUpdate(teamId, channelId, threadTs) {
+  try {
+    const data = await redisService.get(updateKey(teamId, channelId, threadTs));
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Error getting Salesforce update:', error);
+    return null;
+  }
+}
+
+/** A new id for a pending update; cards carry it so a stale card can't act on a newer update */
+function newUpdateId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Save a pending update; status is 'choosing' until a single record is picked, then 'confirming'.
+ * An update keeps its id across saves; a new update gets a fresh one.
+ */
+async function saveUpdate(update) {
+  try {
+    const savedUpdate = {
+      ...update,
+      updateId: update.updateId || newUpdateId(),
+      status: update.record ? 'confirming' : 'choosing',
+      updatedAt: new Date().toISOString(),
+    };
+
+    const key = updateKey(update.teamId, update.channelId, update.threadTs);
+    await redisService.set(key, JSON.stringify(savedUpdate), UPDATE_TTL_SECONDS);
+
+    logger.info('Saved Salesforce update:', { key, status: savedUpdate.status });
+    return savedUpdate;
+  } catch (error) {
+    logger.error('Error saving Salesforce update:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete the pending update for a conversation. Resolves with true only for the
+ * caller that actually removed it, so it doubles as an atomic claim.
+ */
+async function deleteUpdate(teamId, channelId, threadTs) {
+  try {
+    const removed = await redisService.del(updateKey(teamId, channelId, threadTs));
+    return removed > 0;
+  } catch (error) {
+    logger.error('Error deleting Salesforce update:', error);
+    return false;
+  }
+}
+
+/** Reference to an update that fits in a button value */
+function updateRef(update) {
+  return JSON.stringify({
+    teamId: update.teamId,
+    channelId: update.channelId,
+    threadTs: update.threadTs || null,
+    updateId: update.updateId,
+  });
+}
+
+/** Normalize a requested value against the field's describe metadata */
+function normalizeFieldValue(field, value) {
+  const text = String(value).trim();
+
+  switch (field.type) {
+    case 'picklist': {
+      const options = (field.picklistValues || []).filter((option) => option.active).map((option) => option.value);
+      const match = options.find((option) => option.toLowerCase() === text.toLowerCase());
+      return match
+        ? { value: match }
+        : { error: `"${text}" is not a valid ${field.label}. Choose one of: ${options.join(', ')}` };
+    }
+    case 'currency':
+    case 'double':
+    case 'percent':
+    case 'int': {
+      const amount = entityExtractor.parseAmount(value);
+      if (amount === null) return { error: `"${text}" is not a valid number for ${field.label}` };
+      return { value: field.type === 'int' ? Math.round(amount) : amount };
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text))
+        ? { value: text }
+        : { error: `"${text}" is not a valid date (YYYY-MM-DD) for ${field.label}` };
+    case 'boolean': {
+      if (/^(true|yes|checked|1)$/i.test(text)) return { value: true };
+      if (/^(false|no|unchecked|0)$/i.test(text)) return { value: false };
+      return { error: `"${text}" is not a yes/no value for ${field.label}` };
+    }
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text)
+        ? { value: text }
+        : { error: `"${text}" is not a valid email address` };
+    case 'reference':
+      return { error: `${field.label} is a lookup field and can't be changed from chat yet` };
+    default:
+      if (field.length && text.length > field.length) {
+        return { error: `${field.label} can be at most ${field.length} characters` };
+      }
+      return { value: text };
+  }
+}
+
+/**
+ * Match requested changes ({ field name or label: value }) to updateable fields
+ * and validate the values. Pass access 'createable' to check fields for a new record.
+ * Returns { changes, fields, errors }.
+ */
+function resolveChanges(describe, requested, access = 'updateable') {
+  const changes = {};
+  const fields = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(requested || {})) {
+    const wanted = key.trim().toLowerCase();
+    const field = describe.fields.find((candidate) => candidate.name.toLowerCase() === wanted)
+      || describe.fields.find((candidate) => candidate.label.toLowerCase() === wanted);
+
+    if (!field) {
+      errors.push(`${describe.name} has no field called "${key}"`);
+      continue;
+    }
+    if (!field[access]) {
+      errors.push(`${field.label} can't be ${access === 'createable' ? 'set' : 'edited'}`);
+      continue;
+    }
+
+    const result = value === null || value === '' ? { value: null } : normalizeFieldValue(field, value);
+    if (result.error) {
+      errors.push(result.error);
+      continue;
+    }
+
+    changes[field.name] = result.value;
+    fields[field.name] = { label: field.label, type: field.type };
+  }
+
+  return { changes, fields, errors };
+}
+
+/** Find records of a type by Id or (partial) name, for the user to pick from */
+async function findRecords(salesforceClient, objectType, describe, search) {
+  const nameField = NAME_FIELDS[objectType];
+  const allowedFields = describe.fields.map((field) => field.name);
+  const query = soqlBuilder.from(objectType, allowedFields).select(['Id', nameField]);
+
+  if (/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(search)) {
+    query.whereAny([['Id', '=', search], [nameField, 'LIKE', search]]);
+  } else {
+    query.where(nameField, 'LIKE', search);
+  }
+
+  const result = await salesforceClient.queryRecords(query.orderBy(nameField).limit(MAX_CANDIDATES).build());
+  if (!result.success) {
+    throw new Error(`Could not search ${objectType} records: ${result.error}`);
+  }
+
+  return result.records.map((record) => ({ Id: record.Id, name: record[nameField] }));
+}
+
+/** Read the record's current values for the fields being changed */
+async function loadCurrentValues(salesforceClient, objectType, describe, recordId, fieldNames) {
+  const nameField = NAME_FIELDS[objectType];
+  const allowedFields = describe.fields.map((field) => field.name);
+  const selected = Array.from(new Set(['Id', nameField, ...fieldNames]));
+
+  const soql = soqlBuilder.from(objectType, allowedFields)
+    .select(selected)
+    .where('Id', '=', recordId)
+    .limit(1)
+    .build();
+  const result = await salesforceClient.queryRecords(soql);
+  if (!result.success || result.records.length === 0) {
+    throw new Error(result.error || `${objectType} ${recordId} was not found`);
+  }
+
+  const record = result.records[0];
+  return {
+    Id: record.Id,
+    name: record[nameField],
+    url: salesforceClient.recordUrl(objectType, record.Id),
+    before: Object.fromEntries(fieldNames.map((name) => [name, record[name] ?? null])),
+  };
+}
+
+// ============================================================================
+// UI COMPONENTS - DISAMBIGUATION AND DIFF CARDS
+// ============================================================================
+
+/** Format a field value for display */
+function formatFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return '_empty_';
+  if (field.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  if (field.type === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Card asking which record to update when several match
+ */
+function chooseRecordBlocks(update) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔍 *${update.candidates.length} ${update.objectType} records match "${update.search}".* Which one should be updated?`,
+      },
+      accessory: {
+        type: 'static_select',
+        action_id: 'salesforce_update_pick',
+        placeholder: { type: 'plain_text', text: `Choose ${update.objectType}` },
+        options: update.candidates.map((candidate) => ({
+          text: { type: 'plain_text', text: String(candidate.name || candidate.Id).substring(0, 75) },
+          value: JSON.stringify({ ...JSON.parse(updateRef(update)), recordId: candidate.Id }),
+        })),
+      },
+    },
+    {
+      type: 'actions',
+      block_id: 'salesforce_update_actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Cancel' },
+          style: 'danger',
+          action_id: 'salesforce_update_cancel',
+          value: updateRef(update),
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Before/after card shown before a record is changed in Salesforce
+ */
+function diffCardBlocks(update) {
+  const changes = Object.entries(update.changes).map(([name, value]) => {
+    const field = update.fields[name];
+    return {
+      type: 'mrkdwn',
+      text: `*${field.label}*\n${formatFieldValue(field, update.record.before[name])} → *${formatFieldValue(field, value)}*`,
+    };
+  });
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `✏️ *Update ${update.objectType} <${update.record.url}|${update.record.name || update.record.Id}>*\nNothing is changed until you confirm.`,
+      },
+    },
+  ];
+
+  // Section blocks allow at most 10 fields
+  for (let i = 0; i < changes.length; i += 10) {
+    blocks.push({ type: 'section', fields: changes.slice(i, i + 10) });
+  }
+
+  blocks.push({
+    type: 'actions',
+    block_id: 'salesforce_update_actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Apply changes' },
+        style: 'primary',
+        action_id: 'salesforce_update_confirm',
+        value: updateRef(update),
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Cancel' },
+        style: 'danger',
+        action_id: 'salesforce_update_cancel',
+        value: updateRef(update),
+      },
+    ],
+  });
+
+  return blocks;
+}
+
+// Export all functions
+module.exports = {
+  // Core Service Functions
+  NAME_FIELDS,
+  newUpdateId,
+  getUpdate,
+  saveUpdate,
+  deleteUpdate,
+  resolveChanges,
+  findRecords,
+  loadCurrentValues,
+
+  // UI Components
+  chooseRecordBlocks,
+  diffCardBlocks,
+};
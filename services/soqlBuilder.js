@@ -0,0 +1,138 @@
+// Small SOQL query builder. User text only ever enters a query as an escaped
+// literal, and objects/fields are checked against a whitelist so a Slack
+// message can't change the shape of the query.
+
+// Objects and fields lookups may query. Relationship fields are listed explicitly.
+const ALLOWED_FIELDS = {
+  Contact: ['Id', 'Name', 'FirstName', 'LastName', 'Email', 'Phone', 'MobilePhone', 'Title', 'AccountId', 'Account.Name', 'OwnerId', 'CreatedDate', 'LastModifiedDate'],
+  Account: ['Id', 'Name', 'Phone', 'Website', 'Industry', 'Type', 'Description', 'BillingCity', 'BillingState', 'BillingCountry', 'AnnualRevenue', 'NumberOfEmployees', 'OwnerId', 'Owner.Name', 'CreatedDate', 'LastModifiedDate'],
+  Lead: ['Id', 'Name', 'FirstName', 'LastName', 'Email', 'Phone', 'Company', 'Title', 'Status', 'LeadSource', 'OwnerId', 'CreatedDate', 'LastModifiedDate'],
+  Opportunity: ['Id', 'Name', 'Amount', 'StageName', 'CloseDate', 'Probability', 'AccountId', 'Account.Name', 'OwnerId', 'Owner.Name', 'IsClosed', 'IsWon', 'CreatedDate', 'LastModifiedDate'],
+  Case: ['Id', 'CaseNumber', 'Subject', 'Status', 'Priority', 'AccountId', 'Account.Name', 'ContactId', 'OwnerId', 'IsClosed', 'CreatedDate', 'LastModifiedDate'],
+  Task: ['Id', 'Subject', 'Status', 'Priority', 'ActivityDate', 'IsClosed', 'WhatId', 'WhoId', 'Who.Name', 'AccountId', 'OwnerId', 'Owner.Name', 'CreatedDate', 'LastModifiedDate']
+};
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE'];
+
+// Escape a value for use inside a quoted SOQL string literal
+function escapeString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+// Escape a value for use inside a LIKE pattern, so % and _ match literally
+function escapeLike(value) {
+  return escapeString(value).replace(/%/g, '\\%').replace(/_/g, '\\_');
+}
+
+// Format a JavaScript value as a SOQL literal
+function formatValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') {
+    if (!isFinite(value)) throw new Error(`Invalid number in SOQL query: ${value}`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+  if (value instanceof Date) return value.toISOString().split('.')[0] + 'Z';
+  return `'${escapeString(value)}'`;
+}
+
+class SoqlQuery {
+  constructor(objectType, allowedFields = null) {
+    this.allowedFields = allowedFields || ALLOWED_FIELDS[objectType];
+    if (!this.allowedFields) {
+      throw new Error(`Querying ${objectType} is not allowed`);
+    }
+    this.objectType = objectType;
+    this.fields = ['Id'];
+    this.conditions = [];
+    this.orderByClause = null;
+    this.limitCount = null;
+  }
+
+  checkField(field) {
+    if (!this.allowedFields.includes(field)) {
+      throw new Error(`Field ${field} is not allowed on ${this.objectType}`);
+    }
+    return field;
+  }
+
+  select(fields) {
+    this.fields = fields.map(field => this.checkField(field));
+    return this;
+  }
+
+  // Build a single comparison; LIKE values are matched as 'contains' unless mode says otherwise
+  condition(field, operator, value, mode = 'contains') {
+    this.checkField(field);
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported SOQL operator: ${operator}`);
+    }
+
+    if (operator === 'LIKE') {
+      const pattern = escapeLike(value);
+      const wrapped = mode === 'startsWith' ? `${pattern}%` : mode === 'exact' ? pattern : `%${pattern}%`;
+      return `${field} LIKE '${wrapped}'`;
+    }
+    return `${field} ${operator} ${formatValue(value)}`;
+  }
+
+  // Add a condition; all where() conditions are ANDed together
+  where(field, operator, value, mode) {
+    this.conditions.push(this.condition(field, operator, value, mode));
+    return this;
+  }
+
+  // Add a group of [field, operator, value, mode] conditions that are ORed together
+  whereAny(conditions) {
+    if (conditions.length > 0) {
+      const parts = conditions.map(([field, operator, value, mode]) => this.condition(field, operator, value, mode));
+      this.conditions.push(parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0]);
+    }
+    return this;
+  }
+
+  orderBy(field, direction = 'ASC') {
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Unsupported sort direction: ${direction}`);
+    }
+    this.orderByClause = `${this.checkField(field)} ${dir}`;
+    return this;
+  }
+
+  limit(count) {
+    const limit = parseInt(count, 10);
+    if (!(limit > 0 && limit <= 2000)) {
+      throw new Error(`Invalid SOQL limit: ${count}`);
+    }
+    this.limitCount = limit;
+    return this;
+  }
+
+  build() {
+    let soql = `SELECT ${this.fields.join(', ')} FROM ${this.objectType}`;
+    if (this.conditions.length > 0) soql += ` WHERE ${this.conditions.join(' AND ')}`;
+    if (this.orderByClause) soql += ` ORDER BY ${this.orderByClause}`;
+    if (this.limitCount) soql += ` LIMIT ${this.limitCount}`;
+    return soql;
+  }
+}
+
+// Start a query: soqlBuilder.from('Contact').select([...]).where('Email', '=', email).limit(5).build()
+function from(objectType, allowedFields = null) {
+  return new SoqlQuery(objectType, allowedFields);
+}
+
+module.exports = {
+  from,
+  escapeString,
+  escapeLike,
+  formatValue,
+  ALLOWED_FIELDS
+};
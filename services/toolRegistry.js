@@ -0,0 +1,54 @@
+// Registry of actions the model can call through tool/function calling.
+// Each tool declares a JSON-schema for its arguments and the integration it
+// depends on, so only tools for connected integrations are offered to the model.
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  // Register a tool: { name, description, parameters, integration, handler(args, context) }
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+  }
+
+  // Get tool definitions for the integrations available to this request
+  getTools(availableIntegrations = []) {
+    return Array.from(this.tools.values())
+      .filter(tool => !tool.integration || availableIntegrations.includes(tool.integration))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }));
+  }
+
+  // Run a tool and return a result the model can read. Failures are reported
+  // back to the model instead of thrown so it can explain them to the user.
+  async execute(name, args, context) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      console.log(`Executing tool ${name} with args:`, args);
+      const result = await tool.handler(args || {}, context);
+      return result;
+    } catch (error) {
+      console.error(`Error executing tool ${name}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new ToolRegistry();